@@ -0,0 +1,104 @@
+// Downloads email attachments from Gmail and extracts their text locally, so PDFs and text
+// files (statements, invoices, contract notes) can be analyzed and searched like the body.
+const pdfParse = require('pdf-parse');
+const { htmlToText } = require('./mime-parser');
+
+// Attachments larger than this are listed but never downloaded for extraction
+const ATTACHMENT_EXTRACT_MAX_BYTES = parseInt(process.env.ATTACHMENT_EXTRACT_MAX_BYTES) || 10 * 1024 * 1024;
+// Longest text kept per attachment
+const ATTACHMENT_TEXT_MAX_CHARS = parseInt(process.env.ATTACHMENT_TEXT_MAX_CHARS) || 8000;
+// Only the first pages of a PDF are read; statements put what matters up front
+const PDF_MAX_PAGES = 20;
+
+function isPdf(attachment) {
+    return attachment.mimeType === 'application/pdf' || /\.pdf$/i.test(attachment.filename);
+}
+
+function isText(attachment) {
+    return /^text\//.test(attachment.mimeType) || /\.(txt|csv|md|html?)$/i.test(attachment.filename);
+}
+
+// Whether extractAttachments will try to read the attachment's text
+function isExtractable(attachment) {
+    return (isPdf(attachment) || isText(attachment)) && attachment.size <= ATTACHMENT_EXTRACT_MAX_BYTES;
+}
+
+// An attachment's content as a Buffer. Gmail sends large attachments separately by attachmentId
+// and small ones inline in the message, where only the partId finds them again. The data is
+// base64url, which Buffer's base64 decoding accepts.
+async function downloadAttachment(gmail, gmailId, attachment) {
+    if (attachment.attachmentId) {
+        const response = await gmail.users.messages.attachments.get({
+            userId: 'me',
+            messageId: gmailId,
+            id: attachment.attachmentId
+        });
+        return Buffer.from(response.data.data || '', 'base64');
+    }
+
+    const msg = await gmail.users.messages.get({ userId: 'me', id: gmailId, format: 'full' });
+    const findPart = (part) => {
+        if (!part) {
+            return null;
+        }
+        if (part.partId === attachment.partId) {
+            return part;
+        }
+        return (part.parts || []).map(findPart).find(Boolean) || null;
+    };
+    const part = findPart(msg.data.payload);
+    if (!part || !part.body || !part.body.data) {
+        throw new Error(`Attachment part ${attachment.partId} not found`);
+    }
+    return Buffer.from(part.body.data, 'base64');
+}
+
+// Text of a downloaded attachment: { text, truncated }
+async function extractText(attachment, content) {
+    let text;
+    if (isPdf(attachment)) {
+        text = (await pdfParse(content, { max: PDF_MAX_PAGES })).text;
+    } else {
+        text = content.toString('utf8');
+        if (/html/.test(attachment.mimeType) || /\.html?$/i.test(attachment.filename)) {
+            text = htmlToText(text);
+        }
+    }
+
+    text = text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+    return {
+        text: text.substring(0, ATTACHMENT_TEXT_MAX_CHARS),
+        truncated: text.length > ATTACHMENT_TEXT_MAX_CHARS
+    };
+}
+
+// The attachments with `text` and `textTruncated` added to those that could be read, or
+// `extractError` where reading failed (e.g. a password-protected PDF). Never rejects.
+async function extractAttachments(gmail, gmailId, attachments) {
+    const extracted = [];
+
+    for (const attachment of attachments) {
+        if (!isExtractable(attachment)) {
+            extracted.push(attachment);
+            continue;
+        }
+
+        try {
+            const { text, truncated } = await extractText(attachment, await downloadAttachment(gmail, gmailId, attachment));
+            extracted.push({ ...attachment, text, textTruncated: truncated });
+        } catch (error) {
+            console.error(`❌ Error extracting attachment ${attachment.filename} of ${gmailId}:`, error.message);
+            extracted.push({ ...attachment, extractError: error.message });
+        }
+    }
+
+    return extracted;
+}
+
+module.exports = {
+    ATTACHMENT_EXTRACT_MAX_BYTES,
+    ATTACHMENT_TEXT_MAX_CHARS,
+    isExtractable,
+    downloadAttachment,
+    extractAttachments
+};
@@ -0,0 +1,33 @@
+const EventEmitter = require('events');
+
+// Statuses after which a batch emits no further events
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'paused', 'interrupted'];
+
+// In-process pub/sub for batch progress, consumed by the SSE stream endpoint
+class BatchEvents extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0); // one listener per open dashboard stream
+        this.TERMINAL_STATUSES = TERMINAL_STATUSES;
+    }
+
+    publish(batchId, type, data = {}) {
+        this.emit(batchId, {
+            type,
+            batchId,
+            data,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    subscribe(batchId, listener) {
+        this.on(batchId, listener);
+        return () => this.removeListener(batchId, listener);
+    }
+
+    isTerminal(status) {
+        return TERMINAL_STATUSES.includes(status);
+    }
+}
+
+module.exports = new BatchEvents();
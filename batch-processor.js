@@ -1,23 +1,99 @@
 const { google } = require('googleapis');
 const EnhancedGeminiAnalyzer = require('./gemini-enhanced');
+const batchEvents = require('./batch-events');
+const { BATCH_MODIFY_MAX_IDS, DEFAULT_FETCH_CONCURRENCY, chunk, mapWithConcurrency, groupByLabel, wrapGmail } = require('./gmail-helpers');
+const { DEFAULT_FETCH_MODE, extractBody, listAttachments } = require('./mime-parser');
+const { extractAttachments } = require('./attachments');
+
+// Thrown from inside a batch loop when the user cancels or pauses the batch
+class BatchInterruptedError extends Error {
+    constructor(action, partial = {}) {
+        super(`Batch ${action === 'cancel' ? 'cancelled' : 'paused'} by user`);
+        this.name = 'BatchInterruptedError';
+        this.status = action === 'cancel' ? 'cancelled' : 'paused';
+        this.partial = partial;
+    }
+}
+
+// Batch log fields too large or internal to stream to live subscribers
+const UNPUBLISHED_FIELDS = ['checkpoint', 'dryRunResult'];
+
+// Minimum analysis confidence for labeling when a batch does not set minConfidence (0 = label everything)
+const DEFAULT_MIN_CONFIDENCE = parseFloat(process.env.LABEL_MIN_CONFIDENCE) || 0;
+
+// Most list pages a fetch scans for new messages; pages of already stored mail do not count
+// toward batchSize, so this bounds a run over a mostly stored mailbox
+const MAX_FETCH_PAGES = parseInt(process.env.GMAIL_FETCH_MAX_PAGES) || 20;
+
+// Headers stored with each message; Cc onwards are only there for rule conditions
+const RULE_HEADERS = ['Subject', 'From', 'Date', 'To', 'Snippet', 'Cc', 'Reply-To', 'List-Id', 'List-Unsubscribe', 'Precedence'];
+
+// MIME parts nested deeper than this are not searched for attachments
+const MAX_PART_DEPTH = 5;
+
+// Part fields down to MAX_PART_DEPTH, without the part data
+function partFields(depth) {
+    const fields = 'partId,mimeType,filename,headers,body(size,attachmentId)';
+    return depth > 0 ? `${fields},parts(${partFields(depth - 1)})` : fields;
+}
+
+// Response fields for a metadata fetch: Gmail's 'metadata' format leaves out the MIME tree,
+// so the message structure is requested in 'full' format with the part data masked out
+const STRUCTURE_FIELDS = `id,threadId,labelIds,snippet,payload(${partFields(MAX_PART_DEPTH)})`;
+
+// System labels removed from a message for each rule action
+const RULE_ACTION_LABELS = { archive: 'INBOX', markRead: 'UNREAD' };
+
+// Order approved suggestions are applied in: labels exist and have their final names before
+// merges move messages into them, and nesting runs last because it renames children
+const SUGGESTION_ORDER = ['newLabel', 'rename', 'merge', 'hierarchy'];
+
+// HTTP status for Gmail/Gemini errors, otherwise the error's own code (e.g. ECONNRESET)
+function getErrorCode(error) {
+    if (error.response && error.response.status) {
+        return String(error.response.status);
+    }
+    return error.code ? String(error.code) : null;
+}
 
 class BatchProcessor {
     constructor(mongoDb, oauth2Client) {
         this.mongoDb = mongoDb;
         this.oauth2Client = oauth2Client;
         this.geminiAnalyzer = new EnhancedGeminiAnalyzer(mongoDb);
-        this.gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+        // Quota key and retry hook follow whichever batch is executing
+        this.gmailCallOptions = {};
+        this.gmail = wrapGmail(google.gmail({ version: 'v1', auth: oauth2Client }), () => this.gmailCallOptions);
+        this.fetchConcurrency = DEFAULT_FETCH_CONCURRENCY;
+        this.controlCheckInterval = 500; // ms between control flag lookups
+        this.lastControlCheck = {};
+    }
+
+    // Persists batch log changes and publishes them to live stream subscribers
+    async updateBatchLog(batchId, updateData) {
+        const result = await this.mongoDb.updateBatchLog(batchId, updateData);
+        
+        const publicData = {};
+        Object.keys(updateData)
+            .filter(key => !UNPUBLISHED_FIELDS.some(field => key.startsWith(field)))
+            .forEach(key => { publicData[key] = updateData[key]; });
+        
+        batchEvents.publish(batchId, updateData.status ? 'status' : 'progress', publicData);
+        return result;
     }
 
-    async createBatch(userId, operation, options = {}) {
+    // `meta` holds extra fields for the batch log, such as the scheduleId that triggered it
+    async createBatch(userId, operation, options = {}, meta = {}) {
         try {
             const batchId = this.generateBatchId();
             
             const batchData = {
+                ...meta,
                 batchId,
                 userId,
                 operation,
                 options,
+                dryRun: Boolean(options.dryRun),
                 status: 'created',
                 emailsProcessed: 0,
                 emailsTotal: 0,
@@ -36,6 +112,19 @@ class BatchProcessor {
         }
     }
 
+    async enqueueBatch(batchId) {
+        try {
+            await this.updateBatchLog(batchId, {
+                status: 'queued',
+                queuedAt: new Date()
+            });
+            console.log(`📥 Queued batch ${batchId}`);
+        } catch (error) {
+            console.error('❌ Error queueing batch:', error.message);
+            throw error;
+        }
+    }
+
     async executeBatch(batchId, userTokens) {
         try {
             console.log(`🚀 Starting batch execution: ${batchId}`);
@@ -47,23 +136,34 @@ class BatchProcessor {
             });
             
             // Get batch details
-            const batchLog = await this.mongoDb.db.collection('batchLogs').findOne({ batchId });
+            const batchLog = await this.mongoDb.getBatchLog(batchId);
             
             if (!batchLog) {
                 throw new Error('Batch not found');
             }
             
+            this.gmailCallOptions = {
+                quotaKey: batchLog.userId,
+                onRetry: (info) => this.recordGmailRetry(batchId, info)
+            };
+            
             // Update status to running
-            await this.mongoDb.updateBatchLog(batchId, {
+            await this.updateBatchLog(batchId, {
                 status: 'running',
                 startTime: new Date()
             });
             
+            // Checkpoint left by a previous run of this batch (empty for fresh batches)
+            const checkpoint = batchLog.checkpoint || {};
+            
             let result;
             
             switch (batchLog.operation) {
                 case 'fetchEmails':
-                    result = await this.batchFetchEmails(batchId, batchLog.options);
+                    result = await this.batchFetchEmails(batchId, batchLog.options, checkpoint);
+                    break;
+                case 'syncEmails':
+                    result = await this.batchSyncEmails(batchId, batchLog.options);
                     break;
                 case 'analyzeEmails':
                     result = await this.batchAnalyzeEmails(batchId, batchLog.options);
@@ -74,18 +174,33 @@ class BatchProcessor {
                 case 'assignLabels':
                     result = await this.batchAssignLabels(batchId, batchLog.options);
                     break;
+                case 'applyPlan':
+                    result = await this.batchApplyPlan(batchId, batchLog.options);
+                    break;
+                case 'rollback':
+                    result = await this.batchRollback(batchId, batchLog.options);
+                    break;
+                case 'retryFailed':
+                    result = await this.batchRetryFailed(batchId, batchLog.options);
+                    break;
                 case 'organizeLabels':
                     result = await this.batchOrganizeLabels(batchId, batchLog.options);
                     break;
+                case 'applySuggestions':
+                    result = await this.batchApplySuggestions(batchId, batchLog.options);
+                    break;
                 case 'fullProcess':
-                    result = await this.fullBatchProcess(batchId, batchLog.options);
+                    result = await this.fullBatchProcess(batchId, batchLog.options, checkpoint);
                     break;
                 default:
                     throw new Error(`Unknown operation: ${batchLog.operation}`);
             }
             
+            // Publish the result first; the terminal status event closes live streams
+            batchEvents.publish(batchId, 'complete', result);
+            
             // Update batch completion
-            await this.mongoDb.updateBatchLog(batchId, {
+            await this.updateBatchLog(batchId, {
                 status: 'completed',
                 endTime: new Date(),
                 ...result
@@ -95,29 +210,241 @@ class BatchProcessor {
             return result;
             
         } catch (error) {
+            if (error instanceof BatchInterruptedError) {
+                console.log(`⏹️ Batch ${batchId} ${error.status}`);
+                
+                await this.updateBatchLog(batchId, {
+                    status: error.status,
+                    controlRequest: null,
+                    ...(error.status === 'cancelled' ? { endTime: new Date() } : { pausedAt: new Date() }),
+                    ...error.partial
+                });
+                
+                return { status: error.status, ...error.partial };
+            }
+            
             console.error(`❌ Batch ${batchId} failed:`, error.message);
             
-            await this.mongoDb.updateBatchLog(batchId, {
+            await this.updateBatchLog(batchId, {
                 status: 'failed',
                 endTime: new Date(),
                 errors: [error.message]
             });
             
             throw error;
+        } finally {
+            this.gmailCallOptions = {};
+        }
+    }
+
+    // Counts Gmail retries on the batch log so throttling shows up in history
+    async recordGmailRetry(batchId, info) {
+        try {
+            await this.mongoDb.incrementBatchLog(batchId, {
+                'gmailRetries.total': 1,
+                [`gmailRetries.${info.kind}`]: 1
+            });
+            batchEvents.publish(batchId, 'retry', info);
+        } catch (error) {
+            console.error('❌ Error recording Gmail retry:', error.message);
+        }
+    }
+
+    async resumeBatch(batchId) {
+        try {
+            await this.updateBatchLog(batchId, {
+                status: 'queued',
+                queuedAt: new Date(),
+                resumedAt: new Date(),
+                controlRequest: null,
+                attempts: 0
+            });
+            console.log(`⏯️ Resuming batch ${batchId} from its last checkpoint`);
+        } catch (error) {
+            console.error('❌ Error resuming batch:', error.message);
+            throw error;
+        }
+    }
+
+    // Batches that have not started stop right away; running ones get a control
+    // request that their loops pick up between messages. Returns the new status.
+    async cancelBatch(batchId) {
+        try {
+            const stopped = await this.mongoDb.updateBatchLogIfStatus(batchId, ['created', 'queued', 'paused'], {
+                status: 'cancelled',
+                endTime: new Date()
+            });
+            if (stopped) {
+                console.log(`⏹️ Cancelled batch ${batchId}`);
+                batchEvents.publish(batchId, 'status', { status: 'cancelled' });
+                return 'cancelled';
+            }
+            
+            const requested = await this.mongoDb.updateBatchLogIfStatus(batchId, ['running'], {
+                controlRequest: 'cancel'
+            });
+            if (requested) {
+                batchEvents.publish(batchId, 'progress', { controlRequest: 'cancel' });
+            }
+            return requested ? 'cancelling' : null;
+        } catch (error) {
+            console.error('❌ Error cancelling batch:', error.message);
+            throw error;
+        }
+    }
+
+    async pauseBatch(batchId) {
+        try {
+            const stopped = await this.mongoDb.updateBatchLogIfStatus(batchId, ['queued'], {
+                status: 'paused',
+                pausedAt: new Date()
+            });
+            if (stopped) {
+                console.log(`⏸️ Paused batch ${batchId}`);
+                batchEvents.publish(batchId, 'status', { status: 'paused' });
+                return 'paused';
+            }
+            
+            const requested = await this.mongoDb.updateBatchLogIfStatus(batchId, ['running'], {
+                controlRequest: 'pause'
+            });
+            if (requested) {
+                batchEvents.publish(batchId, 'progress', { controlRequest: 'pause' });
+            }
+            return requested ? 'pausing' : null;
+        } catch (error) {
+            console.error('❌ Error pausing batch:', error.message);
+            throw error;
+        }
+    }
+
+    // Called between messages; throws BatchInterruptedError carrying the partial counts
+    async checkControl(batchId, partial = {}) {
+        const now = Date.now();
+        if (now - (this.lastControlCheck[batchId] || 0) < this.controlCheckInterval) {
+            return;
+        }
+        this.lastControlCheck[batchId] = now;
+        
+        const controlRequest = await this.mongoDb.getBatchControlRequest(batchId);
+        if (controlRequest === 'cancel' || controlRequest === 'pause') {
+            delete this.lastControlCheck[batchId];
+            throw new BatchInterruptedError(controlRequest, partial);
         }
     }
 
-    async batchFetchEmails(batchId, options) {
+    // Writes an undo journal entry for a Gmail change made by this batch
+    async journal(batchId, userId, action, details) {
+        try {
+            await this.mongoDb.addJournalEntry({ batchId, userId, action, ...details });
+            await this.mongoDb.incrementBatchLog(batchId, { journalEntries: 1 });
+        } catch (error) {
+            console.error(`❌ Error journaling ${action} for batch ${batchId}:`, error.message);
+        }
+    }
+
+    // Stores a dead-letter entry for one message and streams it to live subscribers
+    async recordFailure(batchId, userId, gmailId, step, error, label) {
+        const errorCode = getErrorCode(error);
+        
+        batchEvents.publish(batchId, 'emailError', { gmailId, step, code: errorCode, error: error.message });
+        
+        try {
+            await this.mongoDb.recordBatchFailure({
+                batchId,
+                userId,
+                gmailId,
+                step,
+                label,
+                errorCode,
+                errorMessage: error.message
+            });
+            await this.mongoDb.incrementBatchLog(batchId, { emailsFailed: 1 });
+        } catch (recordError) {
+            console.error(`❌ Error recording failure for ${gmailId}:`, recordError.message);
+        }
+    }
+
+    // Loads one message in the shape stored in the emails collection, with its attachments'
+    // metadata. The 'full' fetch mode downloads the whole message and also stores its plain-text
+    // body for the analyzer; `extractAttachments` adds the text of PDF and text attachments.
+    async fetchEmail(messageId, userId, options = {}) {
+        const full = (options.fetchMode || DEFAULT_FETCH_MODE) === 'full';
+        const msg = await this.gmail.users.messages.get(full
+            ? { userId: 'me', id: messageId, format: 'full' }
+            : { userId: 'me', id: messageId, format: 'full', fields: STRUCTURE_FIELDS });
+        
+        const headers = msg.data.payload.headers.filter(header => RULE_HEADERS.includes(header.name));
+        // Kept by name for header conditions in rules
+        const headerValues = {};
+        headers.forEach(header => { headerValues[header.name] = header.value; });
+        
+        const emailData = {
+            gmailId: msg.data.id,
+            userId: userId,
+            threadId: msg.data.threadId,
+            subject: (headers.find(h => h.name === 'Subject') || {}).value || 'No Subject',
+            from: (headers.find(h => h.name === 'From') || {}).value || 'Unknown',
+            to: (headers.find(h => h.name === 'To') || {}).value || '',
+            snippet: msg.data.snippet || '',
+            headers: headerValues,
+            labelIds: msg.data.labelIds || [],
+            attachments: listAttachments(msg.data.payload),
+            timestamp: new Date((headers.find(h => h.name === 'Date') || {}).value || Date.now()),
+            processed: false,
+            synced: false
+        };
+        
+        if (full) {
+            const body = extractBody(msg.data.payload);
+            emailData.body = body.text;
+            emailData.bodyTruncated = body.truncated;
+        }
+        
+        if (options.extractAttachments && emailData.attachments.length > 0) {
+            emailData.attachments = await extractAttachments(this.gmail, messageId, emailData.attachments);
+        }
+        
+        return emailData;
+    }
+
+    async getMailboxHistoryId() {
+        const profile = await this.gmail.users.getProfile({ userId: 'me' });
+        return profile.data.historyId;
+    }
+
+    async batchFetchEmails(batchId, options, checkpoint = {}) {
         console.log('📬 Starting batch email fetch...');
         
         const batchSize = options.batchSize || 100;
         const userId = options.userId;
+        const fetchState = checkpoint.fetch || {};
         
         try {
-            let pageToken = null;
-            let totalEmails = 0;
+            let pageToken = fetchState.pageToken || null;
+            let totalEmails = fetchState.emailsFetched || 0;
+            let skippedEmails = fetchState.emailsSkipped || 0;
+            let pagesScanned = fetchState.pagesScanned || 0;
             let fetchedEmails = [];
             
+            if (fetchState.done) {
+                console.log(`⏭️ Fetch already completed (${totalEmails} emails), skipping`);
+                return {
+                    emailsProcessed: totalEmails,
+                    emailsTotal: totalEmails,
+                    emailsSkipped: skippedEmails,
+                    operation: 'fetchEmails'
+                };
+            }
+            
+            if (pageToken) {
+                console.log(`⏯️ Resuming fetch after ${totalEmails} emails`);
+            }
+            
+            // Mailbox position before listing, so a later sync picks up anything that arrives meanwhile
+            const historyId = fetchState.historyId || await this.getMailboxHistoryId();
+            let done = false;
+            
             do {
                 const response = await this.gmail.users.messages.list({
                     userId: 'me',
@@ -127,31 +454,25 @@ class BatchProcessor {
                 });
                 
                 const messages = response.data.messages || [];
-                console.log(`📧 Fetching ${messages.length} emails...`);
+                pagesScanned++;
+                
+                // Messages already stored keep their analysis and are not downloaded again.
+                // Only new messages count toward batchSize.
+                const existingIds = messages.length > 0
+                    ? await this.mongoDb.getExistingGmailIds(userId, messages.map(m => m.id))
+                    : new Set();
+                skippedEmails += existingIds.size;
+                const newMessages = messages
+                    .filter(message => !existingIds.has(message.id))
+                    .slice(0, batchSize - totalEmails);
+                console.log(`📧 Fetching ${newMessages.length} emails (${existingIds.size} already stored)...`);
                 
-                // Fetch full email details
-                for (const message of messages) {
+                await this.checkControl(batchId, { emailsProcessed: totalEmails });
+                
+                // Fetch email details with a bounded number of requests in flight
+                await mapWithConcurrency(newMessages, this.fetchConcurrency, async (message) => {
                     try {
-                        const msg = await this.gmail.users.messages.get({
-                            userId: 'me',
-                            id: message.id,
-                            format: 'metadata',
-                            metadataHeaders: ['Subject', 'From', 'Date', 'To', 'Snippet']
-                        });
-                        
-                        const headers = msg.data.payload.headers;
-                        const emailData = {
-                            gmailId: msg.data.id,
-                            userId: userId,
-                            threadId: msg.data.threadId,
-                            subject: (headers.find(h => h.name === 'Subject') || {}).value || 'No Subject',
-                            from: (headers.find(h => h.name === 'From') || {}).value || 'Unknown',
-                            to: (headers.find(h => h.name === 'To') || {}).value || '',
-                            snippet: msg.data.snippet || '',
-                            timestamp: new Date((headers.find(h => h.name === 'Date') || {}).value || Date.now()),
-                            processed: false,
-                            synced: false
-                        };
+                        const emailData = await this.fetchEmail(message.id, userId, options);
                         
                         await this.mongoDb.saveEmail(emailData);
                         fetchedEmails.push(emailData);
@@ -159,23 +480,47 @@ class BatchProcessor {
                         
                     } catch (msgError) {
                         console.error(`❌ Error fetching message ${message.id}:`, msgError.message);
+                        await this.recordFailure(batchId, userId, message.id, 'fetch', msgError);
                     }
-                }
+                });
                 
                 pageToken = response.data.nextPageToken;
+                done = !pageToken || totalEmails >= batchSize || pagesScanned >= MAX_FETCH_PAGES;
                 
-                // Update progress
-                await this.mongoDb.updateBatchLog(batchId, {
-                    emailsProcessed: totalEmails
+                // Update progress and checkpoint the page token so a failed run can resume here
+                await this.updateBatchLog(batchId, {
+                    emailsProcessed: totalEmails,
+                    'checkpoint.fetch': {
+                        pageToken: pageToken || null,
+                        emailsFetched: totalEmails,
+                        emailsSkipped: skippedEmails,
+                        pagesScanned,
+                        historyId,
+                        done
+                    }
                 });
                 
-            } while (pageToken && totalEmails < batchSize);
+                if (done && pageToken && totalEmails < batchSize) {
+                    console.log(`ℹ️ Stopping after ${pagesScanned} pages (GMAIL_FETCH_MAX_PAGES)`);
+                }
+                
+            } while (!done);
             
-            console.log(`✅ Batch fetch completed: ${totalEmails} emails fetched`);
+            // Give incremental sync a starting point; a resync moves it forward
+            const syncState = await this.mongoDb.getSyncState(userId);
+            if (options.resync || !syncState || !syncState.historyId) {
+                await this.mongoDb.saveSyncState(userId, {
+                    historyId,
+                    lastFullSyncAt: new Date()
+                });
+            }
+            
+            console.log(`✅ Batch fetch completed: ${totalEmails} emails fetched, ${skippedEmails} already stored`);
             
             return {
                 emailsProcessed: totalEmails,
                 emailsTotal: totalEmails,
+                emailsSkipped: skippedEmails,
                 operation: 'fetchEmails'
             };
             
@@ -185,6 +530,156 @@ class BatchProcessor {
         }
     }
 
+    // Incremental sync: applies only the mailbox changes since the stored historyId
+    async batchSyncEmails(batchId, options) {
+        console.log('🔁 Starting incremental email sync...');
+        
+        const userId = options.userId;
+        const labelId = options.labelId || 'INBOX';
+        
+        try {
+            const syncState = await this.mongoDb.getSyncState(userId);
+            
+            if (!syncState || !syncState.historyId) {
+                console.log('ℹ️ No sync state yet, running a full resync');
+                return await this.fullResync(batchId, options);
+            }
+            
+            const added = new Set();
+            const deleted = new Set();
+            const labelChanges = {};
+            let pageToken = null;
+            let latestHistoryId = syncState.historyId;
+            
+            const trackLabels = (gmailId, addIds, removeIds) => {
+                const change = labelChanges[gmailId] || { added: [], removed: [] };
+                change.added = change.added.filter(id => !removeIds.includes(id)).concat(addIds);
+                change.removed = change.removed.filter(id => !addIds.includes(id)).concat(removeIds);
+                labelChanges[gmailId] = change;
+            };
+            
+            do {
+                let response;
+                try {
+                    response = await this.gmail.users.history.list({
+                        userId: 'me',
+                        startHistoryId: syncState.historyId,
+                        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+                        labelId,
+                        pageToken
+                    });
+                } catch (historyError) {
+                    // Gmail only keeps history for a limited time; an expired ID returns 404
+                    if (historyError.code === 404 || (historyError.response && historyError.response.status === 404)) {
+                        console.log('⚠️ History ID expired, running a full resync');
+                        return await this.fullResync(batchId, options);
+                    }
+                    throw historyError;
+                }
+                
+                (response.data.history || []).forEach(record => {
+                    (record.messagesAdded || []).forEach(({ message }) => {
+                        added.add(message.id);
+                        deleted.delete(message.id);
+                    });
+                    (record.messagesDeleted || []).forEach(({ message }) => {
+                        deleted.add(message.id);
+                        added.delete(message.id);
+                    });
+                    (record.labelsAdded || []).forEach(({ message, labelIds }) => {
+                        trackLabels(message.id, labelIds || [], []);
+                    });
+                    (record.labelsRemoved || []).forEach(({ message, labelIds }) => {
+                        trackLabels(message.id, [], labelIds || []);
+                    });
+                });
+                
+                latestHistoryId = response.data.historyId || latestHistoryId;
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+            
+            const deletedIds = Array.from(deleted);
+            deletedIds.forEach(gmailId => delete labelChanges[gmailId]);
+            
+            const addedIds = Array.from(added);
+            const existingIds = addedIds.length > 0
+                ? await this.mongoDb.getExistingGmailIds(userId, addedIds)
+                : new Set();
+            const newIds = addedIds.filter(gmailId => !existingIds.has(gmailId));
+            
+            console.log(`🔁 Sync found ${newIds.length} new, ${deletedIds.length} deleted, ${Object.keys(labelChanges).length} relabeled messages`);
+            
+            await this.updateBatchLog(batchId, {
+                emailsProcessed: 0,
+                emailsTotal: newIds.length
+            });
+            
+            let emailsAdded = 0;
+            for (const idChunk of chunk(newIds, 50)) {
+                await this.checkControl(batchId, { emailsProcessed: emailsAdded, emailsTotal: newIds.length });
+                
+                await mapWithConcurrency(idChunk, this.fetchConcurrency, async (gmailId) => {
+                    try {
+                        const emailData = await this.fetchEmail(gmailId, userId, options);
+                        await this.mongoDb.saveEmail(emailData);
+                        emailsAdded++;
+                        
+                        // The full message already carries its current labels
+                        delete labelChanges[gmailId];
+                    } catch (msgError) {
+                        console.error(`❌ Error fetching message ${gmailId}:`, msgError.message);
+                        await this.recordFailure(batchId, userId, gmailId, 'fetch', msgError);
+                    }
+                });
+                
+                await this.updateBatchLog(batchId, { emailsProcessed: emailsAdded });
+            }
+            
+            const emailsDeleted = deletedIds.length > 0
+                ? await this.mongoDb.deleteEmails(userId, deletedIds)
+                : 0;
+            const emailsRelabeled = await this.mongoDb.applyEmailLabelChanges(userId, labelChanges);
+            
+            // Only advance once every change has been applied, so a failed sync is simply retried
+            await this.mongoDb.saveSyncState(userId, {
+                historyId: latestHistoryId,
+                lastSyncAt: new Date()
+            });
+            
+            console.log(`✅ Sync completed: ${emailsAdded} added, ${emailsDeleted} deleted, ${emailsRelabeled} relabeled`);
+            
+            return {
+                emailsProcessed: emailsAdded,
+                emailsTotal: newIds.length,
+                emailsDeleted,
+                emailsRelabeled,
+                fullResync: false,
+                operation: 'syncEmails'
+            };
+            
+        } catch (error) {
+            console.error('❌ Error in email sync:', error.message);
+            throw error;
+        }
+    }
+
+    // Re-lists the most recent messages and resets the stored historyId
+    async fullResync(batchId, options) {
+        const result = await this.batchFetchEmails(batchId, {
+            ...options,
+            batchSize: options.batchSize || 500,
+            resync: true
+        });
+        
+        return {
+            ...result,
+            emailsDeleted: 0,
+            emailsRelabeled: 0,
+            fullResync: true,
+            operation: 'syncEmails'
+        };
+    }
+
     async batchAnalyzeEmails(batchId, options) {
         console.log('🧠 Starting batch email analysis...');
         
@@ -209,8 +704,20 @@ class BatchProcessor {
             
             console.log(`🧠 Analyzing ${emails.length} emails...`);
             
+            await this.updateBatchLog(batchId, {
+                emailsProcessed: 0,
+                emailsTotal: emails.length
+            });
+            
             // Use enhanced Gemini analyzer for batch processing
-            const result = await this.geminiAnalyzer.batchAnalyzeEmails(emails, userId);
+            const result = await this.geminiAnalyzer.batchAnalyzeEmails(emails, userId, {
+                onProgress: (processed) => this.updateBatchLog(batchId, { emailsProcessed: processed }),
+                onError: (gmailId, error) => this.recordFailure(batchId, userId, gmailId, 'analyze', error),
+                checkControl: (processed) => this.checkControl(batchId, {
+                    emailsProcessed: processed,
+                    emailsTotal: emails.length
+                })
+            });
             
             console.log(`✅ Batch analysis completed: ${result.successful} successful, ${result.failed} failed`);
             
@@ -233,29 +740,40 @@ class BatchProcessor {
         const userId = options.userId;
         
         try {
-            // Get all analyzed emails to determine needed labels
-            const emails = await this.mongoDb.getEmails(userId, {
-                processed: true
-            });
+            const uniqueLabels = new Set(options.labelNames || []);
             
-            const uniqueLabels = new Set();
-            emails.forEach(email => {
-                if (email.analysis && email.analysis.suggestedLabel) {
-                    uniqueLabels.add(email.analysis.suggestedLabel);
-                }
-            });
+            // Without an explicit list (approved plans pass one), use the labels analysis suggested
+            if (!options.labelNames) {
+                const emails = await this.mongoDb.getEmails(userId, {
+                    processed: true
+                });
+                
+                emails.forEach(email => {
+                    if (email.analysis && email.analysis.suggestedLabel) {
+                        uniqueLabels.add(email.analysis.suggestedLabel);
+                    }
+                });
+            }
             
-            console.log(`🏷️ Creating ${uniqueLabels.size} unique labels...`);
+            console.log(`🏷️ ${options.dryRun ? 'Planning' : 'Creating'} ${uniqueLabels.size} unique labels...`);
             
             let labelsCreated = 0;
             let existingLabels = 0;
+            const labelsToCreate = [];
             
             for (const labelName of uniqueLabels) {
+                await this.checkControl(batchId, {
+                    labelsCreated: labelsCreated,
+                    labelsUsed: existingLabels + labelsCreated
+                });
+                
                 try {
                     // Check if label already exists in Gmail
                     const existingLabel = await this.mongoDb.getLabelByName(userId, labelName);
                     
-                    if (!existingLabel) {
+                    if (!existingLabel && options.dryRun) {
+                        labelsToCreate.push(labelName);
+                    } else if (!existingLabel) {
                         // Create label in Gmail
                         const createResponse = await this.gmail.users.labels.create({
                             userId: 'me',
@@ -275,6 +793,11 @@ class BatchProcessor {
                             isAuto: true
                         });
                         
+                        await this.journal(batchId, userId, 'createLabel', {
+                            labelId: createResponse.data.id,
+                            labelName
+                        });
+                        
                         labelsCreated++;
                         console.log(`✅ Created label: ${labelName}`);
                     } else {
@@ -283,9 +806,26 @@ class BatchProcessor {
                     
                 } catch (labelError) {
                     console.error(`❌ Error creating label ${labelName}:`, labelError.message);
+                    batchEvents.publish(batchId, 'emailError', { label: labelName, step: 'createLabels', error: labelError.message });
                 }
             }
             
+            if (options.dryRun) {
+                await this.updateBatchLog(batchId, {
+                    'dryRunResult.labelsToCreate': labelsToCreate,
+                    labelsPlanned: labelsToCreate.length
+                });
+                console.log(`🧪 Dry run: would create ${labelsToCreate.length} labels, ${existingLabels} already exist`);
+                
+                return {
+                    labelsCreated: 0,
+                    labelsPlanned: labelsToCreate.length,
+                    labelsUsed: existingLabels + labelsToCreate.length,
+                    dryRun: true,
+                    operation: 'createLabels'
+                };
+            }
+            
             console.log(`✅ Batch label creation completed: ${labelsCreated} created, ${existingLabels} already existed`);
             
             return {
@@ -307,74 +847,549 @@ class BatchProcessor {
         const batchSize = options.batchSize || 50;
         
         try {
-            // Get processed but unsynced emails
-            const emails = await this.mongoDb.getEmails(userId, {
+            const minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
+            const { reviewMode } = await this.mongoDb.getUserSettings(userId);
+            
+            // Get processed but unsynced emails, leaving out those waiting for review. In review
+            // mode only emails a person has confirmed are labeled.
+            const candidates = await this.mongoDb.getEmails(userId, {
                 processed: true,
+                synced: false,
+                ...(reviewMode ? { reviewStatus: 'confirmed' } : { excludePendingReview: true }),
                 limit: batchSize
             });
             
-            const unsyncedEmails = emails.filter(email => !email.synced);
+            // Analyses from before confidence was recorded are labeled as before, and confirmed
+            // ones are trusted whatever their score
+            const isLowConfidence = email => email.analysis &&
+                typeof email.analysis.confidence === 'number' &&
+                email.analysis.confidence < minConfidence &&
+                !(email.review && email.review.status === 'confirmed');
+            const lowConfidence = candidates.filter(isLowConfidence);
+            const unsyncedEmails = candidates.filter(email => !isLowConfidence(email));
+            
+            // Dry runs only report what would be held back
+            const reviewResult = {};
+            if (lowConfidence.length > 0 && options.dryRun) {
+                reviewResult.emailsNeedingReview = lowConfidence.length;
+            } else if (lowConfidence.length > 0) {
+                reviewResult.emailsQueuedForReview = await this.mongoDb.queueEmailsForReview(userId, lowConfidence.map(email => email.gmailId), {
+                    reason: 'lowConfidence',
+                    minConfidence,
+                    batchId
+                });
+                console.log(`🔍 Sent ${lowConfidence.length} low-confidence emails (< ${minConfidence}) to review`);
+            }
             
             if (unsyncedEmails.length === 0) {
                 console.log('ℹ️ No emails to label');
                 return {
                     emailsProcessed: 0,
                     emailsTotal: 0,
+                    ...reviewResult,
+                    operation: 'assignLabels'
+                };
+            }
+            
+            if (options.dryRun) {
+                const assignments = await this.planLabelAssignments(userId, unsyncedEmails);
+                
+                await this.updateBatchLog(batchId, {
+                    'dryRunResult.assignments': assignments,
+                    emailsPlanned: assignments.length
+                });
+                console.log(`🧪 Dry run: would label ${assignments.length} of ${unsyncedEmails.length} emails`);
+                
+                return {
+                    emailsProcessed: assignments.length,
+                    emailsPlanned: assignments.length,
+                    emailsTotal: unsyncedEmails.length,
+                    ...reviewResult,
+                    dryRun: true,
                     operation: 'assignLabels'
                 };
             }
             
             console.log(`📮 Assigning labels to ${unsyncedEmails.length} emails...`);
             
-            let successCount = 0;
-            let failCount = 0;
+            const { succeededIds, failCount } = await this.applyLabelAssignments(batchId, userId, unsyncedEmails);
+            const successCount = succeededIds.length;
+            
+            console.log(`✅ Batch label assignment completed: ${successCount} successful, ${failCount} failed`);
             
-            for (const email of unsyncedEmails) {
+            return {
+                emailsProcessed: successCount,
+                emailsTotal: unsyncedEmails.length,
+                ...reviewResult,
+                operation: 'assignLabels',
+                errors: failCount > 0 ? [`${failCount} emails failed labeling`] : []
+            };
+            
+        } catch (error) {
+            console.error('❌ Error in batch label assignment:', error.message);
+            throw error;
+        }
+    }
+
+    // Dry-run counterpart of applyLabelAssignments: the label each email would receive
+    async planLabelAssignments(userId, emails) {
+        const existingLabels = {};
+        const assignments = [];
+        
+        for (const email of emails) {
+            if (!email.analysis || !email.analysis.suggestedLabel) {
+                continue;
+            }
+            
+            const labelName = email.analysis.suggestedLabel;
+            if (!(labelName in existingLabels)) {
+                existingLabels[labelName] = Boolean(await this.mongoDb.getLabelByName(userId, labelName));
+            }
+            
+            assignments.push({
+                gmailId: email.gmailId,
+                subject: email.subject,
+                from: email.from,
+                label: labelName,
+                labelExists: existingLabels[labelName],
+                ...(email.analysis.ruleActions ? { ruleActions: email.analysis.ruleActions } : {})
+            });
+        }
+        
+        return assignments;
+    }
+
+    // Carries out an approved dry run exactly as planned, even if analysis has changed since
+    async batchApplyPlan(batchId, options) {
+        console.log(`✅ Applying approved plan from batch ${options.sourceBatchId}...`);
+        
+        const userId = options.userId;
+        
+        try {
+            const sourceBatch = await this.mongoDb.getBatchLog(options.sourceBatchId);
+            
+            if (!sourceBatch || sourceBatch.userId !== userId || !sourceBatch.dryRunResult) {
+                throw new Error(`No dry-run plan found for batch ${options.sourceBatchId}`);
+            }
+            
+            const plan = sourceBatch.dryRunResult;
+            const labelNames = plan.labelsToCreate || [];
+            const assignments = plan.assignments || [];
+            
+            let labelResult = { labelsCreated: 0 };
+            if (labelNames.length > 0) {
+                labelResult = await this.batchCreateLabels(batchId, { userId, labelNames });
+            }
+            
+            await this.updateBatchLog(batchId, {
+                emailsProcessed: 0,
+                emailsTotal: assignments.length
+            });
+            
+            // Current labelIds tell the journal which messages really change
+            const storedEmails = await this.mongoDb.getEmailsByIds(userId, assignments.map(a => a.gmailId));
+            const storedLabelIds = {};
+            storedEmails.forEach(email => { storedLabelIds[email.gmailId] = email.labelIds || []; });
+            
+            const emails = assignments.map(assignment => ({
+                gmailId: assignment.gmailId,
+                labelIds: storedLabelIds[assignment.gmailId] || [],
+                analysis: { suggestedLabel: assignment.label, ruleActions: assignment.ruleActions }
+            }));
+            const { succeededIds, failCount } = await this.applyLabelAssignments(batchId, userId, emails);
+            
+            console.log(`✅ Plan applied: ${labelResult.labelsCreated} labels created, ${succeededIds.length} emails labeled`);
+            
+            return {
+                labelsCreated: labelResult.labelsCreated,
+                emailsProcessed: succeededIds.length,
+                emailsTotal: assignments.length,
+                operation: 'applyPlan',
+                errors: failCount > 0 ? [`${failCount} emails failed labeling`] : []
+            };
+            
+        } catch (error) {
+            console.error('❌ Error applying plan:', error.message);
+            throw error;
+        }
+    }
+
+    // Applies each email's suggested label with one batchModify call per label and
+    // chunk of up to 1000 messages. Failures are recorded per message.
+    async applyLabelAssignments(batchId, userId, emails) {
+        const succeededIds = [];
+        let failCount = 0;
+        
+        // Resolve each suggested label to its Gmail label ID once
+        const labelIdsByName = {};
+        const labelNamesById = {};
+        const assignments = [];
+        const alreadyLabeled = new Set();
+        
+        for (const email of emails) {
+            if (!email.analysis || !email.analysis.suggestedLabel) {
+                continue;
+            }
+            
+            const labelName = email.analysis.suggestedLabel;
+            if (!(labelName in labelIdsByName)) {
+                const label = await this.mongoDb.getLabelByName(userId, labelName);
+                labelIdsByName[labelName] = label ? label.gmailLabelId : null;
+                if (label) {
+                    labelNamesById[label.gmailLabelId] = labelName;
+                } else {
+                    console.warn(`⚠️ Label not found: ${labelName}`);
+                }
+            }
+            
+            if (labelIdsByName[labelName]) {
+                assignments.push({ gmailId: email.gmailId, labelId: labelIdsByName[labelName] });
+                
+                // Messages that already carry the label are not journaled, so rollback leaves them alone
+                if ((email.labelIds || []).includes(labelIdsByName[labelName])) {
+                    alreadyLabeled.add(email.gmailId);
+                }
+            } else {
+                await this.recordFailure(batchId, userId, email.gmailId, 'assign', {
+                    code: 'LABEL_NOT_FOUND',
+                    message: `Label not found: ${labelName}`
+                }, labelName);
+                failCount++;
+            }
+        }
+        
+        const groups = groupByLabel(assignments);
+        
+        for (const labelId of Object.keys(groups)) {
+            for (const ids of chunk(groups[labelId], BATCH_MODIFY_MAX_IDS)) {
+                await this.checkControl(batchId, {
+                    emailsProcessed: succeededIds.length,
+                    emailsTotal: emails.length
+                });
+                
                 try {
-                    if (email.analysis && email.analysis.suggestedLabel) {
-                        // Get Gmail label ID
-                        const label = await this.mongoDb.getLabelByName(userId, email.analysis.suggestedLabel);
+                    await this.gmail.users.messages.batchModify({
+                        userId: 'me',
+                        requestBody: {
+                            ids,
+                            addLabelIds: [labelId]
+                        }
+                    });
+                    
+                    await this.mongoDb.markEmailsSynced(userId, ids, labelId);
+                    succeededIds.push(...ids);
+                    
+                    const addedIds = ids.filter(gmailId => !alreadyLabeled.has(gmailId));
+                    if (addedIds.length > 0) {
+                        await this.journal(batchId, userId, 'addLabel', {
+                            labelId,
+                            labelName: labelNamesById[labelId],
+                            assignment: true,
+                            gmailIds: addedIds
+                        });
+                    }
+                    
+                    await this.updateBatchLog(batchId, { emailsProcessed: succeededIds.length });
+                    
+                } catch (assignError) {
+                    console.error(`❌ Error assigning label ${labelNamesById[labelId]} to ${ids.length} emails:`, assignError.message);
+                    for (const gmailId of ids) {
+                        await this.recordFailure(batchId, userId, gmailId, 'assign', assignError, labelNamesById[labelId]);
+                    }
+                    failCount += ids.length;
+                }
+            }
+        }
+        
+        await this.applyRuleActions(batchId, userId, emails.filter(email => succeededIds.includes(email.gmailId)));
+        
+        return { succeededIds, failCount };
+    }
+
+    // Archives or marks read the labeled emails whose rules asked for it. Only messages that
+    // still carry INBOX or UNREAD are changed and journaled, so rollback puts back exactly those.
+    async applyRuleActions(batchId, userId, emails) {
+        for (const action of Object.keys(RULE_ACTION_LABELS)) {
+            const labelId = RULE_ACTION_LABELS[action];
+            const gmailIds = emails
+                .filter(email => email.analysis.ruleActions && email.analysis.ruleActions[action])
+                .filter(email => (email.labelIds || []).includes(labelId))
+                .map(email => email.gmailId);
+            
+            for (const ids of chunk(gmailIds, BATCH_MODIFY_MAX_IDS)) {
+                try {
+                    await this.gmail.users.messages.batchModify({
+                        userId: 'me',
+                        requestBody: { ids, removeLabelIds: [labelId] }
+                    });
+                    
+                    const changes = {};
+                    ids.forEach(gmailId => { changes[gmailId] = { added: [], removed: [labelId] }; });
+                    await this.mongoDb.applyEmailLabelChanges(userId, changes);
+                    
+                    await this.journal(batchId, userId, 'removeLabel', { labelId, gmailIds: ids });
+                    
+                } catch (actionError) {
+                    // The label itself was applied, so the emails still count as labeled
+                    console.error(`❌ Error applying rule action ${action} to ${ids.length} emails:`, actionError.message);
+                    for (const gmailId of ids) {
+                        await this.recordFailure(batchId, userId, gmailId, 'assign', actionError, labelId);
+                    }
+                }
+            }
+        }
+    }
+
+    // Undoes the journaled label changes of another batch, newest first. Labels the
+    // batch created are deleted once nothing carries them any more; labels it deleted
+    // are recreated, and older entries for them are replayed against the new label id.
+    async batchRollback(batchId, options) {
+        console.log(`↩️ Rolling back batch ${options.sourceBatchId}...`);
+        
+        const userId = options.userId;
+        
+        try {
+            const entries = await this.mongoDb.getJournalEntries(userId, options.sourceBatchId, { pendingOnly: true });
+            const messageTotal = entries.reduce((sum, entry) => sum + (entry.gmailIds || []).length, 0);
+            
+            await this.updateBatchLog(batchId, {
+                emailsProcessed: 0,
+                emailsTotal: messageTotal
+            });
+            
+            let emailsReverted = 0;
+            let labelsDeleted = 0;
+            let labelsRecreated = 0;
+            const labelsKept = [];
+            const errors = [];
+            // Deleted label id -> id of the label recreated in its place
+            const recreatedLabelIds = {};
+            
+            for (const journaled of entries) {
+                await this.checkControl(batchId, { emailsProcessed: emailsReverted, labelsDeleted });
+                
+                const entry = recreatedLabelIds[journaled.labelId]
+                    ? { ...journaled, labelId: recreatedLabelIds[journaled.labelId] }
+                    : journaled;
+                
+                try {
+                    if (entry.action === 'deleteLabel') {
+                        const requestBody = {
+                            name: entry.labelName,
+                            labelListVisibility: entry.labelListVisibility,
+                            messageListVisibility: entry.messageListVisibility
+                        };
+                        if (entry.color) {
+                            requestBody.color = entry.color;
+                        }
+                        const createResponse = await this.gmail.users.labels.create({ userId: 'me', requestBody });
+                        recreatedLabelIds[entry.labelId] = createResponse.data.id;
                         
-                        if (label) {
-                            // Apply label to email
-                            await this.gmail.users.messages.modify({
+                        await this.mongoDb.saveLabel({
+                            userId,
+                            name: entry.labelName,
+                            gmailLabelId: createResponse.data.id,
+                            emailCount: 0,
+                            isAuto: true
+                        });
+                        await this.journal(batchId, userId, 'createLabel', { labelId: createResponse.data.id, labelName: entry.labelName });
+                        labelsRecreated++;
+                    } else if (entry.action === 'addLabel' || entry.action === 'removeLabel') {
+                        const undoAction = entry.action === 'addLabel' ? 'removeLabel' : 'addLabel';
+                        
+                        for (const ids of chunk(entry.gmailIds, BATCH_MODIFY_MAX_IDS)) {
+                            await this.gmail.users.messages.batchModify({
                                 userId: 'me',
-                                id: email.gmailId,
-                                requestBody: {
-                                    addLabelIds: [label.gmailLabelId]
-                                }
+                                requestBody: undoAction === 'removeLabel'
+                                    ? { ids, removeLabelIds: [entry.labelId] }
+                                    : { ids, addLabelIds: [entry.labelId] }
                             });
                             
-                            // Mark as synced
-                            await this.mongoDb.db.collection('emails').updateOne(
-                                { gmailId: email.gmailId },
-                                { $set: { synced: true, updatedAt: new Date() } }
-                            );
+                            // Only undoing a category label assignment changes whether the email
+                            // counts as labeled; rule actions and merges just move labels
+                            if (entry.assignment && undoAction === 'removeLabel') {
+                                await this.mongoDb.unmarkEmailsSynced(userId, ids, entry.labelId);
+                            } else if (entry.assignment) {
+                                await this.mongoDb.markEmailsSynced(userId, ids, entry.labelId);
+                            } else {
+                                const changes = {};
+                                ids.forEach(gmailId => {
+                                    changes[gmailId] = undoAction === 'removeLabel'
+                                        ? { added: [], removed: [entry.labelId] }
+                                        : { added: [entry.labelId], removed: [] };
+                                });
+                                await this.mongoDb.applyEmailLabelChanges(userId, changes);
+                            }
+                            
+                            // The rollback is journaled too, so it can itself be undone
+                            await this.journal(batchId, userId, undoAction, {
+                                labelId: entry.labelId,
+                                ...(entry.labelName ? { labelName: entry.labelName } : {}),
+                                ...(entry.assignment ? { assignment: true } : {}),
+                                gmailIds: ids
+                            });
                             
-                            successCount++;
+                            emailsReverted += ids.length;
+                            await this.updateBatchLog(batchId, { emailsProcessed: emailsReverted });
+                        }
+                    } else if (entry.action === 'renameLabel') {
+                        await this.gmail.users.labels.patch({
+                            userId: 'me',
+                            id: entry.labelId,
+                            requestBody: { name: entry.previousName }
+                        });
+                        await this.mongoDb.renameLabel(userId, entry.labelId, entry.previousName);
+                        await this.mongoDb.renameSuggestedLabel(userId, entry.labelName, entry.previousName);
+                        
+                        await this.journal(batchId, userId, 'renameLabel', {
+                            labelId: entry.labelId,
+                            labelName: entry.previousName,
+                            previousName: entry.labelName
+                        });
+                    } else if (entry.action === 'createLabel') {
+                        const deleted = await this.deleteLabelIfEmpty(userId, entry.labelId);
+                        if (deleted) {
+                            labelsDeleted++;
                         } else {
-                            console.warn(`⚠️ Label not found: ${email.analysis.suggestedLabel}`);
-                            failCount++;
+                            labelsKept.push(entry.labelName);
                         }
                     }
                     
-                } catch (assignError) {
-                    console.error(`❌ Error assigning label to ${email.gmailId}:`, assignError.message);
-                    failCount++;
+                    await this.mongoDb.markJournalEntryRolledBack(journaled._id, batchId);
+                    
+                } catch (entryError) {
+                    const label = entry.labelName || entry.labelId;
+                    console.error(`❌ Error rolling back ${entry.action} ${label}:`, entryError.message);
+                    batchEvents.publish(batchId, 'emailError', { label, step: 'rollback', error: entryError.message });
+                    errors.push(`${entry.action} ${label}: ${entryError.message}`);
                 }
             }
             
-            console.log(`✅ Batch label assignment completed: ${successCount} successful, ${failCount} failed`);
+            await this.mongoDb.updateBatchLog(options.sourceBatchId, {
+                rolledBackAt: new Date(),
+                rollbackBatchId: batchId
+            });
+            
+            console.log(`✅ Rollback completed: ${emailsReverted} emails reverted, ${labelsDeleted} labels deleted, ${labelsRecreated} labels recreated`);
             
             return {
-                emailsProcessed: successCount,
-                emailsTotal: unsyncedEmails.length,
-                operation: 'assignLabels',
-                errors: failCount > 0 ? [`${failCount} emails failed labeling`] : []
+                emailsProcessed: emailsReverted,
+                emailsTotal: messageTotal,
+                labelsDeleted,
+                labelsRecreated,
+                labelsKept,
+                operation: 'rollback',
+                errors
             };
             
         } catch (error) {
-            console.error('❌ Error in batch label assignment:', error.message);
+            console.error('❌ Error rolling back batch:', error.message);
+            throw error;
+        }
+    }
+
+    // Deletes a label only when no message carries it; a missing label counts as deleted
+    async deleteLabelIfEmpty(userId, labelId) {
+        try {
+            const label = await this.gmail.users.labels.get({ userId: 'me', id: labelId });
+            
+            if (label.data.messagesTotal > 0) {
+                console.log(`ℹ️ Keeping label ${label.data.name}: still used by ${label.data.messagesTotal} messages`);
+                return false;
+            }
+            
+            await this.gmail.users.labels.delete({ userId: 'me', id: labelId });
+        } catch (error) {
+            if (getErrorCode(error) !== '404') {
+                throw error;
+            }
+        }
+        
+        await this.mongoDb.deleteLabel(userId, labelId);
+        return true;
+    }
+
+    // Re-runs only the messages that failed in a previous batch, step by step
+    async batchRetryFailed(batchId, options) {
+        console.log(`🩹 Retrying failed messages from batch ${options.sourceBatchId}...`);
+        
+        const userId = options.userId;
+        
+        try {
+            const failures = await this.mongoDb.getBatchFailures(userId, options.sourceBatchId, { status: 'open' });
+            
+            if (failures.length === 0) {
+                console.log('ℹ️ No open failures to retry');
+                return {
+                    emailsProcessed: 0,
+                    emailsTotal: 0,
+                    operation: 'retryFailed'
+                };
+            }
+            
+            await this.updateBatchLog(batchId, {
+                emailsProcessed: 0,
+                emailsTotal: failures.length
+            });
+            
+            const idsForStep = (step) => failures.filter(f => f.step === step).map(f => f.gmailId);
+            let resolved = 0;
+            
+            // Fetch: download the message again
+            const fetchIds = idsForStep('fetch');
+            const fetched = [];
+            for (const idChunk of chunk(fetchIds, 50)) {
+                await this.checkControl(batchId, { emailsProcessed: fetched.length });
+                
+                await mapWithConcurrency(idChunk, this.fetchConcurrency, async (gmailId) => {
+                    try {
+                        await this.mongoDb.saveEmail(await this.fetchEmail(gmailId, userId, options));
+                        fetched.push(gmailId);
+                    } catch (fetchError) {
+                        await this.recordFailure(batchId, userId, gmailId, 'fetch', fetchError);
+                    }
+                });
+            }
+            if (fetched.length > 0) {
+                resolved += await this.mongoDb.resolveBatchFailures(userId, 'fetch', fetched, batchId);
+            }
+            
+            // Analyze: run the stored emails through the analyzer again
+            const analyzeIds = idsForStep('analyze');
+            if (analyzeIds.length > 0) {
+                const emails = await this.mongoDb.getEmailsByIds(userId, analyzeIds);
+                const result = await this.geminiAnalyzer.batchAnalyzeEmails(emails, userId, {
+                    onError: (gmailId, error) => this.recordFailure(batchId, userId, gmailId, 'analyze', error),
+                    checkControl: (processed) => this.checkControl(batchId, { emailsProcessed: resolved + processed })
+                });
+                const analyzed = result.results.filter(r => r.success).map(r => r.gmailId);
+                if (analyzed.length > 0) {
+                    resolved += await this.mongoDb.resolveBatchFailures(userId, 'analyze', analyzed, batchId);
+                }
+            }
+            
+            // Assign: apply the suggested labels again
+            const assignIds = idsForStep('assign');
+            if (assignIds.length > 0) {
+                const emails = await this.mongoDb.getEmailsByIds(userId, assignIds);
+                const { succeededIds } = await this.applyLabelAssignments(batchId, userId, emails);
+                if (succeededIds.length > 0) {
+                    resolved += await this.mongoDb.resolveBatchFailures(userId, 'assign', succeededIds, batchId);
+                }
+            }
+            
+            const stillFailing = failures.length - resolved;
+            console.log(`✅ Retry completed: ${resolved} resolved, ${stillFailing} still failing`);
+            
+            return {
+                emailsProcessed: resolved,
+                emailsTotal: failures.length,
+                operation: 'retryFailed',
+                errors: stillFailing > 0 ? [`${stillFailing} emails still failing`] : []
+            };
+            
+        } catch (error) {
+            console.error('❌ Error retrying failed messages:', error.message);
             throw error;
         }
     }
@@ -390,11 +1405,9 @@ class BatchProcessor {
             
             console.log('🧠 Generated label organization suggestions');
             
-            // This would typically require user approval
-            // For now, we'll just return the suggestions
-            
+            // Nothing changes in Gmail until the user approves suggestions (applySuggestions)
             return {
-                suggestions: suggestions,
+                suggestions: await this.storeLabelSuggestions(userId, suggestions, batchId),
                 operation: 'organizeLabels'
             };
             
@@ -404,34 +1417,291 @@ class BatchProcessor {
         }
     }
 
-    async fullBatchProcess(batchId, options) {
-        console.log('🔄 Starting full batch process...');
+    // Saves each suggestion as its own pending record and returns the suggestions with their IDs
+    async storeLabelSuggestions(userId, suggestions, batchId = null) {
+        const records = [];
+        const withIds = (items, type) => items.map(item => {
+            const suggestionId = this.generateSuggestionId();
+            records.push({ ...item, type, suggestionId, sourceBatchId: batchId });
+            return { ...item, suggestionId, status: 'pending' };
+        });
+        
+        const stored = {
+            mergeSuggestions: withIds(suggestions.mergeSuggestions, 'merge'),
+            hierarchySuggestions: withIds(suggestions.hierarchySuggestions, 'hierarchy'),
+            renameSuggestions: withIds(suggestions.renameSuggestions, 'rename'),
+            newLabels: withIds(suggestions.newLabels, 'newLabel')
+        };
+        
+        await this.mongoDb.saveLabelSuggestions(userId, records);
+        return stored;
+    }
+
+    // Carries out approved label suggestions in Gmail and mirrors them in MongoDB.
+    // Each suggestion ends up 'applied' or 'failed'; one failure does not stop the rest.
+    async batchApplySuggestions(batchId, options) {
+        console.log(`🗂️ Applying ${options.suggestionIds.length} label suggestions...`);
         
         const userId = options.userId;
-        const batchSize = options.batchSize || 100;
         
         try {
-            // Step 1: Fetch emails
-            console.log('📬 Step 1: Fetching emails...');
-            const fetchResult = await this.batchFetchEmails(batchId, { userId, batchSize });
+            const suggestions = (await this.mongoDb.getLabelSuggestions(userId, {
+                suggestionIds: options.suggestionIds,
+                status: 'approved'
+            }))
+                .filter(suggestion => suggestion.applyBatchId === batchId)
+                .sort((a, b) => SUGGESTION_ORDER.indexOf(a.type) - SUGGESTION_ORDER.indexOf(b.type));
             
-            // Step 2: Analyze emails
-            console.log('🧠 Step 2: Analyzing emails...');
-            const analyzeResult = await this.batchAnalyzeEmails(batchId, { userId, limit: batchSize });
+            // Current Gmail user labels by name, kept up to date as suggestions change them
+            const response = await this.gmail.users.labels.list({ userId: 'me' });
+            const labelsByName = new Map(
+                (response.data.labels || [])
+                    .filter(label => label.type === 'user')
+                    .map(label => [label.name, label])
+            );
             
-            // Step 3: Create labels
-            console.log('🏷️ Step 3: Creating labels...');
-            const createLabelsResult = await this.batchCreateLabels(batchId, { userId });
+            let suggestionsApplied = 0;
+            let emailsRelabeled = 0;
+            const errors = [];
             
-            // Step 4: Assign labels
-            console.log('📮 Step 4: Assigning labels...');
-            const assignLabelsResult = await this.batchAssignLabels(batchId, { userId, batchSize });
+            for (const suggestion of suggestions) {
+                await this.checkControl(batchId, { suggestionsApplied, emailsProcessed: emailsRelabeled });
+                
+                try {
+                    if (suggestion.type === 'newLabel') {
+                        await this.ensureLabel(batchId, userId, labelsByName, suggestion.name);
+                    } else if (suggestion.type === 'rename') {
+                        await this.renameGmailLabel(batchId, userId, labelsByName, suggestion.oldName, suggestion.newName);
+                    } else if (suggestion.type === 'merge') {
+                        emailsRelabeled += await this.mergeGmailLabels(batchId, userId, labelsByName, suggestion.oldLabel, suggestion.newLabel);
+                    } else if (suggestion.type === 'hierarchy') {
+                        await this.ensureLabel(batchId, userId, labelsByName, suggestion.parent);
+                        for (const child of suggestion.children || []) {
+                            if (!child.startsWith(`${suggestion.parent}/`)) {
+                                await this.renameGmailLabel(batchId, userId, labelsByName, child, `${suggestion.parent}/${child}`);
+                            }
+                        }
+                    }
+                    
+                    await this.mongoDb.updateLabelSuggestion(suggestion.suggestionId, {
+                        status: 'applied',
+                        appliedAt: new Date(),
+                        applyBatchId: batchId
+                    });
+                    suggestionsApplied++;
+                    
+                } catch (suggestionError) {
+                    console.error(`❌ Error applying ${suggestion.type} suggestion ${suggestion.suggestionId}:`, suggestionError.message);
+                    batchEvents.publish(batchId, 'emailError', { label: suggestion.suggestionId, step: 'applySuggestions', error: suggestionError.message });
+                    errors.push(`${suggestion.type} ${suggestion.suggestionId}: ${suggestionError.message}`);
+                    
+                    await this.mongoDb.updateLabelSuggestion(suggestion.suggestionId, {
+                        status: 'failed',
+                        error: suggestionError.message,
+                        applyBatchId: batchId
+                    });
+                }
+            }
+            
+            console.log(`✅ Applied ${suggestionsApplied}/${suggestions.length} label suggestions`);
+            
+            return {
+                suggestionsApplied,
+                suggestionsFailed: suggestions.length - suggestionsApplied,
+                emailsProcessed: emailsRelabeled,
+                operation: 'applySuggestions',
+                errors
+            };
+            
+        } catch (error) {
+            console.error('❌ Error applying label suggestions:', error.message);
+            throw error;
+        }
+    }
+
+    // Returns the Gmail label with this name, creating (and journaling) it when missing
+    async ensureLabel(batchId, userId, labelsByName, name) {
+        if (labelsByName.has(name)) {
+            return labelsByName.get(name);
+        }
+        
+        const createResponse = await this.gmail.users.labels.create({
+            userId: 'me',
+            requestBody: {
+                name,
+                labelListVisibility: 'labelShow',
+                messageListVisibility: 'show'
+            }
+        });
+        
+        await this.mongoDb.saveLabel({
+            userId,
+            name,
+            gmailLabelId: createResponse.data.id,
+            emailCount: 0,
+            isAuto: true
+        });
+        await this.journal(batchId, userId, 'createLabel', { labelId: createResponse.data.id, labelName: name });
+        
+        labelsByName.set(name, createResponse.data);
+        return createResponse.data;
+    }
+
+    async renameGmailLabel(batchId, userId, labelsByName, oldName, newName) {
+        const label = labelsByName.get(oldName);
+        if (!label) {
+            throw new Error(`Label "${oldName}" not found in Gmail`);
+        }
+        if (labelsByName.has(newName)) {
+            throw new Error(`Label "${newName}" already exists; merge instead of renaming`);
+        }
+        
+        await this.gmail.users.labels.patch({
+            userId: 'me',
+            id: label.id,
+            requestBody: { name: newName }
+        });
+        await this.mongoDb.renameLabel(userId, label.id, newName);
+        await this.mongoDb.renameSuggestedLabel(userId, oldName, newName);
+        await this.journal(batchId, userId, 'renameLabel', { labelId: label.id, labelName: newName, previousName: oldName });
+        
+        labelsByName.delete(oldName);
+        labelsByName.set(newName, { ...label, name: newName });
+        console.log(`✏️ Renamed label ${oldName} → ${newName}`);
+    }
+
+    // Ids of every message carrying all of the given labels
+    async listLabeledMessageIds(labelIds) {
+        const messageIds = [];
+        let pageToken;
+        
+        do {
+            const response = await this.gmail.users.messages.list({
+                userId: 'me',
+                labelIds,
+                maxResults: 500,
+                pageToken
+            });
+            (response.data.messages || []).forEach(message => messageIds.push(message.id));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        
+        return messageIds;
+    }
+
+    // Moves every message from one label to another, then deletes the emptied label.
+    // Merging into a label that does not exist yet is just a rename. Returns messages moved.
+    // The moves and the deletion are journaled, so rollback recreates the old label and
+    // moves the messages back.
+    async mergeGmailLabels(batchId, userId, labelsByName, oldName, newName) {
+        const source = labelsByName.get(oldName);
+        if (!source) {
+            throw new Error(`Label "${oldName}" not found in Gmail`);
+        }
+        
+        if (!labelsByName.has(newName)) {
+            await this.renameGmailLabel(batchId, userId, labelsByName, oldName, newName);
+            return 0;
+        }
+        
+        const target = labelsByName.get(newName);
+        const messageIds = await this.listLabeledMessageIds([source.id]);
+        // Messages that already had both labels must keep the target label on rollback
+        const alreadyTargeted = new Set(await this.listLabeledMessageIds([source.id, target.id]));
+        
+        for (const ids of chunk(messageIds, BATCH_MODIFY_MAX_IDS)) {
+            await this.gmail.users.messages.batchModify({
+                userId: 'me',
+                requestBody: { ids, addLabelIds: [target.id], removeLabelIds: [source.id] }
+            });
+            
+            const changes = {};
+            ids.forEach(id => { changes[id] = { added: [target.id], removed: [source.id] }; });
+            await this.mongoDb.applyEmailLabelChanges(userId, changes);
+            
+            const addedIds = ids.filter(id => !alreadyTargeted.has(id));
+            if (addedIds.length > 0) {
+                await this.journal(batchId, userId, 'addLabel', { labelId: target.id, labelName: newName, gmailIds: addedIds });
+            }
+            await this.journal(batchId, userId, 'removeLabel', { labelId: source.id, labelName: oldName, gmailIds: ids });
+        }
+        
+        await this.gmail.users.labels.delete({ userId: 'me', id: source.id });
+        await this.mongoDb.deleteLabel(userId, source.id);
+        await this.journal(batchId, userId, 'deleteLabel', {
+            labelId: source.id,
+            labelName: oldName,
+            color: source.color || null,
+            labelListVisibility: source.labelListVisibility || 'labelShow',
+            messageListVisibility: source.messageListVisibility || 'show'
+        });
+        await this.mongoDb.renameSuggestedLabel(userId, oldName, newName);
+        
+        labelsByName.delete(oldName);
+        console.log(`🔀 Merged label ${oldName} into ${newName} (${messageIds.length} messages)`);
+        return messageIds.length;
+    }
+
+    async fullBatchProcess(batchId, options, checkpoint = {}) {
+        console.log('🔄 Starting full batch process...');
+        
+        const userId = options.userId;
+        const batchSize = options.batchSize || 100;
+        const completedSteps = [...(checkpoint.completedSteps || [])];
+        const stepResults = { ...(checkpoint.stepResults || {}) };
+        
+        const steps = [
+            {
+                name: 'fetchEmails',
+                label: '📬 Step 1: Fetching emails...',
+                // Incremental runs (e.g. from a schedule) only pick up mailbox changes
+                run: () => options.incremental
+                    ? this.batchSyncEmails(batchId, { userId, batchSize, query: options.query, fetchMode: options.fetchMode, extractAttachments: options.extractAttachments })
+                    : this.batchFetchEmails(batchId, { userId, batchSize, query: options.query, fetchMode: options.fetchMode, extractAttachments: options.extractAttachments }, checkpoint)
+            },
+            {
+                name: 'analyzeEmails',
+                label: '🧠 Step 2: Analyzing emails...',
+                run: () => this.batchAnalyzeEmails(batchId, { userId, limit: batchSize })
+            },
+            {
+                name: 'createLabels',
+                label: '🏷️ Step 3: Creating labels...',
+                run: () => this.batchCreateLabels(batchId, { userId, dryRun: options.dryRun })
+            },
+            {
+                name: 'assignLabels',
+                label: '📮 Step 4: Assigning labels...',
+                run: () => this.batchAssignLabels(batchId, { userId, batchSize, dryRun: options.dryRun, minConfidence: options.minConfidence })
+            }
+        ];
+        
+        try {
+            for (const step of steps) {
+                if (completedSteps.includes(step.name)) {
+                    console.log(`⏭️ ${step.name} already completed, skipping`);
+                    continue;
+                }
+                
+                console.log(step.label);
+                await this.updateBatchLog(batchId, { currentStep: step.name });
+                batchEvents.publish(batchId, 'step', { step: step.name, index: steps.indexOf(step) + 1, total: steps.length });
+                
+                stepResults[step.name] = await step.run();
+                completedSteps.push(step.name);
+                
+                // Checkpoint after every step so a resumed batch picks up at the next one
+                await this.updateBatchLog(batchId, {
+                    'checkpoint.completedSteps': completedSteps,
+                    'checkpoint.stepResults': stepResults
+                });
+            }
             
             const finalResult = {
-                ...fetchResult,
-                ...analyzeResult,
-                ...createLabelsResult,
-                ...assignLabelsResult,
+                ...stepResults.fetchEmails,
+                ...stepResults.analyzeEmails,
+                ...stepResults.createLabels,
+                ...stepResults.assignLabels,
                 operation: 'fullProcess'
             };
             
@@ -446,8 +1716,7 @@ class BatchProcessor {
 
     async getBatchStatus(batchId) {
         try {
-            const batchLog = await this.mongoDb.db.collection('batchLogs').findOne({ batchId });
-            return batchLog;
+            return await this.mongoDb.getBatchLog(batchId);
         } catch (error) {
             console.error('❌ Error getting batch status:', error.message);
             throw error;
@@ -466,6 +1735,10 @@ class BatchProcessor {
     generateBatchId() {
         return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
+
+    generateSuggestionId() {
+        return `suggestion_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
 }
 
 module.exports = BatchProcessor;
@@ -0,0 +1,236 @@
+// Cron field ranges: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    // 0 and 7 are both Sunday
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Statuses that mean the previous run of a schedule has not finished yet
+const ACTIVE_BATCH_STATUSES = ['created', 'queued', 'running', 'paused'];
+
+function parseCronField(value, field) {
+    const values = new Set();
+
+    for (const part of value.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        let start = field.min;
+        let end = field.max;
+
+        if (range !== '*') {
+            const bounds = range.split('-').map(n => parseInt(n, 10));
+            start = bounds[0];
+            end = bounds.length > 1 ? bounds[1] : (stepText === undefined ? start : field.max);
+        }
+
+        if ([start, end, step].some(n => isNaN(n)) || step < 1 || start < field.min || end > field.max || start > end) {
+            throw new Error(`Invalid cron ${field.name} field: "${value}"`);
+        }
+
+        for (let n = start; n <= end; n += step) {
+            values.add(n);
+        }
+    }
+
+    return values;
+}
+
+// Supports the standard 5-field syntax: *, */n, a-b, a-b/n and comma lists
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields (minute hour day-of-month month day-of-week)');
+    }
+
+    const parsed = {};
+    CRON_FIELDS.forEach((field, index) => {
+        parsed[field.name] = parseCronField(parts[index], field);
+    });
+    // Sunday may be written as 7; ranges and steps are expanded first so 5-7 still works
+    if (parsed.dayOfWeek.delete(7)) {
+        parsed.dayOfWeek.add(0);
+    }
+
+    // Classic cron: when both day fields are restricted, either one matching is enough
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+    return parsed;
+}
+
+function cronDayMatches(parsed, date) {
+    const domMatch = parsed.dayOfMonth.has(date.getDate());
+    const dowMatch = parsed.dayOfWeek.has(date.getDay());
+
+    if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+// Next matching minute strictly after `from`, in server local time
+function nextCronRun(parsed, from) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Long enough to reach the next Feb 29
+    const limit = new Date(from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000);
+
+    while (date <= limit) {
+        if (!parsed.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(parsed, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!parsed.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!parsed.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error('Cron expression never matches');
+}
+
+class BatchScheduler {
+    constructor(mongoDb, batchProcessor, batchWorker, options = {}) {
+        this.mongoDb = mongoDb;
+        this.batchProcessor = batchProcessor;
+        this.batchWorker = batchWorker;
+        this.tickInterval = options.tickInterval || parseInt(process.env.SCHEDULER_TICK_MS) || 30000;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        console.log(`⏰ Batch scheduler started (tick every ${this.tickInterval}ms)`);
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('⏰ Batch scheduler stopped');
+        }
+    }
+
+    // Throws if the timing spec is invalid; accepts { cron } or { intervalMinutes }
+    validateTiming(timing) {
+        if (timing.cron) {
+            nextCronRun(parseCron(timing.cron), new Date());
+            return;
+        }
+
+        const interval = Number(timing.intervalMinutes);
+        if (!interval || interval < 5) {
+            throw new Error('Schedule needs a cron expression or an interval of at least 5 minutes');
+        }
+    }
+
+    computeNextRun(timing, from = new Date()) {
+        if (timing.cron) {
+            return nextCronRun(parseCron(timing.cron), from);
+        }
+        return new Date(from.getTime() + Number(timing.intervalMinutes) * 60 * 1000);
+    }
+
+    previewRuns(timing, count = 5, from = new Date()) {
+        this.validateTiming(timing);
+
+        const runs = [];
+        let cursor = from;
+        for (let i = 0; i < Math.min(count, 50); i++) {
+            cursor = this.computeNextRun(timing, cursor);
+            runs.push(cursor);
+        }
+        return runs;
+    }
+
+    async tick() {
+        if (this.ticking) {
+            return;
+        }
+
+        this.ticking = true;
+
+        try {
+            const now = new Date();
+            const dueSchedules = await this.mongoDb.getDueSchedules(now);
+
+            for (const schedule of dueSchedules) {
+                await this.runSchedule(schedule, now);
+            }
+        } catch (error) {
+            console.error('❌ Scheduler tick failed:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async runSchedule(schedule, now) {
+        try {
+            // Claim this run by moving nextRunAt forward; a concurrent tick loses the race
+            const nextRunAt = this.computeNextRun(schedule, now);
+            const claimed = await this.mongoDb.claimScheduleRun(schedule.scheduleId, schedule.nextRunAt, nextRunAt);
+            if (!claimed) {
+                return;
+            }
+
+            if (schedule.lastBatchId) {
+                const lastBatch = await this.mongoDb.getBatchLog(schedule.lastBatchId);
+                if (lastBatch && ACTIVE_BATCH_STATUSES.includes(lastBatch.status)) {
+                    console.log(`⏭️ Skipping schedule ${schedule.scheduleId}: batch ${lastBatch.batchId} is still ${lastBatch.status}`);
+                    await this.mongoDb.updateSchedule(schedule.userId, schedule.scheduleId, {
+                        lastSkippedAt: now,
+                        skipCount: (schedule.skipCount || 0) + 1
+                    });
+                    return;
+                }
+            }
+
+            const batchId = await this.batchProcessor.createBatch(
+                schedule.userId,
+                schedule.operation,
+                { ...schedule.options, userId: schedule.userId },
+                { scheduleId: schedule.scheduleId }
+            );
+            await this.batchProcessor.enqueueBatch(batchId);
+
+            await this.mongoDb.updateSchedule(schedule.userId, schedule.scheduleId, {
+                lastRunAt: now,
+                lastBatchId: batchId,
+                runCount: (schedule.runCount || 0) + 1
+            });
+
+            console.log(`⏰ Schedule ${schedule.scheduleId} queued batch ${batchId}`);
+            this.batchWorker.wake();
+
+        } catch (error) {
+            console.error(`❌ Error running schedule ${schedule.scheduleId}:`, error.message);
+            await this.mongoDb.updateSchedule(schedule.userId, schedule.scheduleId, {
+                lastError: error.message,
+                lastErrorAt: now
+            });
+        }
+    }
+
+    generateScheduleId() {
+        return `schedule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+module.exports = BatchScheduler;
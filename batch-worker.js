@@ -0,0 +1,175 @@
+// These operations keep no checkpoint and are not safe to run twice: a re-run of a
+// half-applied merge or rename fails on labels that are already gone
+const NON_RESUMABLE_OPERATIONS = ['applyPlan', 'applySuggestions', 'rollback'];
+
+class BatchWorker {
+    constructor(mongoDb, batchProcessor, options = {}) {
+        this.mongoDb = mongoDb;
+        this.batchProcessor = batchProcessor;
+        this.pollInterval = options.pollInterval || parseInt(process.env.BATCH_WORKER_POLL_MS) || 2000;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.workerId = `worker_${process.pid}_${Math.random().toString(36).substr(2, 6)}`;
+        this.running = false;
+        this.busy = false;
+        this.timer = null;
+        this.currentBatch = null;
+
+        // Persist refreshed access tokens for whichever user the current job belongs to
+        this.batchProcessor.oauth2Client.on('tokens', (tokens) => {
+            this.saveRefreshedTokens(tokens);
+        });
+    }
+
+    async start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        await this.recoverInterruptedBatches();
+
+        console.log(`👷 Batch worker ${this.workerId} started (poll every ${this.pollInterval}ms)`);
+        this.scheduleNextPoll(0);
+    }
+
+    stop() {
+        this.running = false;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        console.log(`👷 Batch worker ${this.workerId} stopped`);
+    }
+
+    // Called after a batch is queued so it starts without waiting for the next poll
+    wake() {
+        if (this.running && !this.busy) {
+            this.scheduleNextPoll(0);
+        }
+    }
+
+    scheduleNextPoll(delay) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.poll();
+        }, delay);
+    }
+
+    async poll() {
+        if (!this.running || this.busy) {
+            return;
+        }
+
+        this.busy = true;
+
+        try {
+            let batchLog = await this.mongoDb.claimNextBatch(this.workerId);
+
+            while (batchLog && this.running) {
+                await this.runBatch(batchLog);
+                batchLog = await this.mongoDb.claimNextBatch(this.workerId);
+            }
+        } catch (error) {
+            console.error('❌ Batch worker poll failed:', error.message);
+        } finally {
+            this.busy = false;
+
+            if (this.running) {
+                this.scheduleNextPoll(this.pollInterval);
+            }
+        }
+    }
+
+    async runBatch(batchLog) {
+        this.currentBatch = batchLog;
+        console.log(`👷 Worker picked up batch ${batchLog.batchId} (${batchLog.operation}, attempt ${batchLog.attempts})`);
+
+        try {
+            const user = await this.mongoDb.getUser(batchLog.userId);
+
+            if (!user) {
+                await this.mongoDb.updateBatchLog(batchLog.batchId, {
+                    status: 'failed',
+                    endTime: new Date(),
+                    errors: ['User not found']
+                });
+                return;
+            }
+
+            await this.batchProcessor.executeBatch(batchLog.batchId, {
+                accessToken: user.accessToken,
+                refreshToken: user.refreshToken
+            });
+        } catch (error) {
+            // executeBatch has already recorded the failure on the batch log
+            console.error(`❌ Worker batch ${batchLog.batchId} failed:`, error.message);
+        } finally {
+            this.currentBatch = null;
+        }
+    }
+
+    // Jobs still marked running at startup were cut off by a restart. Requeued jobs
+    // continue from their checkpoint; label changes are left interrupted so the user
+    // can inspect them and roll back from the journal instead.
+    async recoverInterruptedBatches() {
+        try {
+            const orphaned = await this.mongoDb.getBatchLogsByStatus('running');
+
+            for (const batchLog of orphaned) {
+                if (NON_RESUMABLE_OPERATIONS.includes(batchLog.operation)) {
+                    await this.mongoDb.updateBatchLog(batchLog.batchId, {
+                        status: 'interrupted',
+                        endTime: new Date(),
+                        errors: [...(batchLog.errors || []), `${batchLog.operation} was interrupted by a restart and cannot be resumed`]
+                    });
+                    console.log(`⚠️ Marked batch ${batchLog.batchId} as interrupted (${batchLog.operation} cannot be resumed)`);
+                } else if ((batchLog.attempts || 0) < this.maxAttempts) {
+                    await this.mongoDb.updateBatchLog(batchLog.batchId, {
+                        status: 'queued',
+                        queuedAt: new Date(),
+                        interruptedAt: new Date()
+                    });
+                    console.log(`♻️ Requeued interrupted batch ${batchLog.batchId}`);
+                } else {
+                    await this.mongoDb.updateBatchLog(batchLog.batchId, {
+                        status: 'interrupted',
+                        endTime: new Date(),
+                        errors: [...(batchLog.errors || []), `Interrupted after ${batchLog.attempts} attempts`]
+                    });
+                    console.log(`⚠️ Marked batch ${batchLog.batchId} as interrupted`);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error recovering interrupted batches:', error.message);
+        }
+    }
+
+    async saveRefreshedTokens(tokens) {
+        if (!this.currentBatch || !tokens.access_token) {
+            return;
+        }
+
+        try {
+            const user = await this.mongoDb.getUser(this.currentBatch.userId);
+
+            await this.mongoDb.updateUserTokens(this.currentBatch.userId, {
+                accessToken: tokens.access_token,
+                refreshToken: tokens.refresh_token || (user && user.refreshToken),
+                tokenExpiry: tokens.expiry_date ? new Date(tokens.expiry_date) : undefined
+            });
+            console.log(`🔄 Stored refreshed token for user ${this.currentBatch.userId}`);
+        } catch (error) {
+            console.error('❌ Error storing refreshed token:', error.message);
+        }
+    }
+}
+
+BatchWorker.NON_RESUMABLE_OPERATIONS = NON_RESUMABLE_OPERATIONS;
+
+module.exports = BatchWorker;
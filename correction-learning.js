@@ -0,0 +1,126 @@
+// Turns users' manual recategorizations into prompt examples and sender/domain override rules.
+// Shared by server-simple.js (SQLite) and the MongoDB analyzer, so it must stay Node 10 safe.
+
+// A sender or domain becomes an override once this many corrections agree on one category
+const OVERRIDE_MIN_CORRECTIONS = parseInt(process.env.OVERRIDE_MIN_CORRECTIONS) || 3;
+const OVERRIDE_MIN_AGREEMENT = 0.8;
+// Overrides skip the model entirely, so they rank just below a direct user choice
+const OVERRIDE_CONFIDENCE = 0.95;
+const FEW_SHOT_EXAMPLES = process.env.FEW_SHOT_EXAMPLES !== undefined
+    ? parseInt(process.env.FEW_SHOT_EXAMPLES)
+    : 3;
+
+// Everyone shares these domains, so they only ever get sender-level overrides
+const PUBLIC_MAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'outlook.com', 'hotmail.com',
+    'live.com', 'icloud.com', 'me.com', 'aol.com', 'protonmail.com', 'proton.me', 'rediffmail.com'
+];
+
+// Words too common in mail subjects to say anything about the category
+const STOP_WORDS = ['your', 'from', 'with', 'this', 'that', 'have', 'will', 'been', 'dear', 'please', 'update'];
+
+// "HDFC Bank <alerts@hdfcbank.net>" -> { address: 'alerts@hdfcbank.net', domain: 'hdfcbank.net' }
+function parseSender(from) {
+    const text = String(from || '');
+    const match = text.match(/<([^>]+)>/) || text.match(/(\S+@\S+)/);
+    const address = (match ? match[1] : text).trim().toLowerCase();
+    const at = address.lastIndexOf('@');
+    return {
+        address,
+        domain: at >= 0 ? address.substring(at + 1) : address
+    };
+}
+
+function isPublicMailDomain(domain) {
+    return PUBLIC_MAIL_DOMAINS.indexOf(domain) >= 0;
+}
+
+function subjectWords(subject) {
+    return String(subject || '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length >= 4 && STOP_WORDS.indexOf(word) < 0);
+}
+
+// The override a sender's or domain's corrections add up to, or null while they are too few or
+// disagree. `corrections` are { category, label } objects for one sender or domain.
+function deriveOverride(corrections) {
+    if (corrections.length < OVERRIDE_MIN_CORRECTIONS) {
+        return null;
+    }
+
+    const counts = {};
+    corrections.forEach(correction => {
+        counts[correction.category] = (counts[correction.category] || 0) + 1;
+    });
+
+    const category = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    if (counts[category] / corrections.length < OVERRIDE_MIN_AGREEMENT) {
+        return null;
+    }
+
+    // The most recent label given for the winning category (corrections are newest first)
+    const latest = corrections.filter(correction => correction.category === category)[0];
+    return {
+        category,
+        label: latest.label || category,
+        corrections: counts[category]
+    };
+}
+
+// Picks the past corrections most like the given emails: same sender, then same domain, then
+// shared subject words. `corrections` are newest first with { from, subject, category, label }.
+function selectFewShotExamples(corrections, emails, limit = FEW_SHOT_EXAMPLES) {
+    if (!limit) {
+        return [];
+    }
+
+    const senders = emails.map(email => parseSender(email.from));
+    const words = new Set();
+    emails.forEach(email => subjectWords(email.subject).forEach(word => words.add(word)));
+
+    const scored = corrections.map((correction, index) => {
+        const sender = parseSender(correction.from);
+        let score = 0;
+
+        if (senders.some(s => s.address === sender.address)) {
+            score += 3;
+        } else if (senders.some(s => s.domain === sender.domain) && !isPublicMailDomain(sender.domain)) {
+            score += 2;
+        }
+
+        score += subjectWords(correction.subject).filter(word => words.has(word)).length * 0.5;
+
+        return { correction, score, index };
+    });
+
+    return scored
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, limit)
+        .map(item => item.correction);
+}
+
+// Prompt section listing corrected examples; empty when there are none
+function formatFewShotExamples(examples) {
+    if (examples.length === 0) {
+        return '';
+    }
+
+    return `The user corrected these similar emails before. Follow their choices for similar mail:
+${examples.map(example => `- Subject: ${example.subject}
+  From: ${example.from}
+  Correct category: ${example.category}${example.label && example.label !== example.category ? ` (label: ${example.label})` : ''}`).join('\n')}
+
+`;
+}
+
+module.exports = {
+    OVERRIDE_CONFIDENCE,
+    parseSender,
+    isPublicMailDomain,
+    deriveOverride,
+    selectFewShotExamples,
+    formatFewShotExamples
+};
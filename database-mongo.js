@@ -1,4 +1,21 @@
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
+const { escapeRegExp } = require('./search-query');
+
+// Email fields searched by GET /api/search, with their text index weights
+const SEARCH_FIELD_WEIGHTS = {
+    subject: 10,
+    from: 5,
+    to: 2,
+    'analysis.category': 3,
+    'analysis.suggestedLabel': 3,
+    'analysis.purpose': 3,
+    'analysis.summary': 3,
+    'attachments.filename': 2,
+    snippet: 2,
+    body: 1,
+    'attachments.text': 1
+};
+const SEARCH_FIELDS = Object.keys(SEARCH_FIELD_WEIGHTS);
 
 class MongoDatabase {
     constructor() {
@@ -46,6 +63,10 @@ class MongoDatabase {
             await this.db.collection('emails').createIndex({ userId: 1, timestamp: -1 });
             await this.db.collection('emails').createIndex({ 'analysis.category': 1 });
             await this.db.collection('emails').createIndex({ processed: 1 });
+            await this.db.collection('emails').createIndex({ userId: 1, 'review.status': 1 });
+            const textIndex = { userId: 1 };
+            SEARCH_FIELDS.forEach(field => { textIndex[field] = 'text'; });
+            await this.db.collection('emails').createIndex(textIndex, { name: 'emails_search', weights: SEARCH_FIELD_WEIGHTS });
             
             // Labels collection
             await this.db.collection('labels').createIndex({ userId: 1, name: 1 }, { unique: true });
@@ -54,6 +75,48 @@ class MongoDatabase {
             // Batch logs collection
             await this.db.collection('batchLogs').createIndex({ batchId: 1 }, { unique: true });
             await this.db.collection('batchLogs').createIndex({ userId: 1, startTime: -1 });
+            await this.db.collection('batchLogs').createIndex({ status: 1, queuedAt: 1 });
+            await this.db.collection('batchLogs').createIndex({ scheduleId: 1, startTime: -1 });
+            
+            // Per-message batch failures (dead letters)
+            await this.db.collection('batchFailures').createIndex({ userId: 1, gmailId: 1, step: 1 }, { unique: true });
+            await this.db.collection('batchFailures').createIndex({ batchIds: 1, status: 1 });
+            
+            // Undo journal of Gmail label changes
+            await this.db.collection('labelJournal').createIndex({ userId: 1, batchId: 1, createdAt: -1 });
+            
+            // AI label organization suggestions and their approval state
+            await this.db.collection('labelSuggestions').createIndex({ suggestionId: 1 }, { unique: true });
+            await this.db.collection('labelSuggestions').createIndex({ userId: 1, status: 1, createdAt: -1 });
+            
+            // Batch schedules collection
+            await this.db.collection('schedules').createIndex({ scheduleId: 1 }, { unique: true });
+            await this.db.collection('schedules').createIndex({ userId: 1, createdAt: -1 });
+            await this.db.collection('schedules').createIndex({ enabled: 1, nextRunAt: 1 });
+            
+            // Per-user preferences, kept apart from users because saveUser replaces that document
+            await this.db.collection('userSettings').createIndex({ userId: 1 }, { unique: true });
+            
+            // Custom category trees, one document per user who changed the default
+            await this.db.collection('taxonomies').createIndex({ userId: 1 }, { unique: true });
+            
+            // Per-user categorization rules, the whole ordered list in one document
+            await this.db.collection('rules').createIndex({ userId: 1 }, { unique: true });
+            
+            // Gmail History API sync state, one document per user
+            await this.db.collection('syncState').createIndex({ userId: 1 }, { unique: true });
+            
+            // LLM analyses of near-identical mail, reused until they expire
+            await this.db.collection('analysisCache').createIndex({ userId: 1, cacheKey: 1 }, { unique: true });
+            await this.db.collection('analysisCache').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+            await this.db.collection('analysisCache').createIndex({ userId: 1, senderDomain: 1 });
+            
+            // User corrections (few-shot examples) and the sender/domain overrides derived from them
+            await this.db.collection('corrections').createIndex({ userId: 1, gmailId: 1 }, { unique: true });
+            await this.db.collection('corrections').createIndex({ userId: 1, createdAt: -1 });
+            await this.db.collection('corrections').createIndex({ userId: 1, senderAddress: 1 });
+            await this.db.collection('corrections').createIndex({ userId: 1, senderDomain: 1 });
+            await this.db.collection('categoryOverrides').createIndex({ userId: 1, type: 1, value: 1 }, { unique: true });
             
             // Rate limiting collection with TTL
             await this.db.collection('rateLimits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
@@ -142,6 +205,16 @@ class MongoDatabase {
                 query.processed = options.processed;
             }
             
+            if (options.synced !== undefined) {
+                query.synced = options.synced;
+            }
+            
+            if (options.reviewStatus) {
+                query['review.status'] = options.reviewStatus;
+            } else if (options.excludePendingReview) {
+                query['review.status'] = { $ne: 'pending' };
+            }
+            
             if (options.category) {
                 query['analysis.category'] = options.category;
             }
@@ -157,6 +230,178 @@ class MongoDatabase {
         }
     }
 
+    // Emails matching a query from parseSearchQuery, best matches first when it has search words
+    // and newest first otherwise. The text index finds and ranks candidates by any of the words;
+    // every word must then appear somewhere, as in Gmail. Bodies and attachment text are left
+    // out of the results.
+    async searchEmails(userId, search, options = {}) {
+        try {
+            const collection = this.db.collection('emails');
+            const query = { userId };
+            const conditions = [];
+            const anyField = (text) => ({
+                $or: SEARCH_FIELDS.map(field => ({ [field]: new RegExp(escapeRegExp(text), 'i') }))
+            });
+
+            if (search.terms.length > 0) {
+                query.$text = { $search: search.terms.map(term => `"${term}"`).join(' ') };
+                search.terms.forEach(term => conditions.push(anyField(term)));
+            }
+            if (search.excluded.length > 0) {
+                query.$nor = search.excluded.map(anyField);
+            }
+
+            ['from', 'to', 'subject'].forEach(field => {
+                search.filters[field].forEach(value => {
+                    conditions.push({ [field]: new RegExp(escapeRegExp(value), 'i') });
+                });
+            });
+            // A category also finds its subcategories
+            search.filters.category.forEach(value => {
+                conditions.push({ 'analysis.category': new RegExp(`^${escapeRegExp(value)}(/|$)`, 'i') });
+            });
+
+            if (search.filters.label.length > 0) {
+                // Gmail writes spaces in label names as hyphens; system labels go by their ids
+                const labels = await this.getLabels(userId);
+                search.filters.label.forEach(value => {
+                    const name = value.toLowerCase();
+                    const ids = labels
+                        .filter(label => [label.name.toLowerCase(), label.name.toLowerCase().replace(/\s+/g, '-')].includes(name))
+                        .map(label => label.gmailLabelId);
+                    conditions.push({ labelIds: { $in: ids.concat(value.toUpperCase()) } });
+                });
+            }
+
+            if (search.sentiment) {
+                query['analysis.sentiment'] = search.sentiment;
+            }
+            if (search.after || search.before) {
+                query.timestamp = {};
+                if (search.after) {
+                    query.timestamp.$gte = search.after;
+                }
+                if (search.before) {
+                    query.timestamp.$lt = search.before;
+                }
+            }
+            if (search.hasAttachment) {
+                query['attachments.0'] = { $exists: true };
+            }
+            if (conditions.length > 0) {
+                query.$and = conditions;
+            }
+
+            const projection = { body: 0, 'attachments.text': 0 };
+            let sort = { timestamp: -1 };
+            if (query.$text) {
+                projection.score = { $meta: 'textScore' };
+                sort = { score: { $meta: 'textScore' }, timestamp: -1 };
+            }
+
+            return await collection.find(query)
+                .project(projection)
+                .sort(sort)
+                .limit(options.limit || 50)
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error searching emails:', error.message);
+            throw error;
+        }
+    }
+
+    // One page of the email list for GET /api/emails. `filters` mirror the stored fields;
+    // `page` is { sort: 'newest'|'oldest', limit, after: { timestamp, id } }, where `after` is
+    // the last email of the previous page. Resolves with { emails, total, hasMore }; `total`
+    // counts every match, not only this page.
+    async listEmails(userId, filters = {}, page = {}) {
+        try {
+            const collection = this.db.collection('emails');
+            const query = { userId };
+
+            ['processed', 'synced'].forEach(field => {
+                if (filters[field] !== undefined) {
+                    query[field] = filters[field];
+                }
+            });
+            ['from', 'to', 'subject'].forEach(field => {
+                if (filters[field]) {
+                    query[field] = new RegExp(escapeRegExp(filters[field]), 'i');
+                }
+            });
+            if (filters.category) {
+                query['analysis.category'] = new RegExp(`^${escapeRegExp(filters.category)}(/|$)`, 'i');
+            }
+            if (filters.source) {
+                query['analysis.source'] = filters.source;
+            }
+            if (filters.sentiment) {
+                query['analysis.sentiment'] = filters.sentiment;
+            }
+            if (filters.minConfidence !== undefined || filters.maxConfidence !== undefined) {
+                query['analysis.confidence'] = {};
+                if (filters.minConfidence !== undefined) {
+                    query['analysis.confidence'].$gte = filters.minConfidence;
+                }
+                if (filters.maxConfidence !== undefined) {
+                    query['analysis.confidence'].$lte = filters.maxConfidence;
+                }
+            }
+            if (filters.reviewStatus) {
+                query['review.status'] = filters.reviewStatus;
+            }
+            if (filters.labelId) {
+                query.labelIds = filters.labelId;
+            }
+            if (filters.hasAttachments !== undefined) {
+                query['attachments.0'] = { $exists: filters.hasAttachments };
+            }
+            if (filters.after || filters.before) {
+                query.timestamp = {};
+                if (filters.after) {
+                    query.timestamp.$gte = filters.after;
+                }
+                if (filters.before) {
+                    query.timestamp.$lt = filters.before;
+                }
+            }
+
+            // Keyset paging: emails after the previous page's last one in (timestamp, _id) order,
+            // so pages stay stable while new mail arrives
+            const direction = page.sort === 'oldest' ? 1 : -1;
+            const pageQuery = { ...query };
+            if (page.after) {
+                const beyond = direction === 1 ? '$gt' : '$lt';
+                const id = new ObjectId(page.after.id);
+                pageQuery.$and = [{
+                    $or: [
+                        { timestamp: { [beyond]: page.after.timestamp } },
+                        { timestamp: page.after.timestamp, _id: { [beyond]: id } }
+                    ]
+                }];
+            }
+
+            const limit = page.limit || 50;
+            const [emails, total] = await Promise.all([
+                collection.find(pageQuery)
+                    .project({ body: 0, 'attachments.text': 0 })
+                    .sort({ timestamp: direction, _id: direction })
+                    .limit(limit + 1)
+                    .toArray(),
+                collection.countDocuments(query)
+            ]);
+
+            return {
+                emails: emails.slice(0, limit),
+                total,
+                hasMore: emails.length > limit
+            };
+        } catch (error) {
+            console.error('❌ Error listing emails:', error.message);
+            throw error;
+        }
+    }
+
     async updateEmailAnalysis(gmailId, analysis) {
         try {
             const collection = this.db.collection('emails');
@@ -177,89 +422,1242 @@ class MongoDatabase {
         }
     }
 
-    // Label management
-    async saveLabel(labelData) {
+    // Marks emails whose label was applied in Gmail, keeping the stored labelIds in step
+    async markEmailsSynced(userId, gmailIds, labelId) {
         try {
-            const collection = this.db.collection('labels');
-            const result = await collection.replaceOne(
-                { userId: labelData.userId, name: labelData.name },
+            const collection = this.db.collection('emails');
+            const update = { $set: { synced: true, updatedAt: new Date() } };
+            if (labelId) {
+                update.$addToSet = { labelIds: labelId };
+            }
+            const result = await collection.updateMany({ userId, gmailId: { $in: gmailIds } }, update);
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('❌ Error marking emails synced:', error.message);
+            throw error;
+        }
+    }
+
+    // Holds emails back from labeling until a person reviews them; already-queued emails keep
+    // their original queue entry
+    async queueEmailsForReview(userId, gmailIds, review) {
+        try {
+            const collection = this.db.collection('emails');
+            const result = await collection.updateMany(
+                { userId, gmailId: { $in: gmailIds }, 'review.status': { $ne: 'pending' } },
                 {
-                    ...labelData,
-                    updatedAt: new Date()
+                    $set: {
+                        review: {
+                            ...review,
+                            status: 'pending',
+                            queuedAt: new Date()
+                        },
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('❌ Error queueing emails for review:', error.message);
+            throw error;
+        }
+    }
+
+    // The review queue: analyzed emails not yet labeled in Gmail that nobody has confirmed.
+    // Emails flagged for review come first, then the least confident analyses.
+    reviewQueueQuery(userId, options = {}) {
+        const query = {
+            userId,
+            processed: true,
+            synced: false,
+            'review.status': { $ne: 'confirmed' }
+        };
+        
+        if (options.category) {
+            query['analysis.category'] = options.category;
+        }
+        
+        if (options.gmailIds) {
+            query.gmailId = { $in: options.gmailIds };
+        }
+        
+        return query;
+    }
+
+    async getReviewQueue(userId, options = {}) {
+        try {
+            const collection = this.db.collection('emails');
+            return await collection.find(this.reviewQueueQuery(userId, options))
+                .sort({ 'review.status': -1, 'analysis.confidence': 1, timestamp: -1 })
+                .limit(options.limit || 50)
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching review queue:', error.message);
+            throw error;
+        }
+    }
+
+    // Queue size per category, with how many of those were flagged rather than merely unconfirmed
+    async getReviewQueueSummary(userId) {
+        try {
+            const collection = this.db.collection('emails');
+            
+            const pipeline = [
+                { $match: this.reviewQueueQuery(userId) },
+                {
+                    $group: {
+                        _id: '$analysis.category',
+                        count: { $sum: 1 },
+                        flagged: { $sum: { $cond: [{ $eq: ['$review.status', 'pending'] }, 1, 0] } }
+                    }
                 },
-                { upsert: true }
+                { $sort: { count: -1 } }
+            ];
+            
+            return await collection.aggregate(pipeline).toArray();
+        } catch (error) {
+            console.error('❌ Error summarizing review queue:', error.message);
+            throw error;
+        }
+    }
+
+    // Accepts the current analysis of queued emails, selected by gmailIds and/or category
+    async confirmEmailReviews(userId, selection) {
+        try {
+            const collection = this.db.collection('emails');
+            const result = await collection.updateMany(
+                this.reviewQueueQuery(userId, selection),
+                {
+                    $set: {
+                        'review.status': 'confirmed',
+                        'review.action': 'accepted',
+                        'review.reviewedAt': new Date(),
+                        updatedAt: new Date()
+                    }
+                }
             );
-            return result;
+            return result.modifiedCount;
         } catch (error) {
-            console.error('❌ Error saving label:', error.message);
+            console.error('❌ Error confirming reviews:', error.message);
             throw error;
         }
     }
 
-    async getLabels(userId) {
+    // Replaces a queued email's category and label with the user's choice. The analysis is then
+    // the user's, so its provenance changes too; the original answer is kept on the review.
+    async correctEmailAnalysis(userId, gmailId, correction) {
         try {
-            const collection = this.db.collection('labels');
-            return await collection.find({ userId }).toArray();
+            const collection = this.db.collection('emails');
+            const email = await collection.findOne(this.reviewQueueQuery(userId, { gmailIds: [gmailId] }));
+            
+            if (!email) {
+                return null;
+            }
+            
+            const analysis = email.analysis || {};
+            const result = await collection.findOneAndUpdate(
+                { _id: email._id, synced: false },
+                {
+                    $set: {
+                        'analysis.category': correction.category,
+                        'analysis.suggestedLabel': correction.label,
+                        'analysis.confidence': 1,
+                        'analysis.source': 'user',
+                        'analysis.model': null,
+                        'analysis.promptVersion': null,
+                        'review.status': 'confirmed',
+                        'review.action': 'corrected',
+                        'review.originalCategory': analysis.category || null,
+                        'review.originalLabel': analysis.suggestedLabel || null,
+                        'review.reviewedAt': new Date(),
+                        updatedAt: new Date()
+                    }
+                },
+                { returnOriginal: false }
+            );
+            return result.value;
         } catch (error) {
-            console.error('❌ Error fetching labels:', error.message);
+            console.error('❌ Error correcting email analysis:', error.message);
             throw error;
         }
     }
 
-    async getLabelByName(userId, name) {
+    async getEmailsByIds(userId, gmailIds) {
         try {
-            const collection = this.db.collection('labels');
-            return await collection.findOne({ userId, name });
+            const collection = this.db.collection('emails');
+            return await collection.find({ userId, gmailId: { $in: gmailIds } }).toArray();
         } catch (error) {
-            console.error('❌ Error fetching label by name:', error.message);
+            console.error('❌ Error fetching emails by ID:', error.message);
             throw error;
         }
     }
 
-    // Batch operations and logging
-    async createBatchLog(batchData) {
+    // Reverse of markEmailsSynced, used when a label is rolled back
+    async unmarkEmailsSynced(userId, gmailIds, labelId) {
         try {
-            const collection = this.db.collection('batchLogs');
-            const result = await collection.insertOne({
-                ...batchData,
-                startTime: new Date(),
-                status: 'started'
+            const collection = this.db.collection('emails');
+            const result = await collection.updateMany(
+                { userId, gmailId: { $in: gmailIds } },
+                {
+                    $set: { synced: false, updatedAt: new Date() },
+                    $pull: { labelIds: labelId }
+                }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('❌ Error unmarking synced emails:', error.message);
+            throw error;
+        }
+    }
+
+    // Returns the subset of gmailIds already stored for the user
+    async getExistingGmailIds(userId, gmailIds) {
+        try {
+            const collection = this.db.collection('emails');
+            const existing = await collection.find(
+                { userId, gmailId: { $in: gmailIds } },
+                { projection: { gmailId: 1 } }
+            ).toArray();
+            return new Set(existing.map(email => email.gmailId));
+        } catch (error) {
+            console.error('❌ Error checking stored emails:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteEmails(userId, gmailIds) {
+        try {
+            const collection = this.db.collection('emails');
+            const result = await collection.deleteMany({ userId, gmailId: { $in: gmailIds } });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('❌ Error deleting emails:', error.message);
+            throw error;
+        }
+    }
+
+    // Applies net Gmail label changes; `changes` maps gmailId -> { added: [], removed: [] }
+    async applyEmailLabelChanges(userId, changes) {
+        try {
+            const collection = this.db.collection('emails');
+            const operations = [];
+            
+            Object.keys(changes).forEach(gmailId => {
+                const { added, removed } = changes[gmailId];
+                
+                if (added.length > 0) {
+                    operations.push({
+                        updateOne: {
+                            filter: { userId, gmailId },
+                            update: { $addToSet: { labelIds: { $each: added } }, $set: { updatedAt: new Date() } }
+                        }
+                    });
+                }
+                
+                if (removed.length > 0) {
+                    operations.push({
+                        updateOne: {
+                            filter: { userId, gmailId },
+                            update: { $pull: { labelIds: { $in: removed } }, $set: { updatedAt: new Date() } }
+                        }
+                    });
+                }
             });
-            return result.insertedId;
+            
+            if (operations.length === 0) {
+                return 0;
+            }
+            
+            const result = await collection.bulkWrite(operations, { ordered: false });
+            return result.modifiedCount;
         } catch (error) {
-            console.error('❌ Error creating batch log:', error.message);
+            console.error('❌ Error applying label changes:', error.message);
             throw error;
         }
     }
 
-    async updateBatchLog(batchId, updateData) {
+    // User settings (LLM provider choice and other preferences)
+    async getUserSettings(userId) {
         try {
-            const collection = this.db.collection('batchLogs');
-            const result = await collection.updateOne(
-                { batchId },
+            const collection = this.db.collection('userSettings');
+            return (await collection.findOne({ userId })) || { userId };
+        } catch (error) {
+            console.error('❌ Error fetching user settings:', error.message);
+            throw error;
+        }
+    }
+
+    async updateUserSettings(userId, settings) {
+        try {
+            const collection = this.db.collection('userSettings');
+            const result = await collection.findOneAndUpdate(
+                { userId },
                 {
                     $set: {
-                        ...updateData,
+                        ...settings,
                         updatedAt: new Date()
                     }
-                }
+                },
+                { upsert: true, returnOriginal: false }
             );
-            return result;
+            return result.value;
         } catch (error) {
-            console.error('❌ Error updating batch log:', error.message);
+            console.error('❌ Error updating user settings:', error.message);
             throw error;
         }
     }
 
-    async getBatchLogs(userId, limit = 20) {
+    // The user's category tree, or null while they use the default one
+    async getTaxonomy(userId) {
         try {
-            const collection = this.db.collection('batchLogs');
-            return await collection.find({ userId })
-                .sort({ startTime: -1 })
-                .limit(limit)
-                .toArray();
+            const collection = this.db.collection('taxonomies');
+            return await collection.findOne({ userId });
         } catch (error) {
-            console.error('❌ Error fetching batch logs:', error.message);
+            console.error('❌ Error fetching taxonomy:', error.message);
+            throw error;
+        }
+    }
+
+    async saveTaxonomy(userId, categories) {
+        try {
+            const collection = this.db.collection('taxonomies');
+            const result = await collection.findOneAndUpdate(
+                { userId },
+                {
+                    $set: {
+                        categories,
+                        updatedAt: new Date()
+                    },
+                    $setOnInsert: { createdAt: new Date() }
+                },
+                { upsert: true, returnOriginal: false }
+            );
+            return result.value;
+        } catch (error) {
+            console.error('❌ Error saving taxonomy:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteTaxonomy(userId) {
+        try {
+            const collection = this.db.collection('taxonomies');
+            const result = await collection.deleteOne({ userId });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('❌ Error deleting taxonomy:', error.message);
+            throw error;
+        }
+    }
+
+    // Categorization rules; users without a document get the default rules
+    async getRules(userId) {
+        try {
+            const collection = this.db.collection('rules');
+            return await collection.findOne({ userId });
+        } catch (error) {
+            console.error('❌ Error fetching rules:', error.message);
+            throw error;
+        }
+    }
+
+    async saveRules(userId, rules) {
+        try {
+            const collection = this.db.collection('rules');
+            const result = await collection.findOneAndUpdate(
+                { userId },
+                {
+                    $set: {
+                        rules,
+                        updatedAt: new Date()
+                    },
+                    $setOnInsert: { createdAt: new Date() }
+                },
+                { upsert: true, returnOriginal: false }
+            );
+            return result.value;
+        } catch (error) {
+            console.error('❌ Error saving rules:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteRules(userId) {
+        try {
+            const collection = this.db.collection('rules');
+            const result = await collection.deleteOne({ userId });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('❌ Error deleting rules:', error.message);
+            throw error;
+        }
+    }
+
+    // Moves stored analyses, corrections, overrides and rules from one category to another
+    // after a rename or delete. `renames` is a list of { from, to } pairs. Returns the emails moved.
+    async renameAnalysisCategories(userId, renames) {
+        try {
+            let emailsUpdated = 0;
+            
+            for (const { from, to } of renames) {
+                const emails = await this.db.collection('emails').updateMany(
+                    { userId, 'analysis.category': from },
+                    { $set: { 'analysis.category': to, updatedAt: new Date() } }
+                );
+                emailsUpdated += emails.modifiedCount;
+                
+                // Labels named after the category follow it, unless Gmail already has them
+                await this.db.collection('emails').updateMany(
+                    { userId, synced: false, 'analysis.suggestedLabel': from },
+                    { $set: { 'analysis.suggestedLabel': to } }
+                );
+                
+                for (const collectionName of ['corrections', 'categoryOverrides']) {
+                    const collection = this.db.collection(collectionName);
+                    await collection.updateMany({ userId, category: from }, { $set: { category: to } });
+                    await collection.updateMany({ userId, label: from }, { $set: { label: to } });
+                }
+                
+                await this.db.collection('rules').updateOne(
+                    { userId, 'rules.actions.category': from },
+                    { $set: { 'rules.$[rule].actions.category': to, updatedAt: new Date() } },
+                    { arrayFilters: [{ 'rule.actions.category': from }] }
+                );
+            }
+            
+            return emailsUpdated;
+        } catch (error) {
+            console.error('❌ Error renaming analysis categories:', error.message);
+            throw error;
+        }
+    }
+
+    // Gmail sync state (mailbox historyId per user)
+    async getSyncState(userId) {
+        try {
+            const collection = this.db.collection('syncState');
+            return await collection.findOne({ userId });
+        } catch (error) {
+            console.error('❌ Error fetching sync state:', error.message);
+            throw error;
+        }
+    }
+
+    async saveSyncState(userId, state) {
+        try {
+            const collection = this.db.collection('syncState');
+            const result = await collection.updateOne(
+                { userId },
+                {
+                    $set: {
+                        ...state,
+                        updatedAt: new Date()
+                    }
+                },
+                { upsert: true }
+            );
+            return result;
+        } catch (error) {
+            console.error('❌ Error saving sync state:', error.message);
+            throw error;
+        }
+    }
+
+    // Label management
+    async saveLabel(labelData) {
+        try {
+            const collection = this.db.collection('labels');
+            const result = await collection.replaceOne(
+                { userId: labelData.userId, name: labelData.name },
+                {
+                    ...labelData,
+                    updatedAt: new Date()
+                },
+                { upsert: true }
+            );
+            return result;
+        } catch (error) {
+            console.error('❌ Error saving label:', error.message);
+            throw error;
+        }
+    }
+
+    async getLabels(userId) {
+        try {
+            const collection = this.db.collection('labels');
+            return await collection.find({ userId }).toArray();
+        } catch (error) {
+            console.error('❌ Error fetching labels:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteLabel(userId, gmailLabelId) {
+        try {
+            const collection = this.db.collection('labels');
+            const result = await collection.deleteOne({ userId, gmailLabelId });
+            return result.deletedCount > 0;
+        } catch (error) {
+            console.error('❌ Error deleting label:', error.message);
+            throw error;
+        }
+    }
+
+    async getLabelByName(userId, name) {
+        try {
+            const collection = this.db.collection('labels');
+            return await collection.findOne({ userId, name });
+        } catch (error) {
+            console.error('❌ Error fetching label by name:', error.message);
+            throw error;
+        }
+    }
+
+    // Keeps the stored label in step with a Gmail rename, dropping any stale entry with the new name
+    async renameLabel(userId, gmailLabelId, newName) {
+        try {
+            const collection = this.db.collection('labels');
+            await collection.deleteMany({ userId, name: newName, gmailLabelId: { $ne: gmailLabelId } });
+            const result = await collection.updateOne(
+                { userId, gmailLabelId },
+                {
+                    $set: {
+                        name: newName,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error('❌ Error renaming label:', error.message);
+            throw error;
+        }
+    }
+
+    // Points analyzed emails at a renamed or merged label so later assignments use the new name
+    async renameSuggestedLabel(userId, oldName, newName) {
+        try {
+            const collection = this.db.collection('emails');
+            const result = await collection.updateMany(
+                { userId, 'analysis.suggestedLabel': oldName },
+                {
+                    $set: {
+                        'analysis.suggestedLabel': newName,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('❌ Error renaming suggested label:', error.message);
+            throw error;
+        }
+    }
+
+    // Batch operations and logging
+    async createBatchLog(batchData) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            const result = await collection.insertOne({
+                status: 'started',
+                ...batchData,
+                startTime: new Date()
+            });
+            return result.insertedId;
+        } catch (error) {
+            console.error('❌ Error creating batch log:', error.message);
+            throw error;
+        }
+    }
+
+    async updateBatchLog(batchId, updateData) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            const result = await collection.updateOne(
+                { batchId },
+                {
+                    $set: {
+                        ...updateData,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result;
+        } catch (error) {
+            console.error('❌ Error updating batch log:', error.message);
+            throw error;
+        }
+    }
+
+    async incrementBatchLog(batchId, counters) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            return await collection.updateOne(
+                { batchId },
+                {
+                    $inc: counters,
+                    $set: { updatedAt: new Date() }
+                }
+            );
+        } catch (error) {
+            console.error('❌ Error incrementing batch log counters:', error.message);
+            throw error;
+        }
+    }
+
+    async getBatchLog(batchId) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            return await collection.findOne({ batchId });
+        } catch (error) {
+            console.error('❌ Error fetching batch log:', error.message);
+            throw error;
+        }
+    }
+
+    // Conditional update used for state transitions; returns true when the batch was in one of the statuses
+    async updateBatchLogIfStatus(batchId, statuses, updateData) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            const result = await collection.updateOne(
+                { batchId, status: { $in: statuses } },
+                {
+                    $set: {
+                        ...updateData,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error('❌ Error updating batch log status:', error.message);
+            throw error;
+        }
+    }
+
+    // Marks a completed dry run as approved; returns false if it was already approved
+    async markPlanApproved(batchId) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            const result = await collection.updateOne(
+                { batchId, dryRun: true, status: 'completed', approvedAt: { $exists: false } },
+                {
+                    $set: {
+                        approvedAt: new Date(),
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error('❌ Error approving plan:', error.message);
+            throw error;
+        }
+    }
+
+    // Marks a batch as being rolled back; returns false if a rollback was already requested
+    async markRollbackRequested(batchId) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            const result = await collection.updateOne(
+                { batchId, rollbackRequestedAt: { $exists: false } },
+                {
+                    $set: {
+                        rollbackRequestedAt: new Date(),
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error('❌ Error requesting rollback:', error.message);
+            throw error;
+        }
+    }
+
+    async getBatchControlRequest(batchId) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            const batchLog = await collection.findOne(
+                { batchId },
+                { projection: { controlRequest: 1 } }
+            );
+            return batchLog ? batchLog.controlRequest : null;
+        } catch (error) {
+            console.error('❌ Error reading batch control request:', error.message);
+            throw error;
+        }
+    }
+
+    // Job queue: atomically claim the oldest queued batch so only one worker runs it
+    async claimNextBatch(workerId) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            const result = await collection.findOneAndUpdate(
+                { status: 'queued' },
+                {
+                    $set: {
+                        status: 'running',
+                        workerId,
+                        claimedAt: new Date(),
+                        controlRequest: null,
+                        updatedAt: new Date()
+                    },
+                    $inc: { attempts: 1 }
+                },
+                {
+                    sort: { queuedAt: 1 },
+                    returnOriginal: false
+                }
+            );
+            return result.value;
+        } catch (error) {
+            console.error('❌ Error claiming batch:', error.message);
+            throw error;
+        }
+    }
+
+    async getBatchLogsByStatus(status) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            return await collection.find({ status }).toArray();
+        } catch (error) {
+            console.error('❌ Error fetching batch logs by status:', error.message);
+            throw error;
+        }
+    }
+
+    async getBatchLogs(userId, limit = 20) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            // Dry-run plans can be large; they are fetched one at a time through getBatchLog
+            return await collection.find({ userId }, { projection: { dryRunResult: 0 } })
+                .sort({ startTime: -1 })
+                .limit(limit)
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching batch logs:', error.message);
+            throw error;
+        }
+    }
+
+    async getBatchLogsBySchedule(userId, scheduleId, limit = 20) {
+        try {
+            const collection = this.db.collection('batchLogs');
+            return await collection.find({ userId, scheduleId }, { projection: { dryRunResult: 0 } })
+                .sort({ startTime: -1 })
+                .limit(limit)
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching schedule batch logs:', error.message);
+            throw error;
+        }
+    }
+
+    // Undo journal: one entry per Gmail label creation or deletion, or batch of label adds/removes
+    async addJournalEntry(entry) {
+        try {
+            const collection = this.db.collection('labelJournal');
+            const result = await collection.insertOne({
+                ...entry,
+                rolledBack: false,
+                createdAt: new Date()
+            });
+            return result.insertedId;
+        } catch (error) {
+            console.error('❌ Error writing journal entry:', error.message);
+            throw error;
+        }
+    }
+
+    // Newest first, which is the order changes have to be undone in
+    async getJournalEntries(userId, batchId, options = {}) {
+        try {
+            const collection = this.db.collection('labelJournal');
+            const query = { userId, batchId };
+            
+            if (options.pendingOnly) {
+                query.rolledBack = false;
+            }
+            
+            return await collection.find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching journal entries:', error.message);
+            throw error;
+        }
+    }
+
+    async markJournalEntryRolledBack(entryId, rollbackBatchId) {
+        try {
+            const collection = this.db.collection('labelJournal');
+            return await collection.updateOne(
+                { _id: entryId },
+                {
+                    $set: {
+                        rolledBack: true,
+                        rolledBackBy: rollbackBatchId,
+                        rolledBackAt: new Date()
+                    }
+                }
+            );
+        } catch (error) {
+            console.error('❌ Error marking journal entry rolled back:', error.message);
+            throw error;
+        }
+    }
+
+    // Dead-letter entries: one per message and step, reused when the same message fails again
+    async recordBatchFailure(failure) {
+        try {
+            const collection = this.db.collection('batchFailures');
+            const result = await collection.updateOne(
+                { userId: failure.userId, gmailId: failure.gmailId, step: failure.step },
+                {
+                    $set: {
+                        status: 'open',
+                        errorCode: failure.errorCode,
+                        errorMessage: failure.errorMessage,
+                        label: failure.label || null,
+                        lastBatchId: failure.batchId,
+                        lastFailedAt: new Date()
+                    },
+                    $setOnInsert: { firstFailedAt: new Date() },
+                    $addToSet: { batchIds: failure.batchId },
+                    $inc: { attempts: 1 }
+                },
+                { upsert: true }
+            );
+            return result;
+        } catch (error) {
+            console.error('❌ Error recording batch failure:', error.message);
+            throw error;
+        }
+    }
+
+    async getBatchFailures(userId, batchId, options = {}) {
+        try {
+            const collection = this.db.collection('batchFailures');
+            const query = { userId, batchIds: batchId };
+            
+            if (options.status) {
+                query.status = options.status;
+            }
+            
+            return await collection.find(query)
+                .sort({ step: 1, lastFailedAt: -1 })
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching batch failures:', error.message);
+            throw error;
+        }
+    }
+
+    async resolveBatchFailures(userId, step, gmailIds, batchId) {
+        try {
+            const collection = this.db.collection('batchFailures');
+            const result = await collection.updateMany(
+                { userId, step, gmailId: { $in: gmailIds }, status: 'open' },
+                {
+                    $set: {
+                        status: 'resolved',
+                        resolvedBy: batchId,
+                        resolvedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('❌ Error resolving batch failures:', error.message);
+            throw error;
+        }
+    }
+
+    // Recurring batch schedules
+    async createSchedule(scheduleData) {
+        try {
+            const collection = this.db.collection('schedules');
+            await collection.insertOne({
+                ...scheduleData,
+                runCount: 0,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            });
+            return scheduleData.scheduleId;
+        } catch (error) {
+            console.error('❌ Error creating schedule:', error.message);
+            throw error;
+        }
+    }
+
+    async getSchedules(userId) {
+        try {
+            const collection = this.db.collection('schedules');
+            return await collection.find({ userId })
+                .sort({ createdAt: -1 })
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching schedules:', error.message);
+            throw error;
+        }
+    }
+
+    async getSchedule(userId, scheduleId) {
+        try {
+            const collection = this.db.collection('schedules');
+            return await collection.findOne({ userId, scheduleId });
+        } catch (error) {
+            console.error('❌ Error fetching schedule:', error.message);
+            throw error;
+        }
+    }
+
+    async updateSchedule(userId, scheduleId, updateData) {
+        try {
+            const collection = this.db.collection('schedules');
+            const result = await collection.findOneAndUpdate(
+                { userId, scheduleId },
+                {
+                    $set: {
+                        ...updateData,
+                        updatedAt: new Date()
+                    }
+                },
+                { returnOriginal: false }
+            );
+            return result.value;
+        } catch (error) {
+            console.error('❌ Error updating schedule:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteSchedule(userId, scheduleId) {
+        try {
+            const collection = this.db.collection('schedules');
+            const result = await collection.deleteOne({ userId, scheduleId });
+            return result.deletedCount > 0;
+        } catch (error) {
+            console.error('❌ Error deleting schedule:', error.message);
+            throw error;
+        }
+    }
+
+    async getDueSchedules(now = new Date()) {
+        try {
+            const collection = this.db.collection('schedules');
+            return await collection.find({ enabled: true, nextRunAt: { $lte: now } })
+                .sort({ nextRunAt: 1 })
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching due schedules:', error.message);
+            throw error;
+        }
+    }
+
+    // Advances nextRunAt only if nobody else has already; returns true when this caller owns the run
+    async claimScheduleRun(scheduleId, expectedRunAt, nextRunAt) {
+        try {
+            const collection = this.db.collection('schedules');
+            const result = await collection.updateOne(
+                { scheduleId, enabled: true, nextRunAt: expectedRunAt },
+                {
+                    $set: {
+                        nextRunAt,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error('❌ Error claiming schedule run:', error.message);
+            throw error;
+        }
+    }
+
+    // Label organization suggestions: pending until the user approves or rejects them.
+    // Storing a new set supersedes the user's older pending suggestions.
+    async saveLabelSuggestions(userId, suggestions) {
+        try {
+            const collection = this.db.collection('labelSuggestions');
+            await collection.updateMany(
+                { userId, status: 'pending' },
+                { $set: { status: 'superseded', updatedAt: new Date() } }
+            );
+            
+            if (suggestions.length === 0) {
+                return 0;
+            }
+            
+            const result = await collection.insertMany(suggestions.map(suggestion => ({
+                ...suggestion,
+                userId,
+                status: 'pending',
+                createdAt: new Date(),
+                updatedAt: new Date()
+            })));
+            return result.insertedCount;
+        } catch (error) {
+            console.error('❌ Error saving label suggestions:', error.message);
+            throw error;
+        }
+    }
+
+    async getLabelSuggestions(userId, options = {}) {
+        try {
+            const collection = this.db.collection('labelSuggestions');
+            const query = { userId };
+            
+            if (options.status) {
+                query.status = options.status;
+            }
+            
+            if (options.suggestionIds) {
+                query.suggestionId = { $in: options.suggestionIds };
+            }
+            
+            return await collection.find(query)
+                .sort({ createdAt: -1 })
+                .limit(options.limit || 100)
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching label suggestions:', error.message);
+            throw error;
+        }
+    }
+
+    // Moves the given suggestions from one status to another; only those still in `fromStatus` change
+    async transitionLabelSuggestions(userId, suggestionIds, fromStatus, updateData) {
+        try {
+            const collection = this.db.collection('labelSuggestions');
+            const result = await collection.updateMany(
+                { userId, suggestionId: { $in: suggestionIds }, status: fromStatus },
+                {
+                    $set: {
+                        ...updateData,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('❌ Error updating label suggestions:', error.message);
+            throw error;
+        }
+    }
+
+    async updateLabelSuggestion(suggestionId, updateData) {
+        try {
+            const collection = this.db.collection('labelSuggestions');
+            return await collection.updateOne(
+                { suggestionId },
+                {
+                    $set: {
+                        ...updateData,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+        } catch (error) {
+            console.error('❌ Error updating label suggestion:', error.message);
+            throw error;
+        }
+    }
+
+    // Analysis cache: returns a Map of cacheKey -> analysis for the keys that are cached
+    async getCachedAnalyses(userId, cacheKeys) {
+        try {
+            const collection = this.db.collection('analysisCache');
+            const entries = await collection.find({
+                userId,
+                cacheKey: { $in: cacheKeys },
+                expiresAt: { $gt: new Date() }
+            }).toArray();
+            
+            if (entries.length > 0) {
+                await collection.updateMany(
+                    { userId, cacheKey: { $in: entries.map(entry => entry.cacheKey) } },
+                    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }
+                );
+            }
+            
+            return new Map(entries.map(entry => [entry.cacheKey, entry.analysis]));
+        } catch (error) {
+            console.error('❌ Error reading analysis cache:', error.message);
+            throw error;
+        }
+    }
+
+    // `meta` carries the promptVersion, taxonomyVersion and expiresAt shared by the entries
+    async saveCachedAnalyses(userId, entries, meta) {
+        try {
+            const collection = this.db.collection('analysisCache');
+            const result = await collection.bulkWrite(entries.map(entry => ({
+                updateOne: {
+                    filter: { userId, cacheKey: entry.cacheKey },
+                    update: {
+                        $set: {
+                            analysis: entry.analysis,
+                            senderDomain: entry.senderDomain,
+                            ...meta,
+                            createdAt: new Date()
+                        },
+                        $setOnInsert: { hits: 0 }
+                    },
+                    upsert: true
+                }
+            })), { ordered: false });
+            return result.upsertedCount + result.modifiedCount;
+        } catch (error) {
+            console.error('❌ Error writing analysis cache:', error.message);
+            throw error;
+        }
+    }
+
+    // Deletes the user's cached analyses; with `currentVersions`, only entries made under other versions
+    async clearAnalysisCache(userId, currentVersions = null) {
+        try {
+            const collection = this.db.collection('analysisCache');
+            const query = { userId };
+            
+            if (currentVersions) {
+                query.$or = [
+                    { promptVersion: { $ne: currentVersions.promptVersion } },
+                    { taxonomyVersion: { $ne: currentVersions.taxonomyVersion } }
+                ];
+            }
+            
+            const result = await collection.deleteMany(query);
+            return result.deletedCount;
+        } catch (error) {
+            console.error('❌ Error clearing analysis cache:', error.message);
+            throw error;
+        }
+    }
+
+    // Forgets cached answers for one sender domain, e.g. after the user corrected one of its emails
+    async clearCachedAnalysesForDomain(userId, senderDomain) {
+        try {
+            const collection = this.db.collection('analysisCache');
+            const result = await collection.deleteMany({ userId, senderDomain });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('❌ Error clearing cached analyses for domain:', error.message);
+            throw error;
+        }
+    }
+
+    // User corrections; one per email, a later correction of the same email replaces it
+    async saveCorrection(userId, correction) {
+        try {
+            const collection = this.db.collection('corrections');
+            const result = await collection.replaceOne(
+                { userId, gmailId: correction.gmailId },
+                {
+                    ...correction,
+                    userId,
+                    createdAt: new Date()
+                },
+                { upsert: true }
+            );
+            return result;
+        } catch (error) {
+            console.error('❌ Error saving correction:', error.message);
+            throw error;
+        }
+    }
+
+    // Newest first; optionally only those from one sender address or domain
+    async getCorrections(userId, options = {}) {
+        try {
+            const collection = this.db.collection('corrections');
+            const query = { userId };
+            
+            if (options.senderAddress) {
+                query.senderAddress = options.senderAddress;
+            }
+            
+            if (options.senderDomain) {
+                query.senderDomain = options.senderDomain;
+            }
+            
+            return await collection.find(query)
+                .sort({ createdAt: -1 })
+                .limit(options.limit || 200)
+                .toArray();
+        } catch (error) {
+            console.error('❌ Error fetching corrections:', error.message);
+            throw error;
+        }
+    }
+
+    // Creates or refreshes an override, or removes it when `override` is null. Overrides the user
+    // disabled stay disabled.
+    async setCategoryOverride(userId, type, value, override) {
+        try {
+            const collection = this.db.collection('categoryOverrides');
+            
+            if (!override) {
+                await collection.deleteOne({ userId, type, value, disabled: { $ne: true } });
+                return null;
+            }
+            
+            const result = await collection.findOneAndUpdate(
+                { userId, type, value },
+                {
+                    $set: {
+                        ...override,
+                        updatedAt: new Date()
+                    },
+                    $setOnInsert: { disabled: false, createdAt: new Date() }
+                },
+                { upsert: true, returnOriginal: false }
+            );
+            return result.value;
+        } catch (error) {
+            console.error('❌ Error saving category override:', error.message);
+            throw error;
+        }
+    }
+
+    // Active overrides for the given sender addresses and domains, or all of the user's overrides
+    async getCategoryOverrides(userId, options = {}) {
+        try {
+            const collection = this.db.collection('categoryOverrides');
+            const query = { userId };
+            
+            if (options.senderAddresses || options.senderDomains) {
+                query.disabled = false;
+                query.$or = [
+                    { type: 'sender', value: { $in: options.senderAddresses || [] } },
+                    { type: 'domain', value: { $in: options.senderDomains || [] } }
+                ];
+            }
+            
+            return await collection.find(query).sort({ type: 1, value: 1 }).toArray();
+        } catch (error) {
+            console.error('❌ Error fetching category overrides:', error.message);
+            throw error;
+        }
+    }
+
+    async updateCategoryOverride(userId, type, value, updateData) {
+        try {
+            const collection = this.db.collection('categoryOverrides');
+            const result = await collection.findOneAndUpdate(
+                { userId, type, value },
+                {
+                    $set: {
+                        ...updateData,
+                        updatedAt: new Date()
+                    }
+                },
+                { returnOriginal: false }
+            );
+            return result.value;
+        } catch (error) {
+            console.error('❌ Error updating category override:', error.message);
             throw error;
         }
     }
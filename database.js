@@ -5,6 +5,14 @@ const path = require('path');
 const dbPath = path.join(__dirname, 'smartmail.db');
 const db = new Database(dbPath);
 
+// Adds a column to an existing table; CREATE TABLE IF NOT EXISTS leaves old tables untouched
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
 // Initialize database tables
 function initDatabase() {
   // Create emails table
@@ -25,6 +33,15 @@ function initDatabase() {
     )
   `);
 
+  // Where each category came from: confidence 0-1, source (LLM provider name, 'rules' or 'user'),
+  // the model and the prompt version
+  addColumnIfMissing('emails', 'confidence', 'REAL');
+  addColumnIfMissing('emails', 'category_source', 'TEXT');
+  addColumnIfMissing('emails', 'category_model', 'TEXT');
+  addColumnIfMissing('emails', 'prompt_version', 'TEXT');
+  // Plain-text body, only for emails fetched in full
+  addColumnIfMissing('emails', 'body', 'TEXT');
+
   // Create labels table
   db.exec(`
     CREATE TABLE IF NOT EXISTS labels (
@@ -46,15 +63,109 @@ function initDatabase() {
     )
   `);
 
+  // Undo journal of Gmail label changes, grouped by batch/request id
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS label_journal (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      email_id TEXT,
+      label_id TEXT NOT NULL,
+      label_name TEXT,
+      rolled_back BOOLEAN DEFAULT FALSE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_label_journal_batch ON label_journal (batch_id)');
+
+  // Manual recategorizations, used as few-shot examples; one per email
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS corrections (
+      email_id TEXT PRIMARY KEY,
+      from_email TEXT,
+      subject TEXT,
+      sender_address TEXT,
+      sender_domain TEXT,
+      original_category TEXT,
+      category TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_corrections_sender ON corrections (sender_address)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_corrections_domain ON corrections (sender_domain)');
+
+  // Sender ('sender') and domain ('domain') rules derived from consistent corrections
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS category_overrides (
+      type TEXT NOT NULL,
+      value TEXT NOT NULL,
+      category TEXT NOT NULL,
+      corrections INTEGER,
+      disabled BOOLEAN DEFAULT FALSE,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (type, value)
+    )
+  `);
+
+  // Full-text index for searchEmails, kept in step by triggers. Entries share their email's
+  // rowid, so the triggers find them directly; saveEmail upserts, keeping the rowid stable.
+  // An index from before it was keyed by rowid is dropped and rebuilt.
+  const searchIndex = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'emails_fts'").get();
+  if (searchIndex && /\bid UNINDEXED\b/.test(searchIndex.sql)) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS emails_fts_insert;
+      DROP TRIGGER IF EXISTS emails_fts_update;
+      DROP TRIGGER IF EXISTS emails_fts_delete;
+      DROP TABLE emails_fts;
+    `);
+  }
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS emails_fts USING fts5(
+      subject, from_email, to_email, snippet, body, category
+    );
+    CREATE TRIGGER IF NOT EXISTS emails_fts_insert AFTER INSERT ON emails BEGIN
+      INSERT INTO emails_fts (rowid, subject, from_email, to_email, snippet, body, category)
+      VALUES (new.rowid, new.subject, new.from_email, new.to_email, new.snippet, new.body, new.category);
+    END;
+    CREATE TRIGGER IF NOT EXISTS emails_fts_update AFTER UPDATE ON emails BEGIN
+      DELETE FROM emails_fts WHERE rowid = old.rowid;
+      INSERT INTO emails_fts (rowid, subject, from_email, to_email, snippet, body, category)
+      VALUES (new.rowid, new.subject, new.from_email, new.to_email, new.snippet, new.body, new.category);
+    END;
+    CREATE TRIGGER IF NOT EXISTS emails_fts_delete AFTER DELETE ON emails BEGIN
+      DELETE FROM emails_fts WHERE rowid = old.rowid;
+    END;
+  `);
+  if (!searchIndex || /\bid UNINDEXED\b/.test(searchIndex.sql)) {
+    db.exec(`
+      INSERT INTO emails_fts (rowid, subject, from_email, to_email, snippet, body, category)
+      SELECT rowid, subject, from_email, to_email, snippet, body, category FROM emails
+    `);
+  }
+
   console.log('✅ Database initialized successfully');
 }
 
+// The stored Date header as epoch milliseconds, so emails can be sorted and compared by date
+db.function('email_time', { deterministic: true }, (date) => {
+  const time = Date.parse(date);
+  return isNaN(time) ? null : time;
+});
+
 // Email operations
 function saveEmail(emailData) {
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO emails (
-      id, threadId, subject, from_email, to_email, date, snippet, category, processed, synced
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO emails (
+      id, threadId, subject, from_email, to_email, date, snippet, category, processed, synced,
+      confidence, category_source, category_model, prompt_version, body
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET
+      threadId = excluded.threadId, subject = excluded.subject, from_email = excluded.from_email,
+      to_email = excluded.to_email, date = excluded.date, snippet = excluded.snippet,
+      category = excluded.category, processed = excluded.processed, synced = excluded.synced,
+      confidence = excluded.confidence, category_source = excluded.category_source,
+      category_model = excluded.category_model, prompt_version = excluded.prompt_version,
+      body = excluded.body, updated_at = CURRENT_TIMESTAMP
   `);
   
   const result = stmt.run(
@@ -67,7 +178,12 @@ function saveEmail(emailData) {
     emailData.snippet || '',
     emailData.category || 'Other',
     emailData.processed ? 1 : 0,  // Convert boolean to integer
-    emailData.synced ? 1 : 0      // Convert boolean to integer
+    emailData.synced ? 1 : 0,     // Convert boolean to integer
+    emailData.confidence !== undefined ? emailData.confidence : null,
+    emailData.source || null,
+    emailData.model || null,
+    emailData.promptVersion || null,
+    emailData.body || null
   );
   
   return result;
@@ -98,14 +214,84 @@ function getEmails(filters = {}) {
   return db.prepare(query).all(...params);
 }
 
-function updateEmailCategory(emailId, category) {
+function quoteSearchTerm(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+// Emails matching a query from parseSearchQuery in search-query.js, best matches first when it
+// has search words and newest first otherwise. Handles words, -words, from:, to:, subject:,
+// category:, after: and before:. Labels, sentiment and attachments are not stored here.
+function searchEmails(search, options = {}) {
+  let query = 'SELECT e.* FROM emails e';
+  const params = [];
+  let orderBy = 'email_time(e.date) DESC';
+  
+  // Quoted terms all have to match
+  if (search.terms.length > 0) {
+    query += ' JOIN (SELECT rowid, rank FROM emails_fts WHERE emails_fts MATCH ?) f ON f.rowid = e.rowid';
+    params.push(search.terms.map(quoteSearchTerm).join(' '));
+    orderBy = `f.rank, ${orderBy}`;
+  }
+  query += ' WHERE 1=1';
+  
+  if (search.excluded.length > 0) {
+    query += ' AND e.rowid NOT IN (SELECT rowid FROM emails_fts WHERE emails_fts MATCH ?)';
+    params.push(search.excluded.map(quoteSearchTerm).join(' OR '));
+  }
+  
+  [['from', 'from_email'], ['to', 'to_email'], ['subject', 'subject']].forEach(([operator, column]) => {
+    search.filters[operator].forEach(value => {
+      query += ` AND e.${column} LIKE ? ESCAPE '\\'`;
+      params.push(`%${escapeLike(value)}%`);
+    });
+  });
+  
+  // A category also finds its subcategories
+  search.filters.category.forEach(value => {
+    query += ` AND (e.category LIKE ? ESCAPE '\\' OR e.category LIKE ? ESCAPE '\\')`;
+    params.push(escapeLike(value), `${escapeLike(value)}/%`);
+  });
+  
+  if (search.after) {
+    query += ' AND email_time(e.date) >= ?';
+    params.push(search.after.getTime());
+  }
+  if (search.before) {
+    query += ' AND email_time(e.date) < ?';
+    params.push(search.before.getTime());
+  }
+  
+  query += ` ORDER BY ${orderBy} LIMIT ?`;
+  params.push(options.limit || 50);
+  
+  return db.prepare(query).all(...params);
+}
+
+// `provenance` is the rest of a categorization result: { confidence, source, model, promptVersion }
+function getEmailById(emailId) {
+  return db.prepare('SELECT * FROM emails WHERE id = ?').get(emailId);
+}
+
+function updateEmailCategory(emailId, category, provenance = {}) {
   const stmt = db.prepare(`
     UPDATE emails 
-    SET category = ?, processed = TRUE, updated_at = CURRENT_TIMESTAMP 
+    SET category = ?, confidence = ?, category_source = ?, category_model = ?, prompt_version = ?,
+        processed = TRUE, updated_at = CURRENT_TIMESTAMP 
     WHERE id = ?
   `);
   
-  return stmt.run(category, emailId);
+  return stmt.run(
+    category,
+    provenance.confidence !== undefined ? provenance.confidence : null,
+    provenance.source || null,
+    provenance.model || null,
+    provenance.promptVersion || null,
+    emailId
+  );
 }
 
 function markEmailAsSynced(emailId) {
@@ -118,6 +304,16 @@ function markEmailAsSynced(emailId) {
   return stmt.run(emailId);
 }
 
+function markEmailAsUnsynced(emailId) {
+  const stmt = db.prepare(`
+    UPDATE emails 
+    SET synced = FALSE, updated_at = CURRENT_TIMESTAMP 
+    WHERE id = ?
+  `);
+  
+  return stmt.run(emailId);
+}
+
 // Label operations
 function saveLabel(labelData) {
   const stmt = db.prepare(`
@@ -128,6 +324,10 @@ function saveLabel(labelData) {
   return stmt.run(labelData.id, labelData.name, labelData.type || 'user');
 }
 
+function deleteLabel(labelId) {
+  return db.prepare('DELETE FROM labels WHERE id = ?').run(labelId);
+}
+
 function getLabels() {
   return db.prepare('SELECT * FROM labels ORDER BY name').all();
 }
@@ -140,6 +340,103 @@ function getUnsyncedEmails() {
   `).all();
 }
 
+// Label journal operations
+function journalLabelChange(entry) {
+  const stmt = db.prepare(`
+    INSERT INTO label_journal (batch_id, action, email_id, label_id, label_name)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  
+  return stmt.run(entry.batchId, entry.action, entry.emailId || null, entry.labelId, entry.labelName || null);
+}
+
+// Newest first, which is the order changes have to be undone in
+function getLabelJournal(batchId) {
+  return db.prepare(`
+    SELECT * FROM label_journal 
+    WHERE batch_id = ? AND rolled_back = FALSE 
+    ORDER BY id DESC
+  `).all(batchId);
+}
+
+function markJournalEntryRolledBack(entryId) {
+  return db.prepare('UPDATE label_journal SET rolled_back = TRUE WHERE id = ?').run(entryId);
+}
+
+// Correction operations
+function saveCorrection(correction) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO corrections (
+      email_id, from_email, subject, sender_address, sender_domain, original_category, category
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  return stmt.run(
+    correction.emailId,
+    correction.from || '',
+    correction.subject || '',
+    correction.senderAddress,
+    correction.senderDomain,
+    correction.originalCategory || null,
+    correction.category
+  );
+}
+
+// Newest first, shaped like the Mongo corrections ({ from, subject, category, label })
+// so correction-learning.js can rank them
+function getCorrections(filters = {}) {
+  let query = `
+    SELECT email_id, from_email AS "from", subject, original_category, category, category AS label
+    FROM corrections WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filters.senderAddress) {
+    query += ' AND sender_address = ?';
+    params.push(filters.senderAddress);
+  }
+  
+  if (filters.senderDomain) {
+    query += ' AND sender_domain = ?';
+    params.push(filters.senderDomain);
+  }
+  
+  query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+  params.push(filters.limit || 200);
+  
+  return db.prepare(query).all(...params);
+}
+
+// Creates or refreshes an override, or removes it when `override` is null; disabled ones stay disabled
+function setCategoryOverride(type, value, override) {
+  if (!override) {
+    return db.prepare('DELETE FROM category_overrides WHERE type = ? AND value = ? AND disabled = FALSE').run(type, value);
+  }
+  
+  const stmt = db.prepare(`
+    INSERT INTO category_overrides (type, value, category, corrections)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (type, value) DO UPDATE SET
+      category = excluded.category, corrections = excluded.corrections, updated_at = CURRENT_TIMESTAMP
+  `);
+  
+  return stmt.run(type, value, override.category, override.corrections);
+}
+
+// The active override for a sender, falling back to its domain's
+function findCategoryOverride(senderAddress, senderDomain) {
+  return db.prepare(`
+    SELECT * FROM category_overrides 
+    WHERE disabled = FALSE AND ((type = 'sender' AND value = ?) OR (type = 'domain' AND value = ?)) 
+    ORDER BY CASE type WHEN 'sender' THEN 0 ELSE 1 END 
+    LIMIT 1
+  `).get(senderAddress, senderDomain);
+}
+
+function getCategoryOverrides() {
+  return db.prepare('SELECT * FROM category_overrides ORDER BY type, value').all();
+}
+
 // Utility functions
 function getDatabaseStats() {
   const stats = {
@@ -156,6 +453,9 @@ function clearDatabase() {
   db.exec('DELETE FROM emails');
   db.exec('DELETE FROM labels');
   db.exec('DELETE FROM email_labels');
+  db.exec('DELETE FROM label_journal');
+  db.exec('DELETE FROM corrections');
+  db.exec('DELETE FROM category_overrides');
   console.log('✅ Database cleared');
 }
 
@@ -168,10 +468,22 @@ module.exports = {
   initDatabase,
   saveEmail,
   getEmails,
+  searchEmails,
+  getEmailById,
   updateEmailCategory,
   markEmailAsSynced,
+  markEmailAsUnsynced,
   saveLabel,
+  deleteLabel,
   getLabels,
+  journalLabelChange,
+  getLabelJournal,
+  markJournalEntryRolledBack,
+  saveCorrection,
+  getCorrections,
+  setCategoryOverride,
+  findCategoryOverride,
+  getCategoryOverrides,
   getUnsyncedEmails,
   getDatabaseStats,
   clearDatabase,
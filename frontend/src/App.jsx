@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react'
 import { Routes, Route, Navigate } from 'react-router-dom'
 import Login from './components/Login'
 import Dashboard from './components/Dashboard'
+import ReviewQueue from './components/ReviewQueue'
+import Categories from './components/Categories'
+import Rules from './components/Rules'
 import axios from 'axios'
 
 function App() {
@@ -40,6 +43,30 @@ function App() {
             <Navigate to="/login" />
           } 
         />
+        <Route 
+          path="/review" 
+          element={
+            isAuthenticated ? 
+            <ReviewQueue /> : 
+            <Navigate to="/login" />
+          } 
+        />
+        <Route 
+          path="/categories" 
+          element={
+            isAuthenticated ? 
+            <Categories /> : 
+            <Navigate to="/login" />
+          } 
+        />
+        <Route 
+          path="/rules" 
+          element={
+            isAuthenticated ? 
+            <Rules /> : 
+            <Navigate to="/login" />
+          } 
+        />
         <Route 
           path="/" 
           element={
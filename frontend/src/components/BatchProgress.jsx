@@ -0,0 +1,128 @@
+import { useState, useEffect, useRef } from 'react'
+import { Activity, X } from 'lucide-react'
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'paused', 'interrupted']
+
+const BatchProgress = ({ batchId, onFinished, onClose }) => {
+  const [batch, setBatch] = useState({ batchId, status: 'queued' })
+  const [events, setEvents] = useState([])
+  const logRef = useRef(null)
+  const sourceRef = useRef(null)
+  const finishedRef = useRef(false)
+
+  useEffect(() => {
+    setEvents([])
+    finishedRef.current = false
+    const source = new EventSource(`/api/batch/stream/${batchId}`, { withCredentials: true })
+    sourceRef.current = source
+
+    const addEvent = (message, type = 'info') => {
+      setEvents(prev => [...prev.slice(-199), { message, type, time: new Date().toLocaleTimeString() }])
+    }
+
+    source.addEventListener('snapshot', (e) => {
+      const snapshot = JSON.parse(e.data).data
+      setBatch(snapshot)
+      addEvent(`Connected (${snapshot.status})`)
+    })
+
+    source.addEventListener('progress', (e) => {
+      const { data } = JSON.parse(e.data)
+      setBatch(prev => ({ ...prev, ...data }))
+      if (data.controlRequest) {
+        addEvent(`${data.controlRequest} requested`)
+      } else if (data.emailsProcessed !== undefined) {
+        addEvent(`${data.emailsProcessed} emails processed`)
+      }
+    })
+
+    source.addEventListener('step', (e) => {
+      const { data } = JSON.parse(e.data)
+      setBatch(prev => ({ ...prev, currentStep: data.step }))
+      addEvent(`Step ${data.index}/${data.total}: ${data.step}`)
+    })
+
+    source.addEventListener('retry', (e) => {
+      const { data } = JSON.parse(e.data)
+      addEvent(`Gmail ${data.method} ${data.kind}, retry ${data.attempt} in ${data.delay}ms`)
+    })
+
+    source.addEventListener('emailError', (e) => {
+      const { data } = JSON.parse(e.data)
+      addEvent(`${data.step} failed for ${data.gmailId || data.label}: ${data.error}`, 'error')
+    })
+
+    source.addEventListener('complete', () => addEvent('Batch finished'))
+
+    source.addEventListener('status', (e) => {
+      const { data } = JSON.parse(e.data)
+      setBatch(prev => ({ ...prev, ...data }))
+      addEvent(`Status: ${data.status}`)
+    })
+
+    source.onerror = () => {
+      addEvent('Stream disconnected', 'error')
+      source.close()
+    }
+
+    return () => source.close()
+  }, [batchId])
+
+  useEffect(() => {
+    if (TERMINAL_STATUSES.includes(batch.status) && !finishedRef.current) {
+      finishedRef.current = true
+      if (sourceRef.current) sourceRef.current.close()
+      if (onFinished) onFinished(batch)
+    }
+  }, [batch.status])
+
+  useEffect(() => {
+    if (logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight
+    }
+  }, [events])
+
+  const total = batch.emailsTotal || batch.options?.batchSize || 0
+  const percent = batch.status === 'completed'
+    ? 100
+    : total > 0 ? Math.min(100, Math.round(((batch.emailsProcessed || 0) / total) * 100)) : 0
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center">
+          <Activity className="h-5 w-5 text-blue-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Batch {batchId}</h2>
+        </div>
+        {onClose && (
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+      <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-blue-600 transition-all duration-300"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <p className="text-sm text-gray-600 mt-2">
+        {batch.status}
+        {batch.currentStep && ` · step: ${batch.currentStep}`}
+        {` · ${batch.emailsProcessed || 0}/${total || '?'} emails`}
+      </p>
+      <div
+        ref={logRef}
+        className="mt-4 max-h-48 overflow-y-auto bg-gray-900 text-gray-100 rounded-md p-3 font-mono text-xs"
+      >
+        {events.map((event, index) => (
+          <div key={index} className={event.type === 'error' ? 'text-red-300' : ''}>
+            {event.time}  {event.message}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default BatchProgress
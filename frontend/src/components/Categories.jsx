@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, FolderTree, Plus, Save, Trash2, RotateCcw } from 'lucide-react'
+import axios from 'axios'
+
+const FALLBACK_CATEGORY = 'Other'
+
+const categoryUrl = (name) => `/api/taxonomy/categories/${encodeURIComponent(name)}`
+
+const Categories = () => {
+  const [categories, setCategories] = useState([])
+  const [custom, setCustom] = useState(false)
+  const [drafts, setDrafts] = useState({})
+  const [newCategory, setNewCategory] = useState({ name: '', description: '', gmailLabel: '' })
+  const [message, setMessage] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchTaxonomy()
+  }, [])
+
+  const applyTaxonomy = (data) => {
+    setCategories(data.categories)
+    setCustom(data.custom)
+    setDrafts({})
+  }
+
+  const fetchTaxonomy = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get('/api/taxonomy', { withCredentials: true })
+      applyTaxonomy(response.data)
+    } catch (error) {
+      console.error('Error fetching categories:', error)
+      setMessage({ type: 'error', text: 'Failed to load categories' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const showError = (error, fallback) => {
+    console.error(fallback, error)
+    setMessage({ type: 'error', text: error.response?.data?.error || fallback })
+  }
+
+  const setDraft = (name, field, value) => {
+    setDrafts(prev => ({ ...prev, [name]: { ...prev[name], [field]: value } }))
+  }
+
+  const saveCategory = async (name) => {
+    try {
+      const response = await axios.put(categoryUrl(name), drafts[name], { withCredentials: true })
+      applyTaxonomy(response.data)
+      setMessage({
+        type: 'success',
+        text: response.data.renamed.length > 0
+          ? `Renamed ${response.data.renamed.length} categories, ${response.data.emailsUpdated} emails updated`
+          : `Saved ${name}`
+      })
+    } catch (error) {
+      showError(error, 'Failed to save category')
+    }
+  }
+
+  const deleteCategory = async (name) => {
+    if (!window.confirm(`Delete ${name}? Its emails move to the nearest remaining parent category.`)) return
+
+    try {
+      const response = await axios.delete(categoryUrl(name), { withCredentials: true })
+      applyTaxonomy(response.data)
+      setMessage({ type: 'success', text: `Deleted ${name}; ${response.data.emailsUpdated} emails moved to ${response.data.movedTo}` })
+    } catch (error) {
+      showError(error, 'Failed to delete category')
+    }
+  }
+
+  const addCategory = async () => {
+    if (!newCategory.name.trim()) return
+
+    try {
+      const response = await axios.post('/api/taxonomy/categories', newCategory, { withCredentials: true })
+      applyTaxonomy(response.data)
+      setNewCategory({ name: '', description: '', gmailLabel: '' })
+      setMessage({ type: 'success', text: 'Category added' })
+    } catch (error) {
+      showError(error, 'Failed to add category')
+    }
+  }
+
+  const resetTaxonomy = async () => {
+    if (!window.confirm('Go back to the default categories? Your custom categories are removed.')) return
+
+    try {
+      const response = await axios.delete('/api/taxonomy', { withCredentials: true })
+      applyTaxonomy(response.data)
+      setMessage({ type: 'success', text: 'Default categories restored' })
+    } catch (error) {
+      showError(error, 'Failed to reset categories')
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link to="/dashboard" className="text-gray-500 hover:text-gray-700 mr-3">
+                <ArrowLeft className="h-5 w-5" />
+              </Link>
+              <FolderTree className="h-8 w-8 text-blue-600 mr-3" />
+              <h1 className="text-2xl font-bold text-gray-900">Categories</h1>
+            </div>
+            {custom && (
+              <button
+                onClick={resetTaxonomy}
+                className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors"
+              >
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Reset to defaults
+              </button>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {message && (
+          <div className={`mb-6 px-4 py-3 rounded-md text-sm ${message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+            {message.text}
+          </div>
+        )}
+
+        {/* New category */}
+        <div className="bg-white rounded-lg shadow p-6 mb-8">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Add Category</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Use / for subcategories, e.g. Finance/Insurance. The description tells the AI what belongs here.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <input
+              type="text"
+              value={newCategory.name}
+              onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+              placeholder="Name"
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="text"
+              value={newCategory.description}
+              onChange={(e) => setNewCategory({ ...newCategory, description: e.target.value })}
+              placeholder="Description"
+              className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="text"
+              value={newCategory.gmailLabel}
+              onChange={(e) => setNewCategory({ ...newCategory, gmailLabel: e.target.value })}
+              placeholder="Gmail label (optional)"
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            onClick={addCategory}
+            className="flex items-center mt-4 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add
+          </button>
+        </div>
+
+        {/* Category tree */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {custom ? 'Your categories' : 'Default categories'}
+            </h2>
+          </div>
+          {loading ? (
+            <div className="p-6 flex justify-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <div className="divide-y">
+              {categories.map(category => {
+                const draft = { ...category, ...drafts[category.name] }
+                const depth = category.name.split('/').length - 1
+
+                return (
+                  <div key={category.name} className="px-6 py-4 grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
+                    <input
+                      type="text"
+                      value={draft.name}
+                      onChange={(e) => setDraft(category.name, 'name', e.target.value)}
+                      disabled={category.name === FALLBACK_CATEGORY}
+                      style={{ marginLeft: `${depth * 1.5}rem` }}
+                      className="md:col-span-3 px-2 py-1 border border-gray-300 rounded text-sm font-medium disabled:bg-gray-50"
+                    />
+                    <input
+                      type="text"
+                      value={draft.description}
+                      onChange={(e) => setDraft(category.name, 'description', e.target.value)}
+                      placeholder="Description"
+                      className="md:col-span-5 px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={draft.gmailLabel || ''}
+                      onChange={(e) => setDraft(category.name, 'gmailLabel', e.target.value)}
+                      placeholder={`Label: ${category.name}`}
+                      className="md:col-span-2 px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                    <div className="md:col-span-2 flex gap-2 justify-end">
+                      <button
+                        onClick={() => saveCategory(category.name)}
+                        disabled={!drafts[category.name]}
+                        className="inline-flex items-center px-3 py-1 bg-blue-600 text-white text-xs font-medium rounded hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        <Save className="h-3 w-3 mr-1" />
+                        Save
+                      </button>
+                      {category.name !== FALLBACK_CATEGORY && (
+                        <button
+                          onClick={() => deleteCategory(category.name)}
+                          className="inline-flex items-center px-3 py-1 border border-gray-300 text-xs font-medium rounded text-red-600 bg-white hover:bg-red-50"
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default Categories
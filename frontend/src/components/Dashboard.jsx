@@ -1,35 +1,130 @@
-import { useState, useEffect } from 'react'
-import { Mail, Tag, Bot, LogOut, RefreshCw, Plus, CheckCircle, AlertCircle } from 'lucide-react'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { Mail, Tag, Bot, LogOut, RefreshCw, Plus, CheckCircle, AlertCircle, Play, ClipboardCheck, FolderTree, ListFilter } from 'lucide-react'
 import axios from 'axios'
+import BatchProgress from './BatchProgress'
+import EmailSearch from './EmailSearch'
+
+const EMAIL_PAGE_SIZE = 50
 
 const Dashboard = () => {
   const [emails, setEmails] = useState([])
+  const [totalEmails, setTotalEmails] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [listError, setListError] = useState(null)
+  const [sort, setSort] = useState('newest')
+  const [processedFilter, setProcessedFilter] = useState('')
   const [labels, setLabels] = useState([])
+  // Full-page spinner for the first load only; later reloads show listLoading on the list itself
   const [loading, setLoading] = useState(true)
+  const [listLoading, setListLoading] = useState(false)
   const [processing, setProcessing] = useState(false)
   const [newLabelName, setNewLabelName] = useState('')
   const [showNewLabel, setShowNewLabel] = useState(false)
-  const [selectedEmails, setSelectedEmails] = useState(new Set())
+  // Selected emails by gmailId, kept while paging and filtering so a selection can span pages
+  const [selectedEmails, setSelectedEmails] = useState(new Map())
+  const [activeBatchId, setActiveBatchId] = useState(null)
+  const sentinelRef = useRef(null)
+  // Aborted whenever the list is reloaded, so pages requested for an older sort or filter are
+  // dropped instead of being appended to the new list
+  const listRequestRef = useRef(null)
+
+  const emailListParams = (cursor) => {
+    const params = { limit: EMAIL_PAGE_SIZE, sort }
+    if (processedFilter) params.processed = processedFilter
+    if (cursor) params.cursor = cursor
+    return params
+  }
+
+  // Labels come from Gmail, so they are loaded on mount and after changes rather than with the list
+  const fetchLabels = async () => {
+    try {
+      const response = await axios.get('/api/labels', { withCredentials: true })
+      setLabels(response.data)
+    } catch (error) {
+      console.error('Error fetching labels:', error)
+    }
+  }
+
+  const fetchEmails = async () => {
+    listRequestRef.current?.abort()
+    const controller = new AbortController()
+    listRequestRef.current = controller
+
+    try {
+      setListLoading(true)
+      const response = await axios.get('/api/emails', {
+        params: emailListParams(null),
+        signal: controller.signal,
+        withCredentials: true
+      })
+      if (controller.signal.aborted) return
+      setEmails(response.data.emails)
+      setTotalEmails(response.data.total)
+      setNextCursor(response.data.nextCursor)
+      setListError(null)
+    } catch (error) {
+      if (controller.signal.aborted) return
+      console.error('Error fetching emails:', error)
+      setListError(error.response?.data?.error || 'Failed to load emails')
+    } finally {
+      if (!controller.signal.aborted) {
+        setListLoading(false)
+        setLoading(false)
+      }
+    }
+  }
+
+  const refreshAll = () => {
+    fetchLabels()
+    fetchEmails()
+  }
 
   useEffect(() => {
-    fetchData()
+    fetchLabels()
   }, [])
 
-  const fetchData = async () => {
+  useEffect(() => {
+    fetchEmails()
+  }, [sort, processedFilter])
+
+  const fetchMoreEmails = useCallback(async () => {
+    if (!nextCursor || loadingMore) return
+
+    const controller = listRequestRef.current
+    setLoadingMore(true)
     try {
-      setLoading(true)
-      const [emailsResponse, labelsResponse] = await Promise.all([
-        axios.get('/api/emails', { withCredentials: true }),
-        axios.get('/api/labels', { withCredentials: true })
-      ])
-      setEmails(emailsResponse.data)
-      setLabels(labelsResponse.data)
+      const response = await axios.get('/api/emails', {
+        params: emailListParams(nextCursor),
+        signal: controller?.signal,
+        withCredentials: true
+      })
+      if (controller?.signal.aborted) return
+      setEmails(current => current.concat(response.data.emails))
+      setTotalEmails(response.data.total)
+      setNextCursor(response.data.nextCursor)
+      setListError(null)
     } catch (error) {
-      console.error('Error fetching data:', error)
+      if (controller?.signal.aborted) return
+      console.error('Error fetching more emails:', error)
+      setListError(error.response?.data?.error || 'Failed to load more emails')
     } finally {
-      setLoading(false)
+      setLoadingMore(false)
     }
-  }
+  }, [nextCursor, loadingMore, sort, processedFilter])
+
+  // Infinite scroll: load the next page once the end of the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !nextCursor) return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchMoreEmails()
+    }, { rootMargin: '200px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextCursor, fetchMoreEmails])
 
   const handleLogout = () => {
     window.location.href = '/auth/logout'
@@ -53,13 +148,13 @@ const Dashboard = () => {
 
   const categorizeEmail = async (email) => {
     try {
-      const headers = email.payload.headers
-      const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject'
-      const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender'
-      const snippet = email.snippet || ''
-
       const response = await axios.post('/api/categorize-email', 
-        { emailId: email.id, subject, from, snippet },
+        {
+          emailId: email.gmailId,
+          subject: email.subject || 'No Subject',
+          from: email.from || 'Unknown Sender',
+          snippet: email.snippet || ''
+        },
         { withCredentials: true }
       )
 
@@ -88,11 +183,11 @@ const Dashboard = () => {
 
   const processSingleEmail = async (email) => {
     const category = await categorizeEmail(email)
-    const success = await applyLabelToEmail(email.id, category)
+    const success = await applyLabelToEmail(email.gmailId, category)
     
     if (success) {
       setEmails(emails.map(e => 
-        e.id === email.id ? { ...e, category, processed: true } : e
+        e.gmailId === email.gmailId ? { ...e, analysis: { ...e.analysis, category }, processed: true } : e
       ))
     }
   }
@@ -100,19 +195,12 @@ const Dashboard = () => {
   const batchProcessEmails = async () => {
     setProcessing(true)
     try {
-      const emailsToProcess = Array.from(selectedEmails).map(id => 
-        emails.find(e => e.id === id)
-      ).filter(Boolean)
-
-      const emailData = emailsToProcess.map(email => {
-        const headers = email.payload.headers
-        return {
-          id: email.id,
-          subject: headers.find(h => h.name === 'Subject')?.value || 'No Subject',
-          from: headers.find(h => h.name === 'From')?.value || 'Unknown Sender',
-          snippet: email.snippet || ''
-        }
-      })
+      const emailData = Array.from(selectedEmails.values()).map(email => ({
+        id: email.gmailId,
+        subject: email.subject || 'No Subject',
+        from: email.from || 'Unknown Sender',
+        snippet: email.snippet || ''
+      }))
 
       const response = await axios.post('/api/batch-categorize',
         { emails: emailData },
@@ -123,8 +211,8 @@ const Dashboard = () => {
         await applyLabelToEmail(result.emailId, result.category)
       }
 
-      await fetchData()
-      setSelectedEmails(new Set())
+      await fetchEmails()
+      setSelectedEmails(new Map())
     } catch (error) {
       console.error('Error in batch processing:', error)
     } finally {
@@ -132,21 +220,37 @@ const Dashboard = () => {
     }
   }
 
-  const toggleEmailSelection = (emailId) => {
-    const newSelected = new Set(selectedEmails)
-    if (newSelected.has(emailId)) {
-      newSelected.delete(emailId)
+  const startFullProcess = async () => {
+    try {
+      const createResponse = await axios.post('/api/batch/create',
+        { operation: 'fullProcess', options: { batchSize: 100 } },
+        { withCredentials: true }
+      )
+      const { batchId } = createResponse.data
+
+      await axios.post('/api/batch/execute', { batchId }, { withCredentials: true })
+      setActiveBatchId(batchId)
+    } catch (error) {
+      console.error('Error starting batch:', error)
+    }
+  }
+
+  const toggleEmailSelection = (email) => {
+    const newSelected = new Map(selectedEmails)
+    if (newSelected.has(email.gmailId)) {
+      newSelected.delete(email.gmailId)
     } else {
-      newSelected.add(emailId)
+      newSelected.set(email.gmailId, email)
     }
     setSelectedEmails(newSelected)
   }
 
   const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString()
+    return dateString ? new Date(dateString).toLocaleDateString() : ''
   }
 
   const getSenderName = (fromString) => {
+    if (!fromString) return 'Unknown Sender'
     const match = fromString.match(/(.+?)</)
     return match ? match[1].trim() : fromString
   }
@@ -169,13 +273,36 @@ const Dashboard = () => {
               <Bot className="h-8 w-8 text-blue-600 mr-3" />
               <h1 className="text-2xl font-bold text-gray-900">SmartMail AI</h1>
             </div>
-            <button
-              onClick={handleLogout}
-              className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors"
-            >
-              <LogOut className="h-4 w-4 mr-2" />
-              Logout
-            </button>
+            <div className="flex items-center">
+              <Link
+                to="/categories"
+                className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors"
+              >
+                <FolderTree className="h-4 w-4 mr-2" />
+                Categories
+              </Link>
+              <Link
+                to="/rules"
+                className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors"
+              >
+                <ListFilter className="h-4 w-4 mr-2" />
+                Rules
+              </Link>
+              <Link
+                to="/review"
+                className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors"
+              >
+                <ClipboardCheck className="h-4 w-4 mr-2" />
+                Review Queue
+              </Link>
+              <button
+                onClick={handleLogout}
+                className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors"
+              >
+                <LogOut className="h-4 w-4 mr-2" />
+                Logout
+              </button>
+            </div>
           </div>
         </div>
       </header>
@@ -189,7 +316,7 @@ const Dashboard = () => {
                 <Mail className="h-8 w-8 text-blue-600 mr-3" />
                 <div>
                   <p className="text-sm font-medium text-gray-600">Total Emails</p>
-                  <p className="text-2xl font-bold text-gray-900">{emails.length}</p>
+                  <p className="text-2xl font-bold text-gray-900">{totalEmails}</p>
                 </div>
               </div>
             </div>
@@ -216,7 +343,7 @@ const Dashboard = () => {
           {/* Action Buttons */}
           <div className="flex flex-wrap gap-4">
             <button
-              onClick={fetchData}
+              onClick={refreshAll}
               className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
             >
               <RefreshCw className="h-4 w-4 mr-2" />
@@ -231,6 +358,15 @@ const Dashboard = () => {
               Create Label
             </button>
 
+            <button
+              onClick={startFullProcess}
+              disabled={activeBatchId !== null}
+              className="flex items-center px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+            >
+              <Play className="h-4 w-4 mr-2" />
+              Run Full Process
+            </button>
+
             {selectedEmails.size > 0 && (
               <button
                 onClick={batchProcessEmails}
@@ -244,6 +380,15 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Live Batch Progress */}
+        {activeBatchId && (
+          <BatchProgress
+            batchId={activeBatchId}
+            onFinished={refreshAll}
+            onClose={() => setActiveBatchId(null)}
+          />
+        )}
+
         {/* New Label Modal */}
         {showNewLabel && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -277,38 +422,61 @@ const Dashboard = () => {
           </div>
         )}
 
+        {/* Search */}
+        <EmailSearch />
+
         {/* Email List */}
         <div className="bg-white rounded-lg shadow">
-          <div className="px-6 py-4 border-b">
-            <h2 className="text-lg font-semibold text-gray-900">Recent Emails</h2>
+          <div className="px-6 py-4 border-b flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Emails <span className="text-sm font-normal text-gray-500">({emails.length} of {totalEmails})</span>
+              {listLoading && <RefreshCw className="inline h-4 w-4 ml-2 text-gray-400 animate-spin" />}
+            </h2>
+            <div className="flex items-center gap-2">
+              <select
+                value={processedFilter}
+                onChange={(e) => setProcessedFilter(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="">All</option>
+                <option value="false">Unprocessed</option>
+                <option value="true">Processed</option>
+              </select>
+              <select
+                value={sort}
+                onChange={(e) => setSort(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="newest">Newest first</option>
+                <option value="oldest">Oldest first</option>
+              </select>
+            </div>
           </div>
-          <div className="divide-y">
+          {listError && (
+            <div className="mx-6 mt-4 px-4 py-3 rounded-md bg-red-50 text-red-700 text-sm">{listError}</div>
+          )}
+          <div className={`divide-y ${listLoading ? 'opacity-50' : ''}`}>
             {emails.map((email) => {
-              const headers = email.payload.headers
-              const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject'
-              const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender'
-              const date = headers.find(h => h.name === 'Date')?.value || ''
-
               return (
-                <div key={email.id} className="p-6 hover:bg-gray-50">
+                <div key={email.gmailId} className="p-6 hover:bg-gray-50">
                   <div className="flex items-start">
                     <input
                       type="checkbox"
-                      checked={selectedEmails.has(email.id)}
-                      onChange={() => toggleEmailSelection(email.id)}
+                      checked={selectedEmails.has(email.gmailId)}
+                      onChange={() => toggleEmailSelection(email)}
                       className="mt-1 mr-4"
                     />
                     <div className="flex-1">
                       <div className="flex items-center justify-between mb-2">
                         <h3 className="text-sm font-medium text-gray-900 truncate">
-                          {subject}
+                          {email.subject || 'No Subject'}
                         </h3>
                         <span className="text-sm text-gray-500">
-                          {formatDate(date)}
+                          {formatDate(email.timestamp)}
                         </span>
                       </div>
                       <p className="text-sm text-gray-600 mb-2">
-                        From: {getSenderName(from)}
+                        From: {getSenderName(email.from)}
                       </p>
                       <p className="text-sm text-gray-500 mb-3 line-clamp-2">
                         {email.snippet}
@@ -317,7 +485,7 @@ const Dashboard = () => {
                         {email.processed && (
                           <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                             <CheckCircle className="h-3 w-3 mr-1" />
-                            {email.category}
+                            {email.analysis?.category}
                           </span>
                         )}
                         <button
@@ -335,6 +503,11 @@ const Dashboard = () => {
               )
             })}
           </div>
+          {nextCursor && (
+            <div ref={sentinelRef} className="px-6 py-4 text-center text-sm text-gray-500">
+              {loadingMore ? 'Loading more emails...' : ''}
+            </div>
+          )}
         </div>
       </main>
     </div>
@@ -0,0 +1,111 @@
+import { useState } from 'react'
+import { Search, X, Paperclip } from 'lucide-react'
+import axios from 'axios'
+
+const EXAMPLE_QUERY = 'invoice from:amazon category:Finance after:2024/01/01 has:attachment'
+
+const EmailSearch = () => {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState(null)
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+
+  const runSearch = async (e) => {
+    e.preventDefault()
+    if (!query.trim()) return
+
+    setSearching(true)
+    try {
+      const response = await axios.get('/api/search', { params: { q: query }, withCredentials: true })
+      setResults(response.data)
+      setError(null)
+    } catch (error) {
+      console.error('Error searching emails:', error)
+      setError(error.response?.data?.error || 'Search failed')
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  const clearSearch = () => {
+    setQuery('')
+    setResults(null)
+    setError(null)
+  }
+
+  return (
+    <div className="mb-8">
+      <form onSubmit={runSearch} className="flex gap-2">
+        <div className="relative flex-1">
+          <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={EXAMPLE_QUERY}
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={searching || !query.trim()}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+        {(results || error) && (
+          <button
+            type="button"
+            onClick={clearSearch}
+            className="flex items-center px-3 py-2 text-gray-600 hover:text-gray-800"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </form>
+
+      {error && (
+        <div className="mt-3 px-4 py-3 rounded-md bg-red-50 text-red-700 text-sm">{error}</div>
+      )}
+
+      {results && (
+        <div className="mt-4 bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {results.emails.length} result{results.emails.length === 1 ? '' : 's'} for "{results.query}"
+            </h2>
+          </div>
+          <div className="divide-y">
+            {results.emails.map((email) => (
+              <div key={email.gmailId} className="p-6">
+                <div className="flex items-center justify-between mb-1">
+                  <h3 className="text-sm font-medium text-gray-900 truncate">{email.subject}</h3>
+                  <span className="text-sm text-gray-500">
+                    {email.timestamp ? new Date(email.timestamp).toLocaleDateString() : ''}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600 mb-1">From: {email.from}</p>
+                <p className="text-sm text-gray-500 mb-2 line-clamp-2">{email.snippet}</p>
+                <div className="flex items-center gap-2">
+                  {email.analysis?.category && (
+                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      {email.analysis.category}
+                    </span>
+                  )}
+                  {email.attachments?.length > 0 && (
+                    <span className="inline-flex items-center text-xs text-gray-500">
+                      <Paperclip className="h-3 w-3 mr-1" />
+                      {email.attachments.map(attachment => attachment.filename).join(', ')}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EmailSearch
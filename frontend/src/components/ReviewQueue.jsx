@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, Check, CheckCheck, ClipboardCheck, Pencil, RefreshCw } from 'lucide-react'
+import axios from 'axios'
+
+const REASON_TEXT = {
+  lowConfidence: 'Low confidence',
+  invalidCategory: 'Model gave an unknown category',
+  noRuleMatch: 'No rule matched'
+}
+
+const ReviewQueue = () => {
+  const [emails, setEmails] = useState([])
+  const [summary, setSummary] = useState([])
+  const [categories, setCategories] = useState([])
+  const [reviewMode, setReviewMode] = useState(false)
+  const [categoryFilter, setCategoryFilter] = useState('')
+  const [corrections, setCorrections] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchQueue()
+  }, [categoryFilter])
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get('/api/review', {
+        params: { category: categoryFilter || undefined },
+        withCredentials: true
+      })
+      setEmails(response.data.emails)
+      setSummary(response.data.summary)
+      setCategories(response.data.categories)
+      setReviewMode(response.data.reviewMode)
+      setError(null)
+    } catch (error) {
+      console.error('Error fetching review queue:', error)
+      setError('Failed to load the review queue')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleReviewMode = async () => {
+    try {
+      const response = await axios.put('/api/settings/review',
+        { reviewMode: !reviewMode },
+        { withCredentials: true }
+      )
+      setReviewMode(response.data.reviewMode)
+    } catch (error) {
+      console.error('Error updating review mode:', error)
+      setError('Failed to update review mode')
+    }
+  }
+
+  const acceptEmail = async (gmailId) => {
+    try {
+      await axios.post(`/api/review/${gmailId}/accept`, {}, { withCredentials: true })
+      await fetchQueue()
+    } catch (error) {
+      console.error('Error accepting email:', error)
+      setError('Failed to accept email')
+    }
+  }
+
+  const correctEmail = async (gmailId) => {
+    const correction = corrections[gmailId]
+    if (!correction || !correction.category) return
+
+    try {
+      await axios.post(`/api/review/${gmailId}/correct`, correction, { withCredentials: true })
+      setCorrections(prev => {
+        const next = { ...prev }
+        delete next[gmailId]
+        return next
+      })
+      await fetchQueue()
+    } catch (error) {
+      console.error('Error correcting email:', error)
+      setError(error.response?.data?.error || 'Failed to correct email')
+    }
+  }
+
+  const acceptCategory = async (category, count) => {
+    if (!window.confirm(`Accept all ${count} emails categorized as ${category}?`)) return
+
+    try {
+      await axios.post('/api/review/accept-category', { category }, { withCredentials: true })
+      await fetchQueue()
+    } catch (error) {
+      console.error('Error accepting category:', error)
+      setError('Failed to accept category')
+    }
+  }
+
+  const setCorrection = (gmailId, field, value) => {
+    setCorrections(prev => ({ ...prev, [gmailId]: { ...prev[gmailId], [field]: value } }))
+  }
+
+  const totalQueued = summary.reduce((sum, group) => sum + group.count, 0)
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link to="/dashboard" className="text-gray-500 hover:text-gray-700 mr-3">
+                <ArrowLeft className="h-5 w-5" />
+              </Link>
+              <ClipboardCheck className="h-8 w-8 text-blue-600 mr-3" />
+              <h1 className="text-2xl font-bold text-gray-900">Review Queue</h1>
+            </div>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={reviewMode}
+                onChange={toggleReviewMode}
+                className="mr-2"
+              />
+              Review mode: only label confirmed emails in Gmail
+            </label>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {error && (
+          <div className="mb-6 px-4 py-3 rounded-md bg-red-50 text-red-700 text-sm">{error}</div>
+        )}
+
+        {/* Per-category summary with bulk accept */}
+        <div className="bg-white rounded-lg shadow mb-8">
+          <div className="px-6 py-4 border-b flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">{totalQueued} emails awaiting review</h2>
+            <button
+              onClick={fetchQueue}
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Refresh
+            </button>
+          </div>
+          <div className="divide-y">
+            {summary.map(group => (
+              <div key={group.category || 'none'} className="px-6 py-3 flex items-center justify-between">
+                <button
+                  onClick={() => setCategoryFilter(categoryFilter === group.category ? '' : group.category)}
+                  className={`text-sm font-medium ${categoryFilter === group.category ? 'text-blue-700' : 'text-gray-900'} hover:text-blue-600`}
+                >
+                  {group.category || 'Uncategorized'}
+                  <span className="ml-2 text-gray-500">
+                    {group.count}{group.flagged > 0 && ` (${group.flagged} flagged)`}
+                  </span>
+                </button>
+                {group.category && (
+                  <button
+                    onClick={() => acceptCategory(group.category, group.count)}
+                    className="inline-flex items-center px-3 py-1 bg-green-600 text-white text-xs font-medium rounded hover:bg-green-700"
+                  >
+                    <CheckCheck className="h-3 w-3 mr-1" />
+                    Accept all
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Queued emails */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {categoryFilter ? `Emails in ${categoryFilter}` : 'Emails'}
+            </h2>
+          </div>
+          {loading ? (
+            <div className="p-6 flex justify-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : emails.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">Nothing to review.</p>
+          ) : (
+            <div className="divide-y">
+              {emails.map(email => {
+                const analysis = email.analysis || {}
+                const correction = corrections[email.gmailId] || {}
+
+                return (
+                  <div key={email.gmailId} className="p-6">
+                    <div className="flex items-center justify-between mb-1">
+                      <h3 className="text-sm font-medium text-gray-900 truncate">{email.subject || 'No Subject'}</h3>
+                      {email.review?.status === 'pending' && (
+                        <span className="ml-4 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                          {REASON_TEXT[email.review.reason] || 'Flagged'}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 mb-1">From: {email.from}</p>
+                    <p className="text-sm text-gray-500 mb-3 line-clamp-2">{email.snippet}</p>
+                    <p className="text-xs text-gray-600 mb-3">
+                      {analysis.category} → label "{analysis.suggestedLabel}"
+                      {typeof analysis.confidence === 'number' && ` · confidence ${Math.round(analysis.confidence * 100)}%`}
+                      {analysis.source && ` · ${analysis.source}`}
+                      {analysis.rawCategory && ` · model said "${analysis.rawCategory}"`}
+                    </p>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <button
+                        onClick={() => acceptEmail(email.gmailId)}
+                        className="inline-flex items-center px-3 py-1 bg-green-600 text-white text-xs font-medium rounded hover:bg-green-700"
+                      >
+                        <Check className="h-3 w-3 mr-1" />
+                        Accept
+                      </button>
+                      <select
+                        value={correction.category || ''}
+                        onChange={(e) => setCorrection(email.gmailId, 'category', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      >
+                        <option value="">Change category...</option>
+                        {categories.map(category => (
+                          <option key={category} value={category}>{category}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={correction.label || ''}
+                        onChange={(e) => setCorrection(email.gmailId, 'label', e.target.value)}
+                        placeholder="Label (defaults to category)"
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      />
+                      <button
+                        onClick={() => correctEmail(email.gmailId)}
+                        disabled={!correction.category}
+                        className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <Pencil className="h-3 w-3 mr-1" />
+                        Correct
+                      </button>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default ReviewQueue
@@ -0,0 +1,529 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, ListFilter, Plus, Save, Trash2, RotateCcw, FlaskConical, Pencil, Upload, Download } from 'lucide-react'
+import axios from 'axios'
+
+const MODE_TEXT = {
+  before: 'Before the AI (matching rules skip it)',
+  fallback: 'Only when the AI is unavailable',
+  instead: 'Instead of the AI'
+}
+
+const EMPTY_RULE = {
+  name: '',
+  priority: 0,
+  category: '',
+  label: '',
+  archive: false,
+  markRead: false,
+  continueMatching: false,
+  conditions: JSON.stringify({ field: 'domain', operator: 'equals', value: 'example.com' }, null, 2)
+}
+
+const EMPTY_MESSAGE = { from: '', subject: '', snippet: '' }
+
+// Form state -> rule body; throws when the conditions are not valid JSON
+const toRuleBody = (form) => {
+  const actions = {}
+  if (form.category) actions.category = form.category
+  if (form.label.trim()) actions.label = form.label.trim()
+  if (form.archive) actions.archive = true
+  if (form.markRead) actions.markRead = true
+
+  return {
+    name: form.name,
+    priority: Number(form.priority) || 0,
+    continueMatching: form.continueMatching,
+    conditions: JSON.parse(form.conditions),
+    actions
+  }
+}
+
+const toForm = (rule) => ({
+  name: rule.name,
+  priority: rule.priority || 0,
+  category: rule.actions.category || '',
+  label: rule.actions.label || '',
+  archive: Boolean(rule.actions.archive),
+  markRead: Boolean(rule.actions.markRead),
+  continueMatching: Boolean(rule.continueMatching),
+  conditions: JSON.stringify(rule.conditions, null, 2)
+})
+
+const describeActions = (actions) => [
+  actions.category && `category ${actions.category}`,
+  actions.label && `label "${actions.label}"`,
+  actions.archive && 'archive',
+  actions.markRead && 'mark read'
+].filter(Boolean).join(', ')
+
+const Rules = () => {
+  const [rules, setRules] = useState([])
+  const [custom, setCustom] = useState(false)
+  const [rulesMode, setRulesMode] = useState('before')
+  const [categories, setCategories] = useState([])
+  const [form, setForm] = useState(EMPTY_RULE)
+  const [editingId, setEditingId] = useState(null)
+  const [testMessage, setTestMessage] = useState(EMPTY_MESSAGE)
+  const [testResult, setTestResult] = useState(null)
+  const [filterImport, setFilterImport] = useState(null)
+  const [message, setMessage] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchRules()
+  }, [])
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true)
+      const [rulesResponse, taxonomyResponse] = await Promise.all([
+        axios.get('/api/rules', { withCredentials: true }),
+        axios.get('/api/taxonomy', { withCredentials: true })
+      ])
+      setRules(rulesResponse.data.rules)
+      setCustom(rulesResponse.data.custom)
+      setRulesMode(rulesResponse.data.rulesMode)
+      setCategories(taxonomyResponse.data.categories.map(category => category.name))
+    } catch (error) {
+      console.error('Error fetching rules:', error)
+      setMessage({ type: 'error', text: 'Failed to load rules' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const showError = (error, fallback) => {
+    console.error(fallback, error)
+    setMessage({ type: 'error', text: error.response?.data?.error || error.message || fallback })
+  }
+
+  const applyRules = (data) => {
+    setRules(data.rules)
+    setCustom(data.custom)
+  }
+
+  const updateMode = async (mode) => {
+    try {
+      const response = await axios.put('/api/settings/rules', { rulesMode: mode }, { withCredentials: true })
+      setRulesMode(response.data.rulesMode)
+    } catch (error) {
+      showError(error, 'Failed to update rules mode')
+    }
+  }
+
+  const saveRule = async () => {
+    try {
+      const body = toRuleBody(form)
+      const response = editingId
+        ? await axios.put(`/api/rules/${editingId}`, body, { withCredentials: true })
+        : await axios.post('/api/rules', body, { withCredentials: true })
+      applyRules(response.data)
+      setForm(EMPTY_RULE)
+      setEditingId(null)
+      setMessage({ type: 'success', text: editingId ? `Saved ${body.name}` : 'Rule added' })
+    } catch (error) {
+      showError(error, 'Failed to save rule')
+    }
+  }
+
+  const toggleRule = async (rule) => {
+    try {
+      const response = await axios.put(`/api/rules/${rule.id}`, { enabled: rule.enabled === false }, { withCredentials: true })
+      applyRules(response.data)
+    } catch (error) {
+      showError(error, 'Failed to update rule')
+    }
+  }
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return
+
+    try {
+      const response = await axios.delete(`/api/rules/${rule.id}`, { withCredentials: true })
+      applyRules(response.data)
+      setMessage({ type: 'success', text: `Deleted ${rule.name}` })
+    } catch (error) {
+      showError(error, 'Failed to delete rule')
+    }
+  }
+
+  const resetRules = async () => {
+    if (!window.confirm('Go back to the default rules? Your own rules are removed.')) return
+
+    try {
+      const response = await axios.delete('/api/rules', { withCredentials: true })
+      applyRules(response.data)
+      setMessage({ type: 'success', text: 'Default rules restored' })
+    } catch (error) {
+      showError(error, 'Failed to reset rules')
+    }
+  }
+
+  // Reads a mailFilters.xml file and previews what importing it would do
+  const previewImport = async (file) => {
+    if (!file) return
+
+    try {
+      const xml = await file.text()
+      const response = await axios.post('/api/rules/import', xml, {
+        params: { dryRun: true },
+        headers: { 'Content-Type': 'application/xml' },
+        withCredentials: true
+      })
+      setFilterImport({ xml, report: response.data })
+    } catch (error) {
+      showError(error, 'Failed to read Gmail filters')
+    }
+  }
+
+  const confirmImport = async () => {
+    try {
+      const response = await axios.post('/api/rules/import', filterImport.xml, {
+        headers: { 'Content-Type': 'application/xml' },
+        withCredentials: true
+      })
+      applyRules(response.data)
+      setFilterImport(null)
+      setMessage({ type: 'success', text: `Imported ${response.data.imported.length} Gmail filters as rules` })
+    } catch (error) {
+      showError(error, 'Failed to import Gmail filters')
+    }
+  }
+
+  const exportFilters = async () => {
+    try {
+      const response = await axios.get('/api/rules/export', { withCredentials: true })
+      const url = URL.createObjectURL(new Blob([response.data.xml], { type: 'application/xml' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = 'mailFilters.xml'
+      link.click()
+      URL.revokeObjectURL(url)
+
+      const skipped = response.data.skipped
+      setMessage({
+        type: 'success',
+        text: `Exported ${response.data.exported} rules as ${response.data.filters} Gmail filters` +
+          (skipped.length > 0 ? `; skipped ${skipped.map(rule => `${rule.name} (${rule.reason})`).join(', ')}` : '')
+      })
+    } catch (error) {
+      showError(error, 'Failed to export Gmail filters')
+    }
+  }
+
+  // With draft set, only the rule in the form is tested
+  const testRules = async (draft) => {
+    try {
+      const body = { message: testMessage }
+      if (draft) body.rule = toRuleBody(form)
+      const response = await axios.post('/api/rules/test', body, { withCredentials: true })
+      setTestResult(response.data)
+    } catch (error) {
+      showError(error, 'Failed to test rules')
+    }
+  }
+
+  const editRule = (rule) => {
+    setForm(toForm(rule))
+    setEditingId(rule.id)
+  }
+
+  const sortedRules = [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0))
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link to="/dashboard" className="text-gray-500 hover:text-gray-700 mr-3">
+                <ArrowLeft className="h-5 w-5" />
+              </Link>
+              <ListFilter className="h-8 w-8 text-blue-600 mr-3" />
+              <h1 className="text-2xl font-bold text-gray-900">Rules</h1>
+            </div>
+            <div className="flex items-center">
+              <label className="flex items-center text-sm text-gray-700">
+                Run rules
+                <select
+                  value={rulesMode}
+                  onChange={(e) => updateMode(e.target.value)}
+                  className="ml-2 px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  {Object.keys(MODE_TEXT).map(mode => (
+                    <option key={mode} value={mode}>{MODE_TEXT[mode]}</option>
+                  ))}
+                </select>
+              </label>
+              {custom && (
+                <button
+                  onClick={resetRules}
+                  className="flex items-center ml-4 px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors"
+                >
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Reset to defaults
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {message && (
+          <div className={`mb-6 px-4 py-3 rounded-md text-sm ${message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+            {message.text}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+          {/* Rule editor */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">{editingId ? 'Edit Rule' : 'Add Rule'}</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Conditions match sender, domain, subject, snippet, header or label with equals, contains, matches (regex) or exists,
+              combined with {'{ "all": [...] }'}, {'{ "any": [...] }'} and {'{ "not": ... }'}.
+            </p>
+            <div className="grid grid-cols-3 gap-3 mb-3">
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Name"
+                className="col-span-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="number"
+                value={form.priority}
+                onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                placeholder="Priority"
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <textarea
+              value={form.conditions}
+              onChange={(e) => setForm({ ...form, conditions: e.target.value })}
+              rows={8}
+              className="w-full mb-3 px-3 py-2 border border-gray-300 rounded-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="grid grid-cols-2 gap-3 mb-3">
+              <select
+                value={form.category}
+                onChange={(e) => setForm({ ...form, category: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="">No category</option>
+                {categories.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={form.label}
+                onChange={(e) => setForm({ ...form, label: e.target.value })}
+                placeholder="Label (defaults to category)"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div className="flex flex-wrap gap-4 mb-4 text-sm text-gray-700">
+              {[['archive', 'Archive'], ['markRead', 'Mark read'], ['continueMatching', 'Keep matching lower rules']].map(([field, text]) => (
+                <label key={field} className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={form[field]}
+                    onChange={(e) => setForm({ ...form, [field]: e.target.checked })}
+                    className="mr-2"
+                  />
+                  {text}
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={saveRule}
+                disabled={!form.name.trim()}
+                className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                {editingId ? <Save className="h-4 w-4 mr-2" /> : <Plus className="h-4 w-4 mr-2" />}
+                {editingId ? 'Save' : 'Add'}
+              </button>
+              {editingId && (
+                <button
+                  onClick={() => { setForm(EMPTY_RULE); setEditingId(null) }}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Rule tester */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Test a Message</h2>
+            {['from', 'subject', 'snippet'].map(field => (
+              <input
+                key={field}
+                type="text"
+                value={testMessage[field]}
+                onChange={(e) => setTestMessage({ ...testMessage, [field]: e.target.value })}
+                placeholder={field === 'from' ? 'From, e.g. Bank <alerts@bank.com>' : field[0].toUpperCase() + field.slice(1)}
+                className="w-full mb-3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            ))}
+            <div className="flex gap-2 mb-4">
+              <button
+                onClick={() => testRules(false)}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                <FlaskConical className="h-4 w-4 mr-2" />
+                Test saved rules
+              </button>
+              <button
+                onClick={() => testRules(true)}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Test rule in editor
+              </button>
+            </div>
+            {testResult && (
+              <div className="text-sm text-gray-700">
+                {testResult.matches.length === 0 ? (
+                  <p>No rule matched; the email would go to {testResult.analysis.category} and to review.</p>
+                ) : (
+                  <>
+                    <p className="mb-1">Matched: {testResult.matches.map(match => match.name).join(' → ')}</p>
+                    <p>
+                      Result: {testResult.analysis.category} → label "{testResult.analysis.suggestedLabel}"
+                      {` · confidence ${Math.round(testResult.analysis.confidence * 100)}%`}
+                      {testResult.actions.archive && ' · archive'}
+                      {testResult.actions.markRead && ' · mark read'}
+                    </p>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Gmail filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-8">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Gmail Filters</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Import the mailFilters.xml file Gmail exports under Settings → Filters, or export these rules for Gmail to run itself.
+          </p>
+          <div className="flex gap-2">
+            <label className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors cursor-pointer">
+              <Upload className="h-4 w-4 mr-2" />
+              Import filters
+              <input
+                type="file"
+                accept=".xml,application/xml,text/xml"
+                onChange={(e) => { previewImport(e.target.files[0]); e.target.value = '' }}
+                className="hidden"
+              />
+            </label>
+            <button
+              onClick={exportFilters}
+              className="flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export filters
+            </button>
+          </div>
+          {filterImport && (
+            <div className="mt-4 text-sm text-gray-700">
+              <p className="mb-2">
+                {filterImport.report.filters} filters: {filterImport.report.imported.length} to import,
+                {` ${filterImport.report.duplicates} already present`}
+                {`, ${filterImport.report.unsupported.filter(item => item.skipped).length} not supported`}
+              </p>
+              {filterImport.report.unsupported.length > 0 && (
+                <ul className="mb-3 list-disc list-inside text-xs text-gray-600">
+                  {filterImport.report.unsupported.map(item => (
+                    <li key={item.filter}>
+                      Filter {item.filter} ({item.description}): {item.reason}{item.skipped ? ', not imported' : ''}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {filterImport.report.warning && (
+                <p className="mb-3 text-xs text-yellow-800">{filterImport.report.warning}</p>
+              )}
+              <div className="flex gap-2">
+                <button
+                  onClick={confirmImport}
+                  disabled={filterImport.report.imported.length === 0}
+                  className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+                >
+                  Import {filterImport.report.imported.length} rules
+                </button>
+                <button
+                  onClick={() => setFilterImport(null)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Rule list */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {custom ? 'Your rules' : 'Default rules'}
+            </h2>
+          </div>
+          {loading ? (
+            <div className="p-6 flex justify-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <div className="divide-y">
+              {sortedRules.map(rule => (
+                <div key={rule.id} className={`px-6 py-4 flex items-center justify-between ${rule.enabled === false ? 'opacity-50' : ''}`}>
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      <span className="text-gray-500 mr-2">{rule.priority || 0}</span>
+                      {rule.name}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">{describeActions(rule.actions)}</p>
+                  </div>
+                  <div className="flex gap-2 ml-4">
+                    <label className="flex items-center text-xs text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled !== false}
+                        onChange={() => toggleRule(rule)}
+                        className="mr-1"
+                      />
+                      Enabled
+                    </label>
+                    <button
+                      onClick={() => editRule(rule)}
+                      className="inline-flex items-center px-3 py-1 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      <Pencil className="h-3 w-3" />
+                    </button>
+                    <button
+                      onClick={() => deleteRule(rule)}
+                      className="inline-flex items-center px-3 py-1 border border-gray-300 text-xs font-medium rounded text-red-600 bg-white hover:bg-red-50"
+                    >
+                      <Trash2 className="h-3 w-3" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default Rules
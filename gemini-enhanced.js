@@ -1,38 +1,330 @@
-const https = require('https');
+const crypto = require('crypto');
+const { createProvider, LLMResponseError } = require('./llm-providers');
+const {
+    OVERRIDE_CONFIDENCE,
+    parseSender,
+    isPublicMailDomain,
+    deriveOverride,
+    selectFewShotExamples,
+    formatFewShotExamples
+} = require('./correction-learning');
+const { FALLBACK_CATEGORY, Taxonomy } = require('./taxonomy');
+const { RULES_MODES, DEFAULT_RULES_MODE, RuleSet, isDefaultRule } = require('./rules-engine');
+
+// Bump when the analysis prompts change so cached results from the old prompt stop matching
+const ANALYSIS_PROMPT_VERSION = 'analysis-v5';
+// How long analyses of near-identical mail are reused; 0 turns the cache off
+const ANALYSIS_CACHE_TTL_DAYS = process.env.ANALYSIS_CACHE_TTL_DAYS !== undefined
+    ? parseFloat(process.env.ANALYSIS_CACHE_TTL_DAYS)
+    : 30;
+
+// Emails packed into one analysis prompt; each prompt counts once against the rate limit
+const EMAILS_PER_PROMPT = parseInt(process.env.LLM_EMAILS_PER_PROMPT) || 10;
+// Snippets are trimmed in packed prompts so they fit small local-model context windows
+const PACKED_SNIPPET_CHARS = 300;
+// Bodies of emails fetched in full and extracted attachment text are trimmed the same way,
+// shorter when several emails share a prompt
+const PROMPT_BODY_CHARS = 2000;
+const PACKED_BODY_CHARS = 600;
+const PROMPT_ATTACHMENT_CHARS = 1500;
+const PACKED_ATTACHMENT_CHARS = 300;
+
+// Confidence assumed when the model gives none, and the cap when its category was unusable
+const DEFAULT_LLM_CONFIDENCE = 0.5;
+const INVALID_CATEGORY_CONFIDENCE = 0.3;
+
+// Models report confidence as 0-1 or as a percentage
+function parseConfidence(value) {
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) {
+        return DEFAULT_LLM_CONFIDENCE;
+    }
+    return Math.min(1, number > 1 ? number / 100 : number);
+}
+
+// Reduces a subject or snippet to its template: OTPs, amounts, dates, order numbers, links and
+// addresses differ between otherwise identical alerts and newsletters
+function normalizeTemplate(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/https?:\/\/\S+/g, 'url')
+        .replace(/\S+@\S+/g, 'email')
+        .replace(/[a-z0-9]*\d[a-z0-9]*/g, '#')
+        .replace(/#(?:[\s.,:\/-]*#)+/g, '#')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Prompt sections for an email's body and attachments. Emails fetched with metadata only have
+// no body, and attachments only have text once it has been extracted.
+function formatContent(email, bodyChars, attachmentChars) {
+    const attachments = email.attachments || [];
+    let section = email.body ? `\nBody:\n${email.body.substring(0, bodyChars)}` : '';
+
+    if (attachments.length > 0) {
+        section += `\nAttachments: ${attachments.map(attachment => attachment.filename || attachment.mimeType).join(', ')}`;
+        const text = attachments
+            .filter(attachment => attachment.text)
+            .map(attachment => `[${attachment.filename}] ${attachment.text}`)
+            .join('\n');
+        if (text) {
+            section += `\nAttachment text:\n${text.substring(0, attachmentChars)}`;
+        }
+    }
+
+    return section;
+}
+
+function guessSentiment(subject) {
+    const subjectLower = subject.toLowerCase();
+    const positiveWords = ['congratulations', 'thank you', 'great', 'excellent', 'success', 'approved'];
+    const negativeWords = ['urgent', 'overdue', 'failed', 'error', 'problem', 'issue', 'cancelled'];
+
+    if (positiveWords.some(word => subjectLower.includes(word))) {
+        return 'positive';
+    }
+    if (negativeWords.some(word => subjectLower.includes(word))) {
+        return 'negative';
+    }
+    return 'neutral';
+}
+
+// The Gmail changes rules ask for besides a label, carried on the analysis until labeling
+function mailActions(actions) {
+    const ruleActions = {};
+    ['archive', 'markRead'].forEach(action => {
+        if (actions[action]) {
+            ruleActions[action] = true;
+        }
+    });
+    return Object.keys(ruleActions).length > 0 ? { ruleActions } : {};
+}
 
 class EnhancedGeminiAnalyzer {
     constructor(mongoDb) {
         this.mongoDb = mongoDb;
-        this.GEMINI_API_KEY = process.env.GEMINI_API_KEY;
         this.USE_GEMINI = process.env.USE_GEMINI === 'true';
-        this.VALID_CATEGORIES = [
-            'Finance/Investments', 'Finance/Banking', 'Finance/E-commerce', 
-            'Finance/Billing', 'Finance/General', 'Work', 'Shopping', 
-            'Personal', 'Promotions', 'Other'
-        ];
+        this.defaultTaxonomy = new Taxonomy();
+        this.defaultRuleSet = new RuleSet();
+    }
+
+    // The user's own category tree, or the default one
+    async getTaxonomy(userId) {
+        const stored = userId ? await this.mongoDb.getTaxonomy(userId) : null;
+        return stored ? new Taxonomy(stored.categories) : this.defaultTaxonomy;
+    }
+
+    // The user's own rules, or the default ones
+    async getRuleSet(userId) {
+        const stored = userId ? await this.mongoDb.getRules(userId) : null;
+        return stored ? new RuleSet(stored.rules) : this.defaultRuleSet;
+    }
+
+    async getRulesMode(userId) {
+        const settings = await this.mongoDb.getUserSettings(userId);
+        return RULES_MODES.indexOf(settings.rulesMode) >= 0 ? settings.rulesMode : DEFAULT_RULES_MODE;
+    }
+
+    // What rules see of an email: its headers and its labels by name as well as by id
+    toRuleMessage(email, labelNames = {}) {
+        const labelIds = email.labelIds || [];
+        return {
+            from: email.from,
+            subject: email.subject,
+            snippet: email.snippet,
+            headers: email.headers || {},
+            labels: labelIds.concat(labelIds.map(id => labelNames[id]).filter(Boolean))
+        };
+    }
+
+    // Cache key for an email: same sender domain and subject, snippet, body and attachment
+    // templates under the same prompt and category tree means the same analysis
+    getCacheKey(email, taxonomy) {
+        return crypto.createHash('sha256')
+            .update([
+                ANALYSIS_PROMPT_VERSION,
+                taxonomy.version,
+                parseSender(email.from).domain,
+                normalizeTemplate(email.subject),
+                normalizeTemplate(email.snippet),
+                normalizeTemplate((email.body || '').substring(0, PACKED_BODY_CHARS)),
+                normalizeTemplate((email.attachments || [])
+                    .map(attachment => `${attachment.filename} ${(attachment.text || '').substring(0, PACKED_ATTACHMENT_CHARS)}`)
+                    .join('\n'))
+            ].join('\n'))
+            .digest('hex');
+    }
+
+    // Analyzes a group of emails, answering from the cache where possible. Identical emails
+    // within the group reach the model once. Only model answers are cached, not rule fallbacks.
+    async analyzeWithCache(emails, userId, taxonomy) {
+        if (!(ANALYSIS_CACHE_TTL_DAYS > 0)) {
+            const analyses = await this.analyzePacked(emails, userId, taxonomy);
+            return new Map([...analyses].map(([gmailId, analysis]) => [gmailId, { ...analysis, cached: false }]));
+        }
+
+        const keys = new Map(emails.map(email => [email.gmailId, this.getCacheKey(email, taxonomy)]));
+        const cached = await this.mongoDb.getCachedAnalyses(userId, [...new Set(keys.values())]);
+
+        const toAnalyze = [];
+        const pendingKeys = new Set();
+        emails.forEach(email => {
+            const key = keys.get(email.gmailId);
+            if (!cached.has(key) && !pendingKeys.has(key)) {
+                pendingKeys.add(key);
+                toAnalyze.push(email);
+            }
+        });
+
+        const fresh = toAnalyze.length > 0 ? await this.analyzePacked(toAnalyze, userId, taxonomy) : new Map();
+
+        const freshByKey = new Map();
+        const cacheEntries = [];
+        toAnalyze.forEach(email => {
+            const analysis = fresh.get(email.gmailId);
+            freshByKey.set(keys.get(email.gmailId), analysis);
+            if (analysis.source !== 'rules') {
+                cacheEntries.push({ cacheKey: keys.get(email.gmailId), senderDomain: parseSender(email.from).domain, analysis });
+            }
+        });
+
+        if (cacheEntries.length > 0) {
+            await this.mongoDb.saveCachedAnalyses(userId, cacheEntries, {
+                promptVersion: ANALYSIS_PROMPT_VERSION,
+                taxonomyVersion: taxonomy.version,
+                expiresAt: new Date(Date.now() + ANALYSIS_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000)
+            });
+        }
+
+        const hits = emails.length - toAnalyze.length;
+        if (hits > 0) {
+            console.log(`♻️ Reused cached analysis for ${hits}/${emails.length} emails`);
+        }
+
+        return new Map(emails.map(email => {
+            const key = keys.get(email.gmailId);
+            if (fresh.has(email.gmailId)) {
+                return [email.gmailId, { ...fresh.get(email.gmailId), cached: false }];
+            }
+            // model and promptVersion still say where the cached answer originally came from
+            return [email.gmailId, { ...(cached.get(key) || freshByKey.get(key)), source: 'cache', cached: true }];
+        }));
+    }
+
+    // Drops the user's cached analyses; with staleOnly, just those from older prompts or category lists
+    async clearCache(userId, options = {}) {
+        return this.mongoDb.clearAnalysisCache(userId, options.staleOnly ? {
+            promptVersion: ANALYSIS_PROMPT_VERSION,
+            taxonomyVersion: (await this.getTaxonomy(userId)).version
+        } : null);
+    }
+
+    // The user's past corrections most like these emails, for use as few-shot prompt examples
+    async getFewShotExamples(userId, emails) {
+        const corrections = await this.mongoDb.getCorrections(userId);
+        return selectFewShotExamples(corrections, emails);
+    }
+
+    // Emails whose sender or domain has an override get its category without asking the model.
+    // A sender override wins over its domain's.
+    async applyOverrides(emails, userId) {
+        const senders = new Map(emails.map(email => [email.gmailId, parseSender(email.from)]));
+        const overrides = await this.mongoDb.getCategoryOverrides(userId, {
+            senderAddresses: [...senders.values()].map(sender => sender.address),
+            senderDomains: [...senders.values()].map(sender => sender.domain)
+        });
+
+        const analyses = new Map();
+        if (overrides.length === 0) {
+            return analyses;
+        }
+
+        emails.forEach(email => {
+            const sender = senders.get(email.gmailId);
+            const override = overrides.find(o => o.type === 'sender' && o.value === sender.address) ||
+                overrides.find(o => o.type === 'domain' && o.value === sender.domain);
+
+            if (override) {
+                const { reviewReason, ...fallback } = this.fallbackAnalysis(email.subject, email.from, email.snippet);
+                analyses.set(email.gmailId, {
+                    ...fallback,
+                    category: override.category,
+                    suggestedLabel: override.label,
+                    confidence: OVERRIDE_CONFIDENCE,
+                    source: 'override',
+                    override: { type: override.type, value: override.value }
+                });
+            }
+        });
+
+        if (analyses.size > 0) {
+            console.log(`📌 Applied sender/domain overrides to ${analyses.size}/${emails.length} emails`);
+        }
+        return analyses;
+    }
+
+    // Stores a corrected email as a training example, then re-derives the overrides for its
+    // sender and domain. Cached answers for the domain are dropped so the next analysis sees
+    // the new example.
+    async recordCorrection(userId, email) {
+        const sender = parseSender(email.from);
+        const review = email.review || {};
+
+        await this.mongoDb.saveCorrection(userId, {
+            gmailId: email.gmailId,
+            from: email.from,
+            subject: email.subject,
+            snippet: email.snippet,
+            senderAddress: sender.address,
+            senderDomain: sender.domain,
+            originalCategory: review.originalCategory || null,
+            originalLabel: review.originalLabel || null,
+            category: email.analysis.category,
+            label: email.analysis.suggestedLabel
+        });
+
+        const scopes = [{ type: 'sender', value: sender.address, query: { senderAddress: sender.address } }];
+        if (!isPublicMailDomain(sender.domain)) {
+            scopes.push({ type: 'domain', value: sender.domain, query: { senderDomain: sender.domain } });
+        }
+
+        const overrides = [];
+        for (const scope of scopes) {
+            const corrections = await this.mongoDb.getCorrections(userId, { ...scope.query, limit: 50 });
+            const override = await this.mongoDb.setCategoryOverride(userId, scope.type, scope.value, deriveOverride(corrections));
+            if (override && !override.disabled) {
+                overrides.push(override);
+            }
+        }
+
+        await this.mongoDb.clearCachedAnalysesForDomain(userId, sender.domain);
+
+        return overrides;
     }
 
-    async analyzeEmail(subject, from, snippet, userId) {
+    // `taxonomy` is loaded for the user when not given; `content` is the stored email's `body`
+    // and `attachments`, when it has them
+    async analyzeEmail(subject, from, snippet, userId, taxonomy, content = {}) {
         try {
+            taxonomy = taxonomy || await this.getTaxonomy(userId);
+
             // Check rate limiting
             const canProceed = await this.mongoDb.checkRateLimit(userId, 'gemini');
             if (!canProceed) {
-                console.log('🚫 Gemini rate limit reached, using fallback');
-                return this.fallbackAnalysis(subject, from, snippet);
+                console.log('🚫 LLM rate limit reached, using fallback');
+                return this.fallbackAnalysis(subject, from, snippet, taxonomy);
             }
 
+            const examples = await this.getFewShotExamples(userId, [{ subject, from }]);
+
             // Prepare enhanced prompt for comprehensive analysis
             const prompt = `You are an advanced email analyzer. Analyze this email and return a JSON response with the following fields:
-- purpose: Brief purpose of the email (max 50 chars)
-- category: One of these exact categories: ${this.VALID_CATEGORIES.join(', ')}
-- summary: 1-sentence summary (max 100 chars)
-- sentiment: positive, negative, or neutral
-- suggestedLabel: Clean label name for Gmail (max 30 chars)
+${this.describeAnalysisFields(taxonomy)}
 
-Email Details:
+${formatFewShotExamples(examples)}Email Details:
 Subject: ${subject}
 From: ${from}
-Snippet: ${snippet}
+Snippet: ${snippet}${formatContent(content, PROMPT_BODY_CHARS, PROMPT_ATTACHMENT_CHARS)}
 
 Return ONLY valid JSON, no other text:
 
@@ -41,197 +333,311 @@ Return ONLY valid JSON, no other text:
   "category": "...",
   "summary": "...",
   "sentiment": "...",
-  "suggestedLabel": "..."
+  "suggestedLabel": "...",
+  "confidence": 0.0
 }`;
 
-            const analysis = await this.callGeminiAPI(prompt);
+            const { response, provider } = await this.callLLM(prompt, userId);
             
             // Validate and clean the response
-            const validatedAnalysis = this.validateAnalysis(analysis);
+            const validatedAnalysis = this.validateAnalysis(response, provider, taxonomy);
             
-            console.log(`✅ Gemini enhanced analysis completed for: "${subject}"`);
+            console.log(`✅ LLM analysis completed for: "${subject}"`);
             return validatedAnalysis;
 
         } catch (error) {
-            console.error('❌ Error in enhanced Gemini analysis:', error.message);
-            return this.fallbackAnalysis(subject, from, snippet);
+            console.error('❌ Error in LLM analysis:', error.message);
+            return this.fallbackAnalysis(subject, from, snippet, taxonomy);
         }
     }
 
-    async callGeminiAPI(prompt) {
-        return new Promise((resolve, reject) => {
-            const requestData = JSON.stringify({
-                contents: [{
-                    parts: [{
-                        text: prompt
-                    }]
-                }]
-            });
+    describeAnalysisFields(taxonomy) {
+        return `- purpose: Brief purpose of the email (max 50 chars)
+- category: The most specific of these exact categories that fits:
+${taxonomy.describe()}
+- summary: 1-sentence summary (max 100 chars)
+- sentiment: positive, negative, or neutral
+- suggestedLabel: Clean label name for Gmail (max 30 chars)
+- confidence: How sure you are of the category, from 0 to 1`;
+    }
 
-            const options = {
-                hostname: 'generativelanguage.googleapis.com',
-                path: `/v1beta/models/gemini-pro:generateContent?key=${this.GEMINI_API_KEY}`,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(requestData)
-                },
-                timeout: 10000 // 10 second timeout
-            };
+    // One prompt for several emails. Resolves with the analyses the model returned in a usable
+    // form, keyed by gmailId, and the emails it skipped or answered badly.
+    async analyzeEmailGroup(emails, userId, taxonomy) {
+        const examples = await this.getFewShotExamples(userId, emails);
+        const prompt = `You are an advanced email analyzer. Analyze each of the ${emails.length} emails below. Return a JSON object whose "results" array has one entry per email with these fields:
+- gmailId: The email's id, copied exactly
+${this.describeAnalysisFields(taxonomy)}
 
-            console.log('🧠 Calling enhanced Gemini API...');
+${formatFewShotExamples(examples)}${emails.map(email => `Email id: ${email.gmailId}
+Subject: ${email.subject}
+From: ${email.from}
+Snippet: ${(email.snippet || '').substring(0, PACKED_SNIPPET_CHARS)}${formatContent(email, PACKED_BODY_CHARS, PACKED_ATTACHMENT_CHARS)}`).join('\n\n')}
 
-            const req = https.request(options, (res) => {
-                let data = '';
-                
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                
-                res.on('end', () => {
-                    try {
-                        const response = JSON.parse(data);
-                        
-                        if (response.candidates && response.candidates[0] && response.candidates[0].content) {
-                            const text = response.candidates[0].content.parts[0].text.trim();
-                            
-                            // Extract JSON from response
-                            const jsonMatch = text.match(/\{[\s\S]*\}/);
-                            if (jsonMatch) {
-                                const analysis = JSON.parse(jsonMatch[0]);
-                                resolve(analysis);
-                            } else {
-                                throw new Error('No valid JSON found in response');
-                            }
-                        } else {
-                            throw new Error('Invalid Gemini response structure');
-                        }
-                    } catch (error) {
-                        console.error('❌ Error parsing Gemini response:', error.message);
-                        reject(error);
-                    }
-                });
-            });
-
-            req.on('error', (error) => {
-                console.error('❌ Gemini API request failed:', error.message);
-                reject(error);
-            });
+Return ONLY valid JSON, no other text:
 
-            req.on('timeout', () => {
-                console.error('❌ Gemini API request timed out');
-                req.destroy();
-                reject(new Error('Request timeout'));
-            });
+{
+  "results": [
+    {
+      "gmailId": "...",
+      "purpose": "...",
+      "category": "...",
+      "summary": "...",
+      "sentiment": "...",
+      "suggestedLabel": "...",
+      "confidence": 0.0
+    }
+  ]
+}`;
 
-            req.write(requestData);
-            req.end();
+        const { response, provider } = await this.callLLM(prompt, userId);
+        if (!Array.isArray(response.results)) {
+            throw new LLMResponseError('Response has no "results" array');
+        }
+        const items = response.results;
+        const expectedIds = new Set(emails.map(email => email.gmailId));
+        const analyses = new Map();
+
+        items.forEach(item => {
+            const usable = item && typeof item === 'object' &&
+                expectedIds.has(item.gmailId) &&
+                taxonomy.has(item.category) &&
+                typeof item.suggestedLabel === 'string';
+
+            if (usable && !analyses.has(item.gmailId)) {
+                analyses.set(item.gmailId, this.validateAnalysis(item, provider, taxonomy));
+            }
         });
+
+        return {
+            analyses,
+            missing: emails.filter(email => !analyses.has(email.gmailId))
+        };
+    }
+
+    // Analyzes emails several to a prompt. Emails the model skipped or answered badly are
+    // retried one by one; when the reply is unusable as a whole, the group is split in half and
+    // retried. A failed request (timeout, 429, 5xx) is not retried here: the whole group gets
+    // the rule-based analysis at once. Never rejects.
+    async analyzePacked(emails, userId, taxonomy) {
+        if (emails.length === 1) {
+            const email = emails[0];
+            return new Map([[email.gmailId, await this.analyzeEmail(email.subject, email.from, email.snippet, userId, taxonomy, email)]]);
+        }
+
+        const canProceed = await this.mongoDb.checkRateLimit(userId, 'gemini');
+        if (!canProceed) {
+            console.log(`🚫 LLM rate limit reached, using fallback for ${emails.length} emails`);
+            return new Map(emails.map(email => [email.gmailId, this.fallbackAnalysis(email.subject, email.from, email.snippet, taxonomy)]));
+        }
+
+        try {
+            const { analyses, missing } = await this.analyzeEmailGroup(emails, userId, taxonomy);
+
+            if (missing.length > 0) {
+                console.log(`↪️ Retrying ${missing.length}/${emails.length} emails individually`);
+            }
+            for (const email of missing) {
+                analyses.set(email.gmailId, await this.analyzeEmail(email.subject, email.from, email.snippet, userId, taxonomy, email));
+            }
+
+            return analyses;
+
+        } catch (error) {
+            if (!(error instanceof LLMResponseError)) {
+                console.error(`❌ Analysis request for ${emails.length} emails failed, using fallback:`, error.message);
+                return new Map(emails.map(email => [email.gmailId, this.fallbackAnalysis(email.subject, email.from, email.snippet, taxonomy)]));
+            }
+
+            console.error(`❌ Unusable reply for ${emails.length} emails, splitting:`, error.message);
+
+            const middle = Math.ceil(emails.length / 2);
+            const first = await this.analyzePacked(emails.slice(0, middle), userId, taxonomy);
+            const second = await this.analyzePacked(emails.slice(middle), userId, taxonomy);
+            return new Map([...first, ...second]);
+        }
+    }
+
+    // The user's chosen provider when it is still configured, otherwise the deployment default
+    async getProvider(userId) {
+        const settings = userId ? await this.mongoDb.getUserSettings(userId) : null;
+        const provider = createProvider(settings && settings.llmProvider ? settings.llmProvider : undefined);
+        return provider.isConfigured() ? provider : createProvider();
     }
 
-    validateAnalysis(analysis) {
+    // Resolves with the parsed JSON reply and the provider that produced it
+    async callLLM(prompt, userId) {
+        const provider = await this.getProvider(userId);
+        
+        console.log(`🧠 Calling ${provider.name} (${provider.model})...`);
+        
+        try {
+            return {
+                response: await provider.generateJson(prompt),
+                provider
+            };
+        } catch (error) {
+            console.error(`❌ ${provider.name} request failed:`, error.message);
+            throw error;
+        }
+    }
+
+    validateAnalysis(analysis, provider, taxonomy) {
+        const validCategory = taxonomy.has(analysis.category);
+        const confidence = parseConfidence(analysis.confidence);
+        const category = taxonomy.resolve(analysis.category);
+        
         const validated = {
             purpose: analysis.purpose || 'Unknown purpose',
-            category: this.VALID_CATEGORIES.includes(analysis.category) ? analysis.category : 'Other',
+            category,
             summary: analysis.summary || 'No summary available',
             sentiment: ['positive', 'negative', 'neutral'].includes(analysis.sentiment) ? analysis.sentiment : 'neutral',
-            suggestedLabel: analysis.suggestedLabel || 'General'
+            // A category mapped to a Gmail label always gets that label
+            suggestedLabel: (taxonomy.get(category) || {}).gmailLabel || this.cleanLabelName(analysis.suggestedLabel),
+            confidence: validCategory ? confidence : Math.min(confidence, INVALID_CATEGORY_CONFIDENCE),
+            source: provider.name,
+            model: provider.model,
+            promptVersion: ANALYSIS_PROMPT_VERSION
         };
 
-        // Clean up suggested label
-        validated.suggestedLabel = validated.suggestedLabel
+        // Keep what the model actually answered so a reviewer can see why it became a parent
+        // category or "Other"
+        if (!validCategory) {
+            validated.rawCategory = String(analysis.category || '').substring(0, 100);
+            validated.reviewReason = 'invalidCategory';
+        }
+
+        return validated;
+    }
+
+    // Gmail-safe label name: letters, digits, spaces and / only, at most 30 characters
+    cleanLabelName(label) {
+        const cleaned = String(label || '')
             .replace(/[^a-zA-Z0-9\s\/]/g, '') // Remove special characters except /
             .trim()
             .substring(0, 30);
 
-        if (!validated.suggestedLabel) {
-            validated.suggestedLabel = 'General';
-        }
-
-        return validated;
+        return cleaned || 'General';
     }
 
-    fallbackAnalysis(subject, from, snippet) {
+    // Rule-based analysis with the default rules, used when the model cannot be asked
+    fallbackAnalysis(subject, from, snippet, taxonomy = this.defaultTaxonomy) {
         console.log('📋 Using fallback analysis...');
         
-        const subjectLower = subject.toLowerCase();
-        const fromLower = from.toLowerCase();
-        const snippetLower = snippet.toLowerCase();
-
-        // Simple rule-based analysis
-        let category = 'Other';
-        let purpose = 'General communication';
-        let sentiment = 'neutral';
-        let suggestedLabel = 'General';
-
-        // Financial detection
-        const financialKeywords = ['invoice', 'payment', 'bill', 'transaction', 'amount', 'due', 'statement', 'credit card', 'bank', 'account'];
-        const investmentKeywords = ['sip', 'mutual fund', 'stock', 'portfolio', 'investment', 'trading', 'demat'];
-        const workKeywords = ['meeting', 'project', 'deadline', 'report', 'presentation', 'office', 'work'];
-        const personalKeywords = ['family', 'friend', 'personal', 'weekend', 'trip', 'vacation'];
-        const shoppingKeywords = ['order', 'delivery', 'purchase', 'buy', 'shop', 'cart', 'shipment'];
-
-        if (financialKeywords.some(keyword => subjectLower.includes(keyword) || snippetLower.includes(keyword))) {
-            if (investmentKeywords.some(keyword => subjectLower.includes(keyword))) {
-                category = 'Finance/Investments';
-                purpose = 'Investment notification';
-                suggestedLabel = 'Investments';
-            } else {
-                category = 'Finance/Banking';
-                purpose = 'Financial transaction';
-                suggestedLabel = 'Banking';
-            }
-        } else if (workKeywords.some(keyword => subjectLower.includes(keyword))) {
-            category = 'Work';
-            purpose = 'Work related';
-            suggestedLabel = 'Work';
-        } else if (personalKeywords.some(keyword => subjectLower.includes(keyword))) {
-            category = 'Personal';
-            purpose = 'Personal communication';
-            suggestedLabel = 'Personal';
-        } else if (shoppingKeywords.some(keyword => subjectLower.includes(keyword))) {
-            category = 'Shopping';
-            purpose = 'Shopping related';
-            suggestedLabel = 'Shopping';
-        }
-
-        // Sentiment analysis
-        const positiveWords = ['congratulations', 'thank you', 'great', 'excellent', 'success', 'approved'];
-        const negativeWords = ['urgent', 'overdue', 'failed', 'error', 'problem', 'issue', 'cancelled'];
+        const email = { subject, from, snippet };
+        return this.ruleAnalysis(email, this.defaultRuleSet.evaluate(email), taxonomy);
+    }
 
-        if (positiveWords.some(word => subjectLower.includes(word))) {
-            sentiment = 'positive';
-        } else if (negativeWords.some(word => subjectLower.includes(word))) {
-            sentiment = 'negative';
-        }
+    // Turns a rules evaluation into an analysis. Rule categories outside a custom tree map to
+    // their nearest existing ancestor, or to "Other"; with no category at all the email goes
+    // to "Other" and to review.
+    ruleAnalysis(email, evaluation, taxonomy) {
+        const { actions, rule } = evaluation;
+        const subject = email.subject || '';
+        const matched = Boolean(actions.category);
+        const category = taxonomy.resolve(actions.category || FALLBACK_CATEGORY);
+        const mapping = (taxonomy.get(category) || {}).gmailLabel;
 
         return {
-            purpose,
+            purpose: rule ? rule.name : 'General communication',
             category,
             summary: subject.length > 100 ? subject.substring(0, 97) + '...' : subject,
-            sentiment,
-            suggestedLabel
+            sentiment: guessSentiment(subject),
+            suggestedLabel: actions.label ? this.cleanLabelName(actions.label) : mapping || (matched ? category : 'General'),
+            // Keyword matches are a weak signal; no match at all is weaker still
+            confidence: matched ? actions.confidence : 0.2,
+            source: 'rules',
+            model: null,
+            promptVersion: null,
+            ...(rule ? { rule } : {}),
+            ...(matched ? {} : { reviewReason: 'noRuleMatch' }),
+            ...mailActions(actions)
         };
     }
 
-    async batchAnalyzeEmails(emails, userId) {
+    async batchAnalyzeEmails(emails, userId, options = {}) {
         console.log(`🔄 Starting batch analysis of ${emails.length} emails...`);
         
         const results = [];
-        const batchSize = 5; // Process in batches to respect rate limits
+        const taxonomy = await this.getTaxonomy(userId);
+        const ruleSet = await this.getRuleSet(userId);
+        const rulesMode = await this.getRulesMode(userId);
+        // Ahead of the model only the user's own rules decide; the built-in keyword rules are
+        // too weak a signal to skip it and stay the fallback
+        const leadingRuleSet = rulesMode === 'before'
+            ? new RuleSet(ruleSet.rules.filter(rule => !isDefaultRule(rule)))
+            : ruleSet;
+        const labelNames = {};
+        (await this.mongoDb.getLabels(userId)).forEach(label => { labelNames[label.gmailLabelId] = label.name; });
+        // Flagged analyses only hold back labeling in review mode; otherwise they keep their
+        // reviewReason and are labeled like any other
+        const { reviewMode } = await this.mongoDb.getUserSettings(userId);
         
-        for (let i = 0; i < emails.length; i += batchSize) {
-            const batch = emails.slice(i, i + batchSize);
-            console.log(`🔄 Processing analysis batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(emails.length/batchSize)}...`);
+        for (let i = 0; i < emails.length; i += EMAILS_PER_PROMPT) {
+            const group = emails.slice(i, i + EMAILS_PER_PROMPT);
+            console.log(`🔄 Processing analysis batch ${Math.floor(i / EMAILS_PER_PROMPT) + 1}/${Math.ceil(emails.length / EMAILS_PER_PROMPT)}...`);
+            
+            // Lets the caller stop between prompts (throws to abort the loop)
+            if (options.checkControl) {
+                await options.checkControl(results.filter(r => r.success).length);
+            }
             
-            for (const email of batch) {
+            const analyses = await this.applyOverrides(group, userId);
+            const evaluations = new Map(group.map(email => [email.gmailId, ruleSet.evaluate(this.toRuleMessage(email, labelNames))]));
+            const leadingEvaluations = leadingRuleSet === ruleSet
+                ? evaluations
+                : new Map(group.map(email => [email.gmailId, leadingRuleSet.evaluate(this.toRuleMessage(email, labelNames))]));
+            
+            // Before or instead of the model, a rule that sets a category decides the analysis
+            if (rulesMode !== 'fallback') {
+                group.forEach(email => {
+                    const evaluation = leadingEvaluations.get(email.gmailId);
+                    if (!analyses.has(email.gmailId) && (evaluation.actions.category || rulesMode === 'instead')) {
+                        analyses.set(email.gmailId, this.ruleAnalysis(email, evaluation, taxonomy));
+                    }
+                });
+            }
+            
+            const remaining = group.filter(email => !analyses.has(email.gmailId));
+            if (remaining.length > 0) {
+                const answers = await this.analyzeWithCache(remaining, userId, taxonomy);
+                remaining.forEach(email => {
+                    const analysis = answers.get(email.gmailId);
+                    const evaluation = evaluations.get(email.gmailId);
+                    const leadingEvaluation = leadingEvaluations.get(email.gmailId);
+                    
+                    if (analysis.source === 'rules') {
+                        // The model's fallback only knows the default rules; the user's rules
+                        // and the email's headers and labels give a better answer
+                        analyses.set(email.gmailId, this.ruleAnalysis(email, evaluation, taxonomy));
+                    } else if (rulesMode === 'before') {
+                        // Rules without a category still label, archive or mark read
+                        analyses.set(email.gmailId, {
+                            ...analysis,
+                            ...(leadingEvaluation.actions.label ? { suggestedLabel: this.cleanLabelName(leadingEvaluation.actions.label) } : {}),
+                            ...mailActions(leadingEvaluation.actions)
+                        });
+                    } else {
+                        analyses.set(email.gmailId, analysis);
+                    }
+                });
+            }
+            // gmailIds per reason, for analyses that only defaulted to "Other"
+            const needsReview = {};
+            
+            for (const email of group) {
                 try {
-                    const analysis = await this.analyzeEmail(
-                        email.subject,
-                        email.from,
-                        email.snippet,
-                        userId
-                    );
+                    const analysis = analyses.get(email.gmailId);
+                    
+                    // Update email in database
+                    await this.mongoDb.updateEmailAnalysis(email.gmailId, analysis);
+                    
+                    if (analysis.reviewReason && reviewMode) {
+                        if (!needsReview[analysis.reviewReason]) {
+                            needsReview[analysis.reviewReason] = [];
+                        }
+                        needsReview[analysis.reviewReason].push(email.gmailId);
+                    }
                     
                     results.push({
                         gmailId: email.gmailId,
@@ -239,11 +645,11 @@ Return ONLY valid JSON, no other text:
                         analysis: analysis
                     });
                     
-                    // Update email in database
-                    await this.mongoDb.updateEmailAnalysis(email.gmailId, analysis);
-                    
                 } catch (error) {
                     console.error(`❌ Error analyzing email ${email.gmailId}:`, error.message);
+                    if (options.onError) {
+                        options.onError(email.gmailId, error);
+                    }
                     results.push({
                         gmailId: email.gmailId,
                         success: false,
@@ -252,10 +658,12 @@ Return ONLY valid JSON, no other text:
                 }
             }
             
-            // Add delay between batches
-            if (i + batchSize < emails.length) {
-                console.log('⏱️ Waiting between analysis batches...');
-                await new Promise(resolve => setTimeout(resolve, 2000));
+            for (const reason of Object.keys(needsReview)) {
+                await this.mongoDb.queueEmailsForReview(userId, needsReview[reason], { reason });
+            }
+            
+            if (options.onProgress) {
+                await options.onProgress(results.filter(r => r.success).length, emails.length);
             }
         }
         
@@ -294,8 +702,8 @@ Suggest improvements in this JSON format:
 
 Return ONLY valid JSON, no other text:`;
 
-            const suggestions = await this.callGeminiAPI(prompt);
-            const validatedSuggestions = this.validateSuggestions(suggestions);
+            const { response } = await this.callLLM(prompt, userId);
+            const validatedSuggestions = this.validateSuggestions(response);
             
             console.log('✅ Label organization suggestions generated');
             return validatedSuggestions;
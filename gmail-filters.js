@@ -0,0 +1,429 @@
+// Converts between Gmail's filter export (mailFilters.xml, an Atom feed with one <entry> per
+// filter) and categorization rules. Filters use Gmail search syntax; only the parts the rules
+// engine can evaluate are converted, and everything else is reported back to the caller.
+
+// Imported filters outrank the default rules; Gmail applies every matching filter, so each one
+// lets lower rules fill in actions it leaves unset
+const IMPORTED_RULE_PRIORITY = 200;
+
+const FEED_HEADER = `<?xml version='1.0' encoding='UTF-8'?><feed xmlns='http://www.w3.org/2005/Atom' xmlns:apps='http://schemas.google.com/apps/2006'>`;
+
+// Filter properties that do not select or change mail
+const IGNORED_PROPERTIES = ['excludeChats', 'sizeOperator', 'sizeUnit'];
+
+const ACTION_PROPERTIES = {
+    label: 'label',
+    shouldArchive: 'archive',
+    shouldMarkAsRead: 'markRead'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            return String.fromCharCode(code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10));
+        }
+        return ENTITIES[code] !== undefined ? ENTITIES[code] : entity;
+    });
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:'([^']*)'|"([^"]*)")`));
+    return match ? decodeEntities(match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+// The filters in a mailFilters.xml file as lists of { name, value } properties, or null when
+// the text is not a Gmail filter feed
+function parseFilterXml(xml) {
+    const text = String(xml || '');
+    if (!/<feed\b/.test(text)) {
+        return null;
+    }
+
+    const filters = [];
+    const entryPattern = /<entry\b[^>]*>([\s\S]*?)<\/entry>/g;
+    let entry;
+    while ((entry = entryPattern.exec(text)) !== null) {
+        const properties = [];
+        const propertyPattern = /<apps:property\b([^>]*?)\/?>/g;
+        let property;
+        while ((property = propertyPattern.exec(entry[1])) !== null) {
+            const name = attribute(property[1], 'name');
+            if (name) {
+                properties.push({ name, value: attribute(property[1], 'value') || '' });
+            }
+        }
+        filters.push(properties);
+    }
+    return filters;
+}
+
+// Splits a Gmail search value into terms. Spaces mean all terms, OR, | and {braces} mean any
+// of them; mixing the two, or negating a term, is more than a rule can say and returns null.
+function splitSearch(value) {
+    let text = String(value || '').trim();
+    if (/^\(.*\)$/.test(text)) {
+        text = text.substring(1, text.length - 1).trim();
+    }
+
+    let mode = 'all';
+    if (/^\{.*\}$/.test(text)) {
+        text = text.substring(1, text.length - 1).trim();
+        mode = 'any';
+    }
+
+    const tokens = text.match(/"[^"]*"|\S+/g) || [];
+    const terms = [];
+    let sawOr = false;
+    for (const token of tokens) {
+        if (token === 'OR' || token === '|') {
+            sawOr = true;
+            continue;
+        }
+        if (token[0] !== '"' && (/^-/.test(token) || /[(){}"]/.test(token) || token === 'AND')) {
+            return null;
+        }
+        const term = token[0] === '"' ? token.substring(1, token.length - 1).trim() : token;
+        if (term) {
+            terms.push(term);
+        }
+    }
+
+    if (sawOr) {
+        // Only "a OR b OR c": "a OR b c" would need grouping the rules cannot express
+        const alternating = tokens.every((token, index) => (index % 2 === 1) === (token === 'OR' || token === '|'));
+        if (mode === 'any' || !alternating) {
+            return null;
+        }
+        mode = 'any';
+    }
+
+    return terms.length > 0 ? { mode, terms } : null;
+}
+
+function combine(mode, conditions) {
+    if (conditions.length === 1) {
+        return conditions[0];
+    }
+    return mode === 'any' ? { any: conditions } : { all: conditions };
+}
+
+// A sender term: a full address, an @domain or bare domain, or part of an address
+function senderCondition(term) {
+    const value = term.toLowerCase();
+    if (value[0] === '@') {
+        return { field: 'domain', operator: 'equals', value: value.substring(1) };
+    }
+    if (value.indexOf('@') > 0) {
+        return { field: 'sender', operator: 'equals', value };
+    }
+    if (/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value)) {
+        return { field: 'domain', operator: 'equals', value };
+    }
+    return { field: 'sender', operator: 'contains', value };
+}
+
+function wordCondition(term) {
+    return {
+        any: [
+            { field: 'subject', operator: 'contains', value: term },
+            { field: 'snippet', operator: 'contains', value: term }
+        ]
+    };
+}
+
+// One term of a hasTheWord query; null when it uses a search operator rules lack
+function searchTermCondition(term) {
+    const operator = term.match(/^([a-z_]+):(.+)$/i);
+    if (!operator) {
+        return wordCondition(term);
+    }
+
+    const value = operator[2];
+    switch (operator[1].toLowerCase()) {
+        case 'from':
+            return senderCondition(value);
+        case 'to':
+            return { field: 'header', header: 'To', operator: 'contains', value };
+        case 'subject':
+            return { field: 'subject', operator: 'contains', value };
+        case 'list':
+            return { field: 'header', header: 'List-Id', operator: 'contains', value };
+        case 'label':
+            return { field: 'label', operator: 'equals', value };
+        case 'category':
+            return { field: 'label', operator: 'equals', value: `CATEGORY_${value.toUpperCase()}` };
+        default:
+            return null;
+    }
+}
+
+// Conditions for one criteria property, or null when it cannot be converted
+function criteriaCondition(name, value) {
+    const search = splitSearch(value);
+    if (!search) {
+        return null;
+    }
+
+    let toCondition;
+    if (name === 'from') {
+        toCondition = senderCondition;
+    } else if (name === 'to') {
+        toCondition = term => ({ field: 'header', header: 'To', operator: 'contains', value: term });
+    } else if (name === 'subject') {
+        toCondition = term => ({ field: 'subject', operator: 'contains', value: term });
+    } else if (name === 'hasTheWord') {
+        toCondition = searchTermCondition;
+    } else if (name === 'doesNotHaveTheWord') {
+        // Gmail leaves out mail with any of the words
+        return { not: combine('any', search.terms.map(wordCondition)) };
+    } else {
+        return null;
+    }
+
+    const conditions = search.terms.map(toCondition);
+    return conditions.some(condition => condition === null) ? null : combine(search.mode, conditions);
+}
+
+// Gmail filter actions: label, the should* flags, forwarding and category tabs
+function isActionProperty(name) {
+    return name === 'label' || /^should|^forwardTo$|^smartLabelToApply$/.test(name);
+}
+
+// The criteria of a filter in search syntax, for rule names and reports
+function describeFilter(properties) {
+    return properties
+        .filter(property => !isActionProperty(property.name) && IGNORED_PROPERTIES.indexOf(property.name) < 0)
+        .map(property => `${property.name}:${property.value}`)
+        .join(' ') || 'Gmail filter';
+}
+
+// Converts a filter file to rules. A filter with any criterion the rules cannot evaluate is
+// skipped whole, since dropping a criterion would widen what it matches; unsupported actions
+// are dropped from filters that still have another action. Both are listed in `unsupported`.
+// `categoryForLabel` maps a Gmail label to a category, or returns null.
+function filtersToRules(xml, options = {}) {
+    const filters = parseFilterXml(xml);
+    if (filters === null) {
+        return null;
+    }
+
+    const categoryForLabel = options.categoryForLabel || (() => null);
+    const rules = [];
+    const unsupported = [];
+
+    filters.forEach((properties, index) => {
+        const filter = index + 1;
+        const conditions = [];
+        const actions = {};
+        const problems = [];
+        const droppedActions = [];
+
+        properties.forEach(({ name, value }) => {
+            if (IGNORED_PROPERTIES.indexOf(name) >= 0) {
+                return;
+            }
+            if (ACTION_PROPERTIES[name] === 'label') {
+                actions.label = value;
+                const category = categoryForLabel(value);
+                if (category) {
+                    actions.category = category;
+                }
+            } else if (ACTION_PROPERTIES[name]) {
+                if (value === 'true') {
+                    actions[ACTION_PROPERTIES[name]] = true;
+                }
+            } else if (isActionProperty(name)) {
+                droppedActions.push(`${name}=${value}`);
+            } else {
+                const condition = criteriaCondition(name, value);
+                if (condition) {
+                    // Every criterion must hold, so nested all-groups flatten into one
+                    conditions.push(...(condition.all || [condition]));
+                } else {
+                    problems.push(`${name}=${value}`);
+                }
+            }
+        });
+
+        const description = describeFilter(properties);
+        if (problems.length > 0) {
+            unsupported.push({ filter, description, skipped: true, reason: `Unsupported criteria: ${problems.join(', ')}` });
+            return;
+        }
+        if (conditions.length === 0) {
+            unsupported.push({ filter, description, skipped: true, reason: 'No criteria' });
+            return;
+        }
+        if (Object.keys(actions).length === 0) {
+            unsupported.push({
+                filter,
+                description,
+                skipped: true,
+                reason: droppedActions.length > 0 ? `Unsupported actions: ${droppedActions.join(', ')}` : 'No actions'
+            });
+            return;
+        }
+        if (droppedActions.length > 0) {
+            unsupported.push({ filter, description, skipped: false, reason: `Unsupported actions dropped: ${droppedActions.join(', ')}` });
+        }
+
+        rules.push({
+            name: `Gmail filter: ${description}`.substring(0, 100),
+            priority: IMPORTED_RULE_PRIORITY,
+            enabled: true,
+            continueMatching: true,
+            conditions: combine('all', conditions),
+            actions
+        });
+    });
+
+    return { filters: filters.length, rules, unsupported };
+}
+
+function quoteTerm(term) {
+    return /\s/.test(term) ? `"${term}"` : term;
+}
+
+// A condition value as a Gmail search value: one term, or several joined with OR
+function searchValue(value) {
+    const terms = (Array.isArray(value) ? value : [value]).map(quoteTerm);
+    return terms.length === 1 ? terms[0] : `(${terms.join(' OR ')})`;
+}
+
+function withOperator(operator, value) {
+    const terms = Array.isArray(value) ? value : [value];
+    return terms.length === 1
+        ? `${operator}:${quoteTerm(terms[0])}`
+        : `{${terms.map(term => `${operator}:${quoteTerm(term)}`).join(' ')}}`;
+}
+
+// The words of a condition built by wordCondition (subject or snippet contains them), or null
+function wordValue(condition) {
+    const branches = condition.any;
+    if (!branches || branches.length !== 2) {
+        return null;
+    }
+    const fields = branches.map(branch => branch.operator === 'contains' ? branch.field : null).sort().join(',');
+    const sameValue = JSON.stringify(branches[0].value) === JSON.stringify(branches[1].value);
+    return fields === 'snippet,subject' && sameValue ? branches[0].value : null;
+}
+
+// Adds one condition to a filter's criteria; false when Gmail cannot search for it
+function addCriterion(criteria, condition) {
+    const { field, operator, value } = condition;
+    const header = field === 'header' ? String(condition.header).toLowerCase() : null;
+    const add = (name, text) => {
+        criteria[name] = criteria[name] ? `${criteria[name]} ${text}` : text;
+    };
+
+    if (condition.not) {
+        // Gmail leaves out mail with any of the "doesn't have" words
+        const inner = condition.not;
+        const words = (inner.any && !wordValue(inner) ? inner.any : [inner]).map(wordValue);
+        if (words.some(word => word === null)) {
+            return false;
+        }
+        add('doesNotHaveTheWord', words.map(searchValue).join(' '));
+        return true;
+    }
+    if (condition.any) {
+        const words = wordValue(condition);
+        if (words === null) {
+            return false;
+        }
+        add('hasTheWord', searchValue(words));
+        return true;
+    }
+    if (operator === 'matches' || operator === 'exists') {
+        return false;
+    }
+    if (field === 'sender' || field === 'domain') {
+        add('from', searchValue(value));
+    } else if (field === 'subject') {
+        add('subject', searchValue(value));
+    } else if (field === 'snippet') {
+        add('hasTheWord', searchValue(value));
+    } else if (header === 'to') {
+        add('to', searchValue(value));
+    } else if (header === 'list-id' && operator === 'contains') {
+        add('hasTheWord', withOperator('list', value));
+    } else if (field === 'label' && operator === 'equals') {
+        add('hasTheWord', withOperator('label', value));
+    } else {
+        return false;
+    }
+    return true;
+}
+
+// Criteria for one filter from an all-group or a single condition, or null
+function filterCriteria(condition) {
+    const criteria = {};
+    const parts = condition.all || [condition];
+    return parts.every(part => !part.all && addCriterion(criteria, part)) ? criteria : null;
+}
+
+// Converts enabled rules to a filter file. A top-level "any" becomes one filter per branch.
+// Rules that cannot be expressed as Gmail searches (regexes, exists, nested groups) are listed
+// in `skipped` with the reason. `labelForCategory` gives the Gmail label of a category.
+function rulesToFilterXml(rules, options = {}) {
+    const labelForCategory = options.labelForCategory || (category => category);
+    const now = new Date().toISOString();
+    const entries = [];
+    const skipped = [];
+    let exported = 0;
+
+    rules.forEach(rule => {
+        if (rule.enabled === false) {
+            skipped.push({ id: rule.id, name: rule.name, reason: 'Disabled' });
+            return;
+        }
+
+        const label = rule.actions.label || (rule.actions.category ? labelForCategory(rule.actions.category) : null);
+        const actions = {};
+        if (label) {
+            actions.label = label;
+        }
+        if (rule.actions.archive) {
+            actions.shouldArchive = 'true';
+        }
+        if (rule.actions.markRead) {
+            actions.shouldMarkAsRead = 'true';
+        }
+
+        const branches = rule.conditions.any || [rule.conditions];
+        const criteria = branches.map(filterCriteria);
+        if (criteria.some(branch => branch === null)) {
+            skipped.push({ id: rule.id, name: rule.name, reason: 'Uses conditions Gmail search cannot express' });
+            return;
+        }
+
+        criteria.forEach(branch => {
+            const properties = Object.assign({}, branch, actions);
+            entries.push(`<entry><category term='filter'></category><title>Mail Filter</title><id>tag:mail.google.com,2008:filter:${Date.now()}${entries.length}</id><updated>${now}</updated><content></content>${
+                Object.keys(properties).map(name => `<apps:property name='${name}' value='${escapeXml(properties[name])}'/>`).join('')
+            }</entry>`);
+        });
+        exported++;
+    });
+
+    const xml = `${FEED_HEADER}<title>Mail Filters</title><id>tag:mail.google.com,2008:filters:${Date.now()}</id><updated>${now}</updated>${entries.join('')}</feed>`;
+    return { xml, exported, filters: entries.length, skipped };
+}
+
+module.exports = {
+    IMPORTED_RULE_PRIORITY,
+    parseFilterXml,
+    filtersToRules,
+    rulesToFilterXml
+};
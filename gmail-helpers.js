@@ -0,0 +1,219 @@
+// Gmail API limits
+const BATCH_MODIFY_MAX_IDS = 1000;
+const DEFAULT_FETCH_CONCURRENCY = parseInt(process.env.GMAIL_FETCH_CONCURRENCY) || 10;
+const QUOTA_UNITS_PER_SECOND = parseInt(process.env.GMAIL_QUOTA_UNITS_PER_SECOND) || 250; // per-user limit
+const MAX_RETRIES = parseInt(process.env.GMAIL_MAX_RETRIES) || 5;
+const BASE_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 32000;
+
+// Quota units charged per method (https://developers.google.com/gmail/api/reference/quota)
+const QUOTA_UNITS = {
+    'getProfile': 1,
+    'history.list': 2,
+    'labels.list': 1,
+    'labels.get': 1,
+    'labels.create': 5,
+    'labels.patch': 5,
+    'labels.update': 5,
+    'labels.delete': 5,
+    'messages.list': 5,
+    'messages.get': 5,
+    'messages.modify': 5,
+    'messages.batchModify': 50,
+    'messages.attachments.get': 5,
+    'messages.send': 100
+};
+const DEFAULT_QUOTA_UNITS = 5;
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// Token bucket per quota key (usually the user ID), shared by everything in this process
+const quotaBuckets = new Map();
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runNext = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        runners.push(runNext());
+    }
+
+    await Promise.all(runners);
+    return results;
+}
+
+// Groups { gmailId, labelId } pairs by label so each label is applied with batchModify
+function groupByLabel(assignments) {
+    const groups = {};
+    assignments.forEach(({ gmailId, labelId }) => {
+        if (!groups[labelId]) {
+            groups[labelId] = [];
+        }
+        groups[labelId].push(gmailId);
+    });
+    return groups;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getErrorStatus(error) {
+    if (error.response && error.response.status) {
+        return error.response.status;
+    }
+    const code = parseInt(error.code);
+    return isNaN(code) ? null : code;
+}
+
+function getErrorReason(error) {
+    const errors = error.errors ||
+        (error.response && error.response.data && error.response.data.error && error.response.data.error.errors) ||
+        [];
+    return errors.length > 0 ? errors[0].reason : null;
+}
+
+// Returns 'rateLimited', 'retryable' or 'fatal'
+function classifyGmailError(error) {
+    const status = getErrorStatus(error);
+
+    if (status === 429 || (status === 403 && RATE_LIMIT_REASONS.includes(getErrorReason(error)))) {
+        return 'rateLimited';
+    }
+
+    if (RETRYABLE_STATUSES.includes(status) || RETRYABLE_NETWORK_CODES.includes(error.code)) {
+        return 'retryable';
+    }
+
+    return 'fatal';
+}
+
+// Waits until the key's bucket can cover `units`; concurrent callers queue up behind each other
+function acquireQuota(key, units) {
+    const now = Date.now();
+    const bucket = quotaBuckets.get(key) || { tokens: QUOTA_UNITS_PER_SECOND, updatedAt: now };
+
+    bucket.tokens = Math.min(
+        QUOTA_UNITS_PER_SECOND,
+        bucket.tokens + ((now - bucket.updatedAt) / 1000) * QUOTA_UNITS_PER_SECOND
+    );
+    bucket.updatedAt = now;
+    bucket.tokens -= units;
+    quotaBuckets.set(key, bucket);
+
+    return bucket.tokens < 0 ? sleep((-bucket.tokens / QUOTA_UNITS_PER_SECOND) * 1000) : Promise.resolve();
+}
+
+// After a 429 everyone sharing the key waits for the bucket to refill
+function drainQuota(key) {
+    const bucket = quotaBuckets.get(key);
+    if (bucket) {
+        bucket.tokens = Math.min(bucket.tokens, 0);
+    }
+}
+
+function getRetryDelay(error, attempt) {
+    const retryAfter = error.response && error.response.headers && parseInt(error.response.headers['retry-after']);
+    if (retryAfter) {
+        return retryAfter * 1000;
+    }
+
+    // Full jitter: random delay up to the exponential cap
+    return Math.round(Math.random() * Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, attempt)));
+}
+
+// Runs one Gmail request under the per-user quota, retrying rate-limited and transient failures.
+// `method` is the resource path such as 'messages.get'; options: { quotaKey, onRetry, maxRetries }
+async function callGmail(method, request, options = {}) {
+    const quotaKey = options.quotaKey || 'default';
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : MAX_RETRIES;
+    const units = QUOTA_UNITS[method] || DEFAULT_QUOTA_UNITS;
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireQuota(quotaKey, units);
+
+        try {
+            return await request();
+        } catch (error) {
+            const kind = classifyGmailError(error);
+
+            if (kind === 'fatal' || attempt >= maxRetries) {
+                throw error;
+            }
+
+            if (kind === 'rateLimited') {
+                drainQuota(quotaKey);
+            }
+
+            const delay = getRetryDelay(error, attempt);
+            console.warn(`🔁 Gmail ${method} ${kind} (${getErrorStatus(error) || error.code}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+
+            if (options.onRetry) {
+                await options.onRetry({ method, kind, attempt: attempt + 1, delay, status: getErrorStatus(error) });
+            }
+
+            await sleep(delay);
+        }
+    }
+}
+
+// Wraps a googleapis Gmail client so every users.* call goes through callGmail.
+// `options` may be a function, evaluated per call, for callers whose user changes over time.
+function wrapGmail(gmail, options = {}) {
+    const wrapResource = (resource, path) => new Proxy(resource, {
+        get(target, prop) {
+            const value = target[prop];
+
+            if (typeof prop !== 'string' || prop === 'context') {
+                return value;
+            }
+
+            if (typeof value === 'function') {
+                const method = path.concat(prop).join('.');
+                return (...args) => callGmail(
+                    method,
+                    () => value.apply(target, args),
+                    typeof options === 'function' ? options() : options
+                );
+            }
+
+            if (value && typeof value === 'object') {
+                return wrapResource(value, path.concat(prop));
+            }
+
+            return value;
+        }
+    });
+
+    return { users: wrapResource(gmail.users, []) };
+}
+
+module.exports = {
+    BATCH_MODIFY_MAX_IDS,
+    DEFAULT_FETCH_CONCURRENCY,
+    chunk,
+    mapWithConcurrency,
+    groupByLabel,
+    classifyGmailError,
+    callGmail,
+    wrapGmail
+};
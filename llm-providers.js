@@ -0,0 +1,270 @@
+const http = require('http');
+const https = require('https');
+
+// Providers are configured per deployment through environment variables. LLM_PROVIDER picks
+// the default; users of server-mongo.js may switch to any other provider that is configured.
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+const REQUEST_TIMEOUT = parseInt(process.env.LLM_TIMEOUT_MS) || 0; // 0 = provider default
+
+// POSTs a JSON body and resolves with the parsed JSON response. Non-2xx responses reject with
+// `error.response.status` set, matching the shape of googleapis errors.
+function postJson(url, body, options = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'http:' ? http : https;
+        const requestData = JSON.stringify(body);
+
+        const req = transport.request({
+            hostname: target.hostname,
+            port: target.port || undefined,
+            path: target.pathname + target.search,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(requestData),
+                ...(options.headers || {})
+            },
+            timeout: options.timeout
+        }, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    const error = new Error(`LLM request failed with status ${res.statusCode}: ${data.substring(0, 200)}`);
+                    error.response = { status: res.statusCode, headers: res.headers };
+                    reject(error);
+                    return;
+                }
+
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(new Error(`Invalid JSON from LLM endpoint: ${error.message}`));
+                }
+            });
+        });
+
+        req.on('error', reject);
+
+        req.on('timeout', () => {
+            req.destroy();
+            reject(new Error('Request timeout'));
+        });
+
+        req.write(requestData);
+        req.end();
+    });
+}
+
+// The endpoint answered, but not with a usable reply (no JSON, truncated JSON, an empty or
+// blocked completion). Unlike a failed request, asking again with less input can help.
+class LLMResponseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LLMResponseError';
+    }
+}
+
+// Pulls the first JSON object out of a model reply, tolerating prose or code fences around it
+function extractJson(text) {
+    const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+        throw new LLMResponseError('No valid JSON found in response');
+    }
+    try {
+        return JSON.parse(jsonMatch[0]);
+    } catch (error) {
+        throw new LLMResponseError(`Invalid JSON in response: ${error.message}`);
+    }
+}
+
+class LLMProvider {
+    constructor(config) {
+        this.name = config.name;
+        this.model = config.model;
+        this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = config.apiKey;
+        this.timeout = REQUEST_TIMEOUT || config.timeout;
+        this.local = Boolean(config.local);
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl && this.model);
+    }
+
+    // Resolves with the model's reply text. options: { json } asks for a JSON-only reply
+    // where the backend supports it (prompts still say so themselves).
+    async generate() {
+        throw new Error(`${this.name} provider does not implement generate()`);
+    }
+
+    async generateJson(prompt) {
+        return extractJson(await this.generate(prompt, { json: true }));
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            model: this.model,
+            local: this.local,
+            configured: this.isConfigured()
+        };
+    }
+}
+
+class GeminiProvider extends LLMProvider {
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async generate(prompt) {
+        if (!this.isConfigured()) {
+            throw new Error('GEMINI_API_KEY is not set');
+        }
+
+        const response = await postJson(
+            `${this.baseUrl}/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`,
+            { contents: [{ parts: [{ text: prompt }] }] },
+            { timeout: this.timeout }
+        );
+
+        if (!response.candidates || !response.candidates[0] || !response.candidates[0].content) {
+            throw new LLMResponseError('Invalid Gemini response structure');
+        }
+        return response.candidates[0].content.parts[0].text.trim();
+    }
+}
+
+// Any /v1/chat/completions endpoint: OpenAI, Azure-style gateways, vLLM, LM Studio, llama.cpp --api
+class OpenAICompatibleProvider extends LLMProvider {
+    // response_format is left out on purpose: many compatible servers reject it
+    async generate(prompt) {
+        const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+        const response = await postJson(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.2
+        }, { headers, timeout: this.timeout });
+
+        if (!response.choices || !response.choices[0] || !response.choices[0].message) {
+            throw new LLMResponseError('Invalid chat completion response structure');
+        }
+        return String(response.choices[0].message.content || '').trim();
+    }
+}
+
+class OllamaProvider extends LLMProvider {
+    async generate(prompt, options = {}) {
+        const body = {
+            model: this.model,
+            prompt,
+            stream: false,
+            options: { temperature: 0.2 }
+        };
+        if (options.json) {
+            body.format = 'json';
+        }
+
+        const response = await postJson(`${this.baseUrl}/api/generate`, body, { timeout: this.timeout });
+
+        if (typeof response.response !== 'string') {
+            throw new LLMResponseError('Invalid Ollama response structure');
+        }
+        return response.response.trim();
+    }
+}
+
+// llama.cpp's bundled server; it serves a single model, so `model` is only informational
+class LlamaCppProvider extends LLMProvider {
+    isConfigured() {
+        return Boolean(this.baseUrl);
+    }
+
+    async generate(prompt) {
+        const response = await postJson(`${this.baseUrl}/completion`, {
+            prompt,
+            n_predict: parseInt(process.env.LLAMACPP_MAX_TOKENS) || 512,
+            temperature: 0.2,
+            stream: false
+        }, { timeout: this.timeout });
+
+        if (typeof response.content !== 'string') {
+            throw new LLMResponseError('Invalid llama.cpp response structure');
+        }
+        return response.content.trim();
+    }
+}
+
+const PROVIDER_CONFIGS = {
+    gemini: () => ({
+        Provider: GeminiProvider,
+        baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com',
+        model: process.env.GEMINI_MODEL || 'gemini-pro',
+        apiKey: process.env.GEMINI_API_KEY,
+        timeout: 10000
+    }),
+    openai: () => ({
+        Provider: OpenAICompatibleProvider,
+        baseUrl: process.env.OPENAI_BASE_URL || (process.env.OPENAI_API_KEY ? 'https://api.openai.com/v1' : ''),
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        apiKey: process.env.OPENAI_API_KEY,
+        local: process.env.OPENAI_BASE_URL && /localhost|127\.0\.0\.1/.test(process.env.OPENAI_BASE_URL),
+        timeout: 30000
+    }),
+    ollama: () => ({
+        Provider: OllamaProvider,
+        baseUrl: process.env.OLLAMA_BASE_URL || (process.env.OLLAMA_MODEL ? 'http://localhost:11434' : ''),
+        model: process.env.OLLAMA_MODEL,
+        local: true,
+        timeout: 60000
+    }),
+    llamacpp: () => ({
+        Provider: LlamaCppProvider,
+        baseUrl: process.env.LLAMACPP_BASE_URL,
+        model: process.env.LLAMACPP_MODEL || 'llama.cpp',
+        local: true,
+        timeout: 60000
+    })
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_CONFIGS);
+
+const providers = new Map();
+
+// Returns the (cached) provider instance; unknown names fall back to the deployment default
+function createProvider(name = DEFAULT_PROVIDER) {
+    const providerName = PROVIDER_CONFIGS[name] ? name : DEFAULT_PROVIDER;
+
+    if (!PROVIDER_CONFIGS[providerName]) {
+        throw new Error(`Unknown LLM provider "${providerName}"; use one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+
+    if (!providers.has(providerName)) {
+        const { Provider, ...config } = PROVIDER_CONFIGS[providerName]();
+        providers.set(providerName, new Provider({ name: providerName, ...config }));
+    }
+
+    return providers.get(providerName);
+}
+
+function listProviders() {
+    return PROVIDER_NAMES.map(name => createProvider(name).describe());
+}
+
+function getDefaultProviderName() {
+    return DEFAULT_PROVIDER;
+}
+
+module.exports = {
+    PROVIDER_NAMES,
+    LLMProvider,
+    LLMResponseError,
+    createProvider,
+    listProviders,
+    getDefaultProviderName,
+    extractJson
+};
@@ -0,0 +1,188 @@
+// Plain-text bodies from Gmail API messages fetched with format: 'full'. Walks the MIME tree,
+// decodes base64url part data, prefers text/plain over HTML and trims quoted replies and
+// signatures. Shared by both servers, so it must stay Node 10 safe.
+
+// Longest body kept per email; prompts only ever use the start of it
+const BODY_MAX_CHARS = parseInt(process.env.EMAIL_BODY_MAX_CHARS) || 4000;
+
+// Gmail fetch formats the servers accept: headers and snippet only, or the whole message
+const FETCH_MODES = ['metadata', 'full'];
+const DEFAULT_FETCH_MODE = FETCH_MODES.indexOf(process.env.GMAIL_FETCH_MODE) >= 0
+    ? process.env.GMAIL_FETCH_MODE
+    : 'metadata';
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    copy: '©', reg: '®', trade: '™', hellip: '...', mdash: '-', ndash: '-',
+    lsquo: "'", rsquo: "'", ldquo: '"', rdquo: '"', bull: '*', middot: '·', euro: '€', pound: '£', rupee: '₹'
+};
+
+// Lines that start the quoted original in a reply, in the common clients' formats
+const REPLY_MARKERS = [
+    /^On .+ wrote:$/,
+    /^-{2,}\s*Original Message\s*-{2,}$/i,
+    /^-{2,}\s*Forwarded message\s*-{2,}$/i,
+    /^_{10,}$/
+];
+
+// Signature delimiters, including the mobile clients' one-liners
+const SIGNATURE_MARKERS = [
+    /^--\s*$/,
+    /^Sent from my \w+/i,
+    /^Get Outlook for \w+/i
+];
+
+function headerValue(headers, name) {
+    const header = (headers || []).find(h => h.name.toLowerCase() === name);
+    return header ? header.value : '';
+}
+
+// Gmail returns part data base64url encoded, already decoded from its transfer encoding
+function decodeBase64Url(data, charset) {
+    const buffer = Buffer.from(String(data || '').replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    return /^(iso-8859-1|latin1|windows-1252|us-ascii)$/i.test(charset || '')
+        ? buffer.toString('latin1')
+        : buffer.toString('utf8');
+}
+
+function isAttachment(part) {
+    return Boolean(part.filename) || /^attachment/i.test(headerValue(part.headers, 'content-disposition'));
+}
+
+// The first text/plain and text/html parts of the tree that are not attachments
+function findTextParts(part, found = {}) {
+    if (!part || isAttachment(part)) {
+        return found;
+    }
+
+    const mimeType = String(part.mimeType || '').toLowerCase();
+    if ((mimeType === 'text/plain' || mimeType === 'text/html') && !found[mimeType] && part.body && part.body.data) {
+        const charset = (headerValue(part.headers, 'content-type').match(/charset="?([^";\s]+)/i) || [])[1];
+        found[mimeType] = decodeBase64Url(part.body.data, charset);
+    }
+
+    (part.parts || []).forEach(child => findTextParts(child, found));
+    return found;
+}
+
+// Metadata of every attachment in the tree, in message order. Small attachments can come
+// inline without an attachmentId; their partId still identifies them.
+function listAttachments(part, found = []) {
+    if (!part) {
+        return found;
+    }
+
+    const body = part.body || {};
+    if (isAttachment(part) && (body.attachmentId || body.data)) {
+        found.push({
+            partId: part.partId,
+            attachmentId: body.attachmentId || null,
+            filename: part.filename || '',
+            mimeType: String(part.mimeType || 'application/octet-stream').toLowerCase(),
+            size: body.size || 0
+        });
+    }
+
+    (part.parts || []).forEach(child => listAttachments(child, found));
+    return found;
+}
+
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+            return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+        }
+        const named = HTML_ENTITIES[code.toLowerCase()];
+        return named !== undefined ? named : entity;
+    });
+}
+
+// Readable text from an HTML body: scripts, styles, comments and tags are dropped, block
+// elements become line breaks and links keep only their text
+function htmlToText(html) {
+    const text = String(html || '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|title|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<blockquote\b[\s\S]*?<\/blockquote\s*>/gi, '\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|tr|table|h[1-6]|ul|ol|section|article|header|footer)\b[^>]*>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<(td|th)\b[^>]*>/gi, ' ')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeHtmlEntities(text);
+}
+
+function isReplyStart(line, next) {
+    if (REPLY_MARKERS.some(marker => marker.test(line))) {
+        return true;
+    }
+    // Gmail wraps long "On <date>, <name> wrote:" lines, and Outlook quotes a header block
+    return (/^On /.test(line) && /wrote:$/.test(next)) ||
+        (/^From: /.test(line) && /^(Sent|Date|To|Subject): /.test(next));
+}
+
+// Drops the quoted original of a reply or forward and the signature below the new text
+function stripQuotedText(text) {
+    const lines = text.split('\n');
+    const kept = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        if (line.indexOf('>') === 0) {
+            continue;
+        }
+
+        // Only after some new text: a message that starts with a marker is all quote
+        const cut = isReplyStart(line, (lines[i + 1] || '').trim()) || SIGNATURE_MARKERS.some(marker => marker.test(line));
+        if (cut && kept.some(keptLine => keptLine.trim())) {
+            break;
+        }
+
+        kept.push(lines[i]);
+    }
+
+    return kept.join('\n');
+}
+
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// The message's own text: { text, format, truncated }. `format` is the part it came from
+// ('text/plain' or 'text/html'), or null for messages without a text part.
+function extractBody(payload, maxChars = BODY_MAX_CHARS) {
+    const parts = findTextParts(payload);
+    const format = parts['text/plain'] !== undefined ? 'text/plain' : parts['text/html'] !== undefined ? 'text/html' : null;
+
+    if (!format) {
+        return { text: '', format: null, truncated: false };
+    }
+
+    const raw = format === 'text/plain' ? parts['text/plain'] : htmlToText(parts['text/html']);
+    const text = normalizeWhitespace(stripQuotedText(normalizeWhitespace(raw)));
+
+    return {
+        text: text.substring(0, maxChars),
+        format,
+        truncated: text.length > maxChars
+    };
+}
+
+module.exports = {
+    BODY_MAX_CHARS,
+    FETCH_MODES,
+    DEFAULT_FETCH_MODE,
+    decodeBase64Url,
+    listAttachments,
+    htmlToText,
+    stripQuotedText,
+    extractBody
+};
@@ -0,0 +1,488 @@
+// Declarative categorization rules. A rule's conditions are matched against a message and, when
+// they hold, its actions say what to do with it. Shared by server-simple.js (default rules only)
+// and the MongoDB analyzer (per-user rules), so it must stay Node 10 safe.
+const { parseSender } = require('./correction-learning');
+
+const RULE_FIELDS = ['sender', 'domain', 'subject', 'snippet', 'header', 'label'];
+const RULE_OPERATORS = ['equals', 'contains', 'matches', 'exists'];
+
+// When the MongoDB server runs user rules: 'before' the model (a rule that sets a category
+// skips it), 'fallback' only when the model cannot be asked, or 'instead' of it altogether.
+// In 'before' mode the built-in keyword rules still only run as the fallback.
+const RULES_MODES = ['before', 'fallback', 'instead'];
+const DEFAULT_RULES_MODE = 'before';
+
+const MAX_RULES = 200;
+const MAX_RULE_NAME_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 200;
+// Longest text a `matches` pattern is run against; rules run on the shared event loop
+const MAX_MATCH_INPUT = 2000;
+const MAX_CONDITION_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+// User rules are deliberate, so they rank just below a sender/domain override
+const DEFAULT_RULE_CONFIDENCE = 0.9;
+
+const FINANCIAL_DOMAINS = [
+    'groww.in', 'angelbroking.in', 'axisbank.com', 'hdfcbank.com', 'icicibank.com',
+    'sbi.co.in', 'kotak.com', 'nsdl.co.in', 'cdslindia.com', 'bseindia.com',
+    'nseindia.com', 'camsonline.com', 'karvy.com', 'zerodha.com', 'upstox.com',
+    'paytm.com', 'phonepe.com', 'googlepay.com', 'amazon.in', 'flipkart.com'
+];
+const INVESTMENT_KEYWORDS = ['sip', 'mutual fund', 'demat', 'trading', 'portfolio', 'stock', 'equity', 'nav', 'redemption', 'purchase', 'investment'];
+const BANKING_KEYWORDS = ['statement', 'credit card', 'debit card', 'account', 'balance', 'transaction', 'emi', 'instalment'];
+const ECOMMERCE_KEYWORDS = ['order', 'delivery', 'shipment', 'return', 'refund', 'invoice', 'purchase'];
+
+const MONEY_KEYWORDS = ['invoice', 'payment', 'bill', 'transaction', 'amount', 'due', 'statement', 'credit card', 'bank', 'account'];
+
+const financialSender = { field: 'domain', operator: 'equals', value: FINANCIAL_DOMAINS };
+const moneyMention = {
+    any: [
+        { field: 'subject', operator: 'contains', value: MONEY_KEYWORDS },
+        { field: 'snippet', operator: 'contains', value: MONEY_KEYWORDS }
+    ]
+};
+
+// The keyword heuristics both servers used to hardcode. Confidences follow the old scores:
+// a known financial sender with a telling subject beats either signal alone.
+const DEFAULT_RULES = [
+    {
+        id: 'default-instalments',
+        name: 'SIP or instalment',
+        priority: 100,
+        conditions: { field: 'subject', operator: 'contains', value: ['sip', 'instalment'] },
+        actions: { category: 'Finance/Investments', confidence: 0.6 }
+    },
+    {
+        id: 'default-card-statement',
+        name: 'Credit card statement',
+        priority: 99,
+        conditions: { field: 'subject', operator: 'contains', value: 'credit card statement' },
+        actions: { category: 'Finance/Banking', confidence: 0.6 }
+    },
+    {
+        id: 'default-shareholder',
+        name: 'Shareholder notice',
+        priority: 98,
+        conditions: { field: 'subject', operator: 'contains', value: ['e-voting', 'itc limited'] },
+        actions: { category: 'Finance/Investments', confidence: 0.6 }
+    },
+    {
+        id: 'default-financial-investments',
+        name: 'Investment notification',
+        priority: 90,
+        conditions: { all: [financialSender, { field: 'subject', operator: 'contains', value: INVESTMENT_KEYWORDS }] },
+        actions: { category: 'Finance/Investments', confidence: 0.7 }
+    },
+    {
+        id: 'default-financial-banking',
+        name: 'Banking alert',
+        priority: 89,
+        conditions: { all: [financialSender, { field: 'subject', operator: 'contains', value: BANKING_KEYWORDS }] },
+        actions: { category: 'Finance/Banking', confidence: 0.7 }
+    },
+    {
+        id: 'default-financial-ecommerce',
+        name: 'Order payment',
+        priority: 88,
+        conditions: { all: [financialSender, { field: 'subject', operator: 'contains', value: ECOMMERCE_KEYWORDS }] },
+        actions: { category: 'Finance/E-commerce', confidence: 0.7 }
+    },
+    {
+        id: 'default-financial-sender',
+        name: 'Financial sender',
+        priority: 87,
+        conditions: financialSender,
+        actions: { category: 'Finance/General', confidence: 0.5 }
+    },
+    {
+        id: 'default-billing',
+        name: 'Bill or invoice',
+        priority: 60,
+        conditions: { field: 'subject', operator: 'contains', value: ['invoice', 'payment', 'bill'] },
+        actions: { category: 'Finance/Billing', confidence: 0.4 }
+    },
+    {
+        id: 'default-work',
+        name: 'Work related',
+        priority: 59,
+        conditions: {
+            any: [
+                { field: 'subject', operator: 'contains', value: ['meeting', 'project', 'deadline', 'report', 'presentation', 'office'] },
+                { field: 'sender', operator: 'contains', value: 'company' }
+            ]
+        },
+        actions: { category: 'Work', confidence: 0.4 }
+    },
+    {
+        id: 'default-shopping',
+        name: 'Shopping related',
+        priority: 58,
+        conditions: { field: 'subject', operator: 'contains', value: ['buy', 'order', 'shop', 'delivery', 'purchase', 'cart', 'shipment'] },
+        actions: { category: 'Shopping', confidence: 0.4 }
+    },
+    {
+        id: 'default-personal',
+        name: 'Personal communication',
+        priority: 57,
+        conditions: { field: 'subject', operator: 'contains', value: ['family', 'friend', 'personal', 'weekend', 'trip', 'vacation'] },
+        actions: { category: 'Personal', confidence: 0.4 }
+    },
+    {
+        id: 'default-promotions',
+        name: 'Newsletter or promotion',
+        priority: 56,
+        conditions: { field: 'subject', operator: 'contains', value: ['newsletter', 'promotion'] },
+        actions: { category: 'Promotions', confidence: 0.4 }
+    },
+    {
+        id: 'default-money-investments',
+        name: 'Investment notification',
+        priority: 41,
+        conditions: {
+            all: [
+                moneyMention,
+                { field: 'subject', operator: 'contains', value: ['sip', 'mutual fund', 'stock', 'portfolio', 'investment', 'trading', 'demat'] }
+            ]
+        },
+        actions: { category: 'Finance/Investments', confidence: 0.4 }
+    },
+    {
+        id: 'default-money',
+        name: 'Financial transaction',
+        priority: 40,
+        conditions: moneyMention,
+        actions: { category: 'Finance/Banking', confidence: 0.4 }
+    }
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toList(value) {
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+}
+
+// Length of the repetition quantifier (*, +, {n}, {n,}, {n,m}) starting at `index`, or 0
+function quantifierLength(pattern, index) {
+    if (pattern[index] === '*' || pattern[index] === '+') {
+        return 1;
+    }
+    const braces = /^\{\d+(,\d*)?\}/.exec(pattern.substring(index));
+    return braces ? braces[0].length : 0;
+}
+
+// Whether a group that repeats also repeats inside, as in (a+)+ or (\w*\s?)*. Such patterns can
+// backtrack exponentially on text that almost matches, so rules may not use them.
+function hasNestedQuantifier(pattern) {
+    const groups = [{ repeats: false }];
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            // Skip the character class; quantifier characters inside it are literal
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') {
+                    i++;
+                }
+            }
+        } else if (char === '(') {
+            groups.push({ repeats: false });
+        } else if (char === ')' && groups.length > 1) {
+            const group = groups.pop();
+            const quantifier = quantifierLength(pattern, i + 1);
+            if (quantifier > 0 && group.repeats) {
+                return true;
+            }
+            groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || group.repeats || quantifier > 0;
+            i += quantifier;
+        } else {
+            const quantifier = quantifierLength(pattern, i);
+            if (quantifier > 0) {
+                groups[groups.length - 1].repeats = true;
+                i += quantifier - 1;
+            }
+        }
+    }
+
+    return false;
+}
+
+// Returns an error message, or null when the condition tree is usable. `counter` tracks the
+// number of leaf conditions across the whole tree.
+function validateCondition(condition, depth, counter) {
+    if (!isPlainObject(condition)) {
+        return 'Each condition must be an object';
+    }
+    if (depth > MAX_CONDITION_DEPTH) {
+        return `Conditions may be nested at most ${MAX_CONDITION_DEPTH} levels deep`;
+    }
+
+    const group = condition.all || condition.any;
+    if (group !== undefined) {
+        if (!Array.isArray(group) || group.length === 0) {
+            return '"all" and "any" must be non-empty arrays of conditions';
+        }
+        for (const child of group) {
+            const error = validateCondition(child, depth + 1, counter);
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+    if (condition.not !== undefined) {
+        return validateCondition(condition.not, depth + 1, counter);
+    }
+
+    counter.count++;
+    if (counter.count > MAX_CONDITIONS) {
+        return `A rule may have at most ${MAX_CONDITIONS} conditions`;
+    }
+
+    const { field, operator, value } = condition;
+    if (RULE_FIELDS.indexOf(field) < 0) {
+        return `field must be one of: ${RULE_FIELDS.join(', ')}`;
+    }
+    if (RULE_OPERATORS.indexOf(operator) < 0) {
+        return `operator must be one of: ${RULE_OPERATORS.join(', ')}`;
+    }
+    if (field === 'header' && (typeof condition.header !== 'string' || !condition.header.trim())) {
+        return 'Header conditions need a header name';
+    }
+    if (operator === 'exists') {
+        return field === 'header' || field === 'label' ? null : 'exists only applies to header and label conditions';
+    }
+    if (operator === 'matches') {
+        if (typeof value !== 'string' || value.length > MAX_PATTERN_LENGTH) {
+            return `matches needs a regular expression of at most ${MAX_PATTERN_LENGTH} characters`;
+        }
+        try {
+            new RegExp(value, 'i');
+        } catch (error) {
+            return `Invalid regular expression "${value}": ${error.message}`;
+        }
+        if (hasNestedQuantifier(value)) {
+            return `Regular expression "${value}" repeats a group that already repeats, which can take too long to match`;
+        }
+        return null;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(item => typeof item !== 'string' || !item)) {
+        return `${operator} needs a string or a non-empty array of strings`;
+    }
+    return null;
+}
+
+// Returns an error message, or null when the rule can be stored
+function validateRule(rule) {
+    if (!isPlainObject(rule)) {
+        return 'A rule must be an object';
+    }
+    if (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > MAX_RULE_NAME_LENGTH) {
+        return `Rule name must be a string of 1 to ${MAX_RULE_NAME_LENGTH} characters`;
+    }
+    if (rule.priority !== undefined && (typeof rule.priority !== 'number' || !isFinite(rule.priority))) {
+        return 'priority must be a number';
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+    if (rule.continueMatching !== undefined && typeof rule.continueMatching !== 'boolean') {
+        return 'continueMatching must be true or false';
+    }
+
+    const conditionError = validateCondition(rule.conditions, 1, { count: 0 });
+    if (conditionError) {
+        return conditionError;
+    }
+
+    const actions = rule.actions;
+    if (!isPlainObject(actions)) {
+        return 'actions must be an object';
+    }
+    if (actions.category !== undefined && (typeof actions.category !== 'string' || !actions.category)) {
+        return 'actions.category must be a category name';
+    }
+    if (actions.label !== undefined && (typeof actions.label !== 'string' || !actions.label)) {
+        return 'actions.label must be a label name';
+    }
+    if (['archive', 'markRead'].some(action => actions[action] !== undefined && typeof actions[action] !== 'boolean')) {
+        return 'actions.archive and actions.markRead must be true or false';
+    }
+    if (actions.confidence !== undefined && (typeof actions.confidence !== 'number' || actions.confidence < 0 || actions.confidence > 1)) {
+        return 'actions.confidence must be a number from 0 to 1';
+    }
+    if (!actions.category && !actions.label && !actions.archive && !actions.markRead) {
+        return 'A rule needs at least one action';
+    }
+
+    return null;
+}
+
+// Returns an error message, or null when the list can be stored
+function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        return 'rules must be an array';
+    }
+    if (rules.length > MAX_RULES) {
+        return `At most ${MAX_RULES} rules are allowed`;
+    }
+
+    const ids = new Set();
+    for (const rule of rules) {
+        const error = validateRule(rule);
+        if (error) {
+            return `${rule && rule.name ? `Rule "${rule.name}": ` : ''}${error}`;
+        }
+        if (!rule.id || ids.has(rule.id)) {
+            return `Rule "${rule.name}" needs a unique id`;
+        }
+        ids.add(rule.id);
+    }
+    return null;
+}
+
+// Turns a validated condition into a predicate over a prepared message
+function compileCondition(condition) {
+    if (condition.all) {
+        const children = condition.all.map(compileCondition);
+        return message => children.every(child => child(message));
+    }
+    if (condition.any) {
+        const children = condition.any.map(compileCondition);
+        return message => children.some(child => child(message));
+    }
+    if (condition.not) {
+        const child = compileCondition(condition.not);
+        return message => !child(message);
+    }
+
+    const { field, operator } = condition;
+    const headerName = field === 'header' ? condition.header.trim().toLowerCase() : null;
+    const valuesOf = message => {
+        if (field === 'header') {
+            return message.headers[headerName] !== undefined ? [message.headers[headerName]] : [];
+        }
+        if (field === 'label') {
+            return message.labels;
+        }
+        return [message[field]];
+    };
+
+    if (operator === 'exists') {
+        return message => valuesOf(message).length > 0;
+    }
+
+    let test;
+    if (operator === 'matches') {
+        // Rules stored before nested quantifiers were rejected match nothing rather than
+        // risk stalling the server
+        const pattern = hasNestedQuantifier(condition.value) ? null : new RegExp(condition.value, 'i');
+        test = text => Boolean(pattern) && pattern.test(text.substring(0, MAX_MATCH_INPUT));
+    } else {
+        const expected = toList(condition.value);
+        if (operator === 'contains') {
+            test = text => expected.some(value => text.indexOf(value) >= 0);
+        } else if (field === 'domain') {
+            // A domain also stands for its subdomains: hdfcbank.com matches alerts.hdfcbank.com
+            test = text => expected.some(value => text === value || text.endsWith(`.${value}`));
+        } else {
+            test = text => expected.indexOf(text) >= 0;
+        }
+    }
+
+    return message => valuesOf(message).some(text => test(text));
+}
+
+// Lower-cased view of an email for matching. `headers` maps header names to values and
+// `labels` lists label names and ids; both are optional.
+function prepareMessage(email) {
+    const sender = parseSender(email.from);
+    const headers = {};
+    Object.keys(email.headers || {}).forEach(name => {
+        headers[name.toLowerCase()] = String(email.headers[name]).toLowerCase();
+    });
+
+    return {
+        sender: sender.address,
+        domain: sender.domain,
+        subject: String(email.subject || '').toLowerCase(),
+        snippet: String(email.snippet || '').toLowerCase(),
+        headers,
+        labels: (email.labels || []).map(label => String(label).toLowerCase())
+    };
+}
+
+const DEFAULT_RULE_IDS = DEFAULT_RULES.map(rule => rule.id);
+
+// Whether a rule is one of the built-in keyword rules (copied into a user's list unchanged or
+// edited) rather than one the user wrote or imported
+function isDefaultRule(rule) {
+    return DEFAULT_RULE_IDS.indexOf(rule.id) >= 0;
+}
+
+// An ordered, compiled set of rules. Higher priority runs first; rules of equal priority keep
+// their list order. Disabled rules are left out.
+class RuleSet {
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = rules;
+        this.compiled = rules
+            .map((rule, index) => ({ rule, index }))
+            .filter(item => item.rule.enabled !== false)
+            .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+            .map(item => ({ rule: item.rule, test: compileCondition(item.rule.conditions) }));
+    }
+
+    // The rules that matched, in the order they ran, and the actions they add up to. The first
+    // matching rule decides each action; later ones only run after a rule with continueMatching
+    // and fill in what is still unset. The rule that set the category is reported as `rule`.
+    evaluate(email) {
+        const message = prepareMessage(email);
+        const matches = [];
+        const actions = {};
+        let rule = null;
+
+        for (const item of this.compiled) {
+            if (!item.test(message)) {
+                continue;
+            }
+
+            matches.push({ id: item.rule.id, name: item.rule.name, priority: item.rule.priority || 0 });
+            Object.keys(item.rule.actions).forEach(action => {
+                if (actions[action] === undefined) {
+                    actions[action] = item.rule.actions[action];
+                    if (action === 'category') {
+                        rule = { id: item.rule.id, name: item.rule.name };
+                    }
+                }
+            });
+            if (item.rule.actions.category && actions.confidence === undefined) {
+                actions.confidence = DEFAULT_RULE_CONFIDENCE;
+            }
+
+            if (!item.rule.continueMatching) {
+                break;
+            }
+        }
+
+        return { matches, actions, rule };
+    }
+}
+
+module.exports = {
+    RULE_FIELDS,
+    RULE_OPERATORS,
+    RULES_MODES,
+    DEFAULT_RULES_MODE,
+    DEFAULT_RULES,
+    isDefaultRule,
+    RuleSet,
+    validateRule,
+    validateRules
+};
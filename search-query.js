@@ -0,0 +1,133 @@
+// Gmail-like search queries over stored mail: free words, "quoted phrases" and operators such as
+// from:amazon, category:"Finance/Banking" or after:2024/01/01. Parsing is shared; each database
+// turns the parsed query into its own full-text search. Shared by both servers, so it must stay
+// Node 10 safe.
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_SEARCH_RESULTS = 100;
+const DEFAULT_SEARCH_RESULTS = 50;
+
+// Operators whose values are matched as text; several of one kind must all match
+const TEXT_OPERATORS = ['from', 'to', 'subject', 'category', 'label'];
+const SEARCH_OPERATORS = TEXT_OPERATORS.concat(['sentiment', 'before', 'after', 'has']);
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// operator:value, operator:"quoted value", "a phrase" or a plain word
+const TOKEN_PATTERN = /([a-z]+):("([^"]*)"?|\S+)|"([^"]*)"?|(\S+)/gi;
+// Letters, digits and any non-ASCII character
+const SEARCHABLE = /[a-z0-9\u0080-\uffff]/i;
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Dates as Gmail writes them (2024/01/31 or 2024-01-31, taken as UTC midnight) or Unix seconds
+function parseSearchDate(value) {
+    if (/^\d{9,11}$/.test(value)) {
+        return new Date(parseInt(value, 10) * 1000);
+    }
+
+    const match = value.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+    if (!match) {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)));
+    return date.getUTCMonth() === parseInt(match[2], 10) - 1 ? date : null;
+}
+
+// { terms, excluded, filters, sentiment, after, before, hasAttachment, error }. `terms` are the
+// free words and phrases that must all match, `excluded` the -words that must not, and `filters`
+// the text operators' values by operator. `error` is a message for a query that cannot be
+// searched, otherwise null. Unknown operators are searched as plain words, like Gmail does.
+function parseSearchQuery(input) {
+    const search = {
+        terms: [],
+        excluded: [],
+        filters: {},
+        sentiment: null,
+        after: null,
+        before: null,
+        hasAttachment: false,
+        error: null
+    };
+    TEXT_OPERATORS.forEach(operator => { search.filters[operator] = []; });
+
+    const text = String(input || '').trim();
+    if (text.length > MAX_QUERY_LENGTH) {
+        search.error = `Search query is longer than ${MAX_QUERY_LENGTH} characters`;
+        return search;
+    }
+
+    let match;
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(text)) && !search.error) {
+        // A bare "from:" is an operator whose value is missing
+        const bare = /^([a-z]+):$/i.exec(match[5] || '');
+        const operator = (match[1] || (bare ? bare[1] : '')).toLowerCase();
+
+        if (!operator || SEARCH_OPERATORS.indexOf(operator) < 0) {
+            const term = (match[4] !== undefined ? match[4] : match[0]).replace(/"/g, '').trim();
+            // Punctuation on its own matches nothing in a full-text index
+            if (!SEARCHABLE.test(term)) {
+                continue;
+            }
+            if (term[0] === '-' && match[4] === undefined) {
+                search.excluded.push(term.substring(1));
+            } else {
+                search.terms.push(term);
+            }
+            continue;
+        }
+
+        const value = (match[3] !== undefined ? match[3] : match[2] || '').trim();
+        if (!value) {
+            search.error = `${operator}: needs a value`;
+        } else if (TEXT_OPERATORS.indexOf(operator) >= 0) {
+            search.filters[operator].push(value);
+        } else if (operator === 'sentiment') {
+            if (SENTIMENTS.indexOf(value.toLowerCase()) < 0) {
+                search.error = `sentiment: must be one of ${SENTIMENTS.join(', ')}`;
+            }
+            search.sentiment = value.toLowerCase();
+        } else if (operator === 'has') {
+            if (value.toLowerCase() !== 'attachment') {
+                search.error = 'has: only supports has:attachment';
+            }
+            search.hasAttachment = true;
+        } else {
+            const date = parseSearchDate(value);
+            if (!date) {
+                search.error = `${operator}: needs a date such as 2024/01/31`;
+            }
+            search[operator] = date;
+        }
+    }
+
+    return search;
+}
+
+// Operators a parsed query uses, so a server can reject the ones its database cannot search
+function usedOperators(search) {
+    return TEXT_OPERATORS.filter(operator => search.filters[operator].length > 0)
+        .concat(search.sentiment ? ['sentiment'] : [])
+        .concat(search.after ? ['after'] : [])
+        .concat(search.before ? ['before'] : [])
+        .concat(search.hasAttachment ? ['has'] : []);
+}
+
+function isEmptySearch(search) {
+    return search.terms.length === 0 && search.excluded.length === 0 && usedOperators(search).length === 0;
+}
+
+module.exports = {
+    MAX_QUERY_LENGTH,
+    MAX_SEARCH_RESULTS,
+    DEFAULT_SEARCH_RESULTS,
+    SEARCH_OPERATORS,
+    escapeRegExp,
+    parseSearchDate,
+    parseSearchQuery,
+    usedOperators,
+    isEmptySearch
+};
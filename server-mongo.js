@@ -7,6 +7,17 @@ const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const { google } = require('googleapis');
 const MongoDatabase = require('./database-mongo');
 const BatchProcessor = require('./batch-processor');
+const BatchWorker = require('./batch-worker');
+const BatchScheduler = require('./batch-scheduler');
+const batchEvents = require('./batch-events');
+const { wrapGmail } = require('./gmail-helpers');
+const { PROVIDER_NAMES, createProvider, listProviders, getDefaultProviderName } = require('./llm-providers');
+const { FALLBACK_CATEGORY, DEFAULT_CATEGORIES, Taxonomy, normalizeName, validateCategories, renamedPath } = require('./taxonomy');
+const { RULE_FIELDS, RULE_OPERATORS, RULES_MODES, DEFAULT_RULES, RuleSet, validateRule, validateRules } = require('./rules-engine');
+const { filtersToRules, rulesToFilterXml } = require('./gmail-filters');
+const { FETCH_MODES } = require('./mime-parser');
+const { isExtractable, downloadAttachment } = require('./attachments');
+const { MAX_SEARCH_RESULTS, DEFAULT_SEARCH_RESULTS, parseSearchDate, parseSearchQuery, isEmptySearch } = require('./search-query');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,6 +35,18 @@ const oauth2Client = new google.auth.OAuth2(
 // Batch processor
 const batchProcessor = new BatchProcessor(mongoDb, oauth2Client);
 
+// Background batch worker with its own OAuth client so queued jobs never
+// race request handlers over credentials
+const workerOAuthClient = new google.auth.OAuth2(
+  process.env.GOOGLE_CLIENT_ID,
+  process.env.GOOGLE_CLIENT_SECRET,
+  'http://127.0.0.1:3000/auth/google/callback'
+);
+const batchWorker = new BatchWorker(mongoDb, new BatchProcessor(mongoDb, workerOAuthClient));
+
+// Recurring schedules create batches and hand them to the worker
+const batchScheduler = new BatchScheduler(mongoDb, batchProcessor, batchWorker);
+
 // Middleware
 app.use(cors({
   origin: 'http://localhost:5173',
@@ -172,15 +195,114 @@ app.get('/auth/logout', (req, res) => {
   res.redirect('/login');
 });
 
+// Email list paging and filters
+const EMAIL_SORTS = ['newest', 'oldest'];
+const MAX_EMAIL_PAGE_SIZE = 200;
+const EMAIL_TEXT_FILTERS = ['from', 'to', 'subject', 'category', 'source', 'sentiment', 'labelId'];
+const EMAIL_FLAG_FILTERS = ['processed', 'synced', 'hasAttachments'];
+const REVIEW_STATUSES = ['pending', 'confirmed'];
+
+// Opaque page cursor: the sort and the last email's timestamp and _id, base64url encoded
+function encodeEmailCursor(sort, email) {
+  return Buffer.from(JSON.stringify([sort, email.timestamp, String(email._id)]))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// { sort, timestamp, id }, or null for a cursor this server did not hand out
+function decodeEmailCursor(cursor) {
+  try {
+    const [sort, timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    const date = new Date(timestamp);
+    if (!EMAIL_SORTS.includes(sort) || isNaN(date.getTime()) || !/^[0-9a-f]{24}$/.test(id)) {
+      return null;
+    }
+    return { sort, timestamp: date, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reads the /api/emails query string: { filters, sort, limit, cursor } or { error }
+function parseEmailListQuery(query) {
+  const filters = {};
+  
+  for (const name of EMAIL_FLAG_FILTERS) {
+    if (query[name] !== undefined) {
+      if (query[name] !== 'true' && query[name] !== 'false') {
+        return { error: `${name} must be true or false` };
+      }
+      filters[name] = query[name] === 'true';
+    }
+  }
+  
+  EMAIL_TEXT_FILTERS.forEach(name => {
+    if (typeof query[name] === 'string' && query[name].trim()) {
+      filters[name] = query[name].trim();
+    }
+  });
+  
+  if (query.reviewStatus !== undefined) {
+    if (!REVIEW_STATUSES.includes(query.reviewStatus)) {
+      return { error: `reviewStatus must be one of: ${REVIEW_STATUSES.join(', ')}` };
+    }
+    filters.reviewStatus = query.reviewStatus;
+  }
+  
+  for (const name of ['minConfidence', 'maxConfidence']) {
+    if (query[name] !== undefined) {
+      const value = parseFloat(query[name]);
+      if (isNaN(value) || value < 0 || value > 1) {
+        return { error: `${name} must be a number between 0 and 1` };
+      }
+      filters[name] = value;
+    }
+  }
+  
+  for (const name of ['after', 'before']) {
+    if (query[name] !== undefined) {
+      const date = parseSearchDate(String(query[name]));
+      if (!date) {
+        return { error: `${name} must be a date such as 2024/01/31` };
+      }
+      filters[name] = date;
+    }
+  }
+  
+  const sort = query.sort || 'newest';
+  if (!EMAIL_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${EMAIL_SORTS.join(', ')}` };
+  }
+  
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeEmailCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  
+  const limit = Math.max(1, Math.min(parseInt(query.limit) || 50, MAX_EMAIL_PAGE_SIZE));
+  return { filters, sort, limit, cursor };
+}
+
 // Enhanced email routes with MongoDB
 app.get('/api/emails', isAuthenticated, async (req, res) => {
   try {
     const userId = req.user.profile.id;
-    const limit = parseInt(req.query.limit) || 50;
-    const processed = req.query.processed === 'true' ? true : req.query.processed === 'false' ? false : undefined;
+    const { filters, sort, limit, cursor, error } = parseEmailListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    const emails = await mongoDb.getEmails(userId, { limit, processed });
-    res.json(emails);
+    const { emails, total, hasMore } = await mongoDb.listEmails(userId, filters, { sort, limit, after: cursor });
+    res.json({
+      emails,
+      total,
+      nextCursor: hasMore ? encodeEmailCursor(sort, emails[emails.length - 1]) : null
+    });
     
   } catch (error) {
     console.error('❌ Error fetching emails:', error.message);
@@ -188,32 +310,141 @@ app.get('/api/emails', isAuthenticated, async (req, res) => {
   }
 });
 
+// Search over stored emails with Gmail-like operators (see search-query.js)
+app.get('/api/search', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const search = parseSearchQuery(req.query.q);
+    if (search.error) {
+      return res.status(400).json({ error: search.error });
+    }
+    if (isEmptySearch(search)) {
+      return res.status(400).json({ error: 'Provide a search query in q' });
+    }
+    
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_SEARCH_RESULTS, MAX_SEARCH_RESULTS));
+    const emails = await mongoDb.searchEmails(userId, search, { limit });
+    
+    res.json({ query: req.query.q, emails });
+    
+  } catch (error) {
+    console.error('❌ Error searching emails:', error.message);
+    res.status(500).json({ error: 'Failed to search emails' });
+  }
+});
+
+// Attachments recorded when the email was fetched, with their text once it has been extracted
+app.get('/api/emails/:gmailId/attachments', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const [email] = await mongoDb.getEmailsByIds(userId, [req.params.gmailId]);
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    
+    res.json({
+      gmailId: email.gmailId,
+      attachments: (email.attachments || []).map(attachment => ({ ...attachment, extractable: isExtractable(attachment) }))
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching attachments:', error.message);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+// Sends one attachment's content from Gmail. Always as a download, so HTML attachments never
+// render on this origin.
+app.get('/api/emails/:gmailId/attachments/:partId', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const [email] = await mongoDb.getEmailsByIds(userId, [req.params.gmailId]);
+    const attachment = email && (email.attachments || []).find(a => a.partId === req.params.partId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    const content = await withTokenRefresh(req, res, async () => {
+      const gmail = wrapGmail(google.gmail({ version: 'v1', auth: oauth2Client }), { quotaKey: userId });
+      return downloadAttachment(gmail, email.gmailId, attachment);
+    });
+    
+    // A failed token refresh has already answered with 401
+    if (res.headersSent) {
+      return;
+    }
+    
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename || 'attachment')}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(content);
+    
+  } catch (error) {
+    console.error('❌ Error downloading attachment:', error.message);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
 // Enhanced batch operation routes
+const BATCH_OPERATIONS = ['fetchEmails', 'syncEmails', 'analyzeEmails', 'createLabels', 'assignLabels', 'organizeLabels', 'fullProcess', 'retryFailed'];
+const MAX_BATCH_SIZES = {
+  fetchEmails: 500,
+  syncEmails: 500,
+  analyzeEmails: 200,
+  assignLabels: 200,
+  fullProcess: 200
+};
+
+// Returns an error message, or null when the operation and options are acceptable
+function validateBatchOptions(operation, options = {}) {
+  if (!BATCH_OPERATIONS.includes(operation)) {
+    return `Unknown batch operation: ${operation}`;
+  }
+  
+  if (operation === 'retryFailed' && !options.sourceBatchId) {
+    return 'retryFailed needs options.sourceBatchId';
+  }
+  
+  if (options.dryRun && operation === 'retryFailed') {
+    return 'retryFailed does not support dryRun';
+  }
+  
+  if (options.minConfidence !== undefined &&
+      (typeof options.minConfidence !== 'number' || options.minConfidence < 0 || options.minConfidence > 1)) {
+    return 'minConfidence must be a number between 0 and 1';
+  }
+  
+  if (options.fetchMode !== undefined && !FETCH_MODES.includes(options.fetchMode)) {
+    return `fetchMode must be one of: ${FETCH_MODES.join(', ')}`;
+  }
+  
+  if (options.extractAttachments !== undefined && typeof options.extractAttachments !== 'boolean') {
+    return 'extractAttachments must be true or false';
+  }
+  
+  if (options.batchSize && MAX_BATCH_SIZES[operation]) {
+    if (options.batchSize > MAX_BATCH_SIZES[operation]) {
+      return `Batch size too large. Maximum for ${operation} is ${MAX_BATCH_SIZES[operation]}`;
+    }
+    
+    if (options.batchSize < 1) {
+      return 'Batch size must be at least 1';
+    }
+  }
+  
+  return null;
+}
+
 app.post('/api/batch/create', isAuthenticated, async (req, res) => {
   try {
-    const { operation, options } = req.body;
+    const { operation, options = {} } = req.body;
     const userId = req.user.profile.id;
     
-    // Validate batch size
-    const maxBatchSizes = {
-      fetchEmails: 500,
-      analyzeEmails: 200,
-      assignLabels: 200,
-      fullProcess: 200
-    };
-    
-    if (options.batchSize && maxBatchSizes[operation]) {
-      if (options.batchSize > maxBatchSizes[operation]) {
-        return res.status(400).json({ 
-          error: `Batch size too large. Maximum for ${operation} is ${maxBatchSizes[operation]}` 
-        });
-      }
-      
-      if (options.batchSize < 1) {
-        return res.status(400).json({ 
-          error: 'Batch size must be at least 1' 
-        });
-      }
+    const validationError = validateBatchOptions(operation, options);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
     
     const batchId = await batchProcessor.createBatch(userId, operation, { ...options, userId });
@@ -233,25 +464,31 @@ app.post('/api/batch/create', isAuthenticated, async (req, res) => {
 app.post('/api/batch/execute', isAuthenticated, async (req, res) => {
   try {
     const { batchId } = req.body;
+    const userId = req.user.profile.id;
     
-    // Get user tokens
-    const user = await mongoDb.getUser(req.user.profile.id);
+    // Worker runs with the stored tokens, so the user must exist in MongoDB
+    const user = await mongoDb.getUser(userId);
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
     
-    // Execute batch with token refresh
-    const result = await withTokenRefresh(req, res, async () => {
-      return await batchProcessor.executeBatch(batchId, {
-        accessToken: user.accessToken,
-        refreshToken: user.refreshToken
-      });
-    });
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== userId) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
     
-    res.json({
+    if (batchLog.status !== 'created') {
+      return res.status(409).json({ error: `Batch is already ${batchLog.status}` });
+    }
+    
+    // Hand the batch to the background worker and return immediately
+    await batchProcessor.enqueueBatch(batchId);
+    batchWorker.wake();
+    
+    res.status(202).json({
       success: true,
       batchId: batchId,
-      result: result
+      status: 'queued'
     });
     
   } catch (error) {
@@ -260,170 +497,1408 @@ app.post('/api/batch/execute', isAuthenticated, async (req, res) => {
   }
 });
 
-app.get('/api/batch/status/:batchId', isAuthenticated, async (req, res) => {
+app.post('/api/batch/resume/:batchId', isAuthenticated, async (req, res) => {
   try {
     const { batchId } = req.params;
-    const status = await batchProcessor.getBatchStatus(batchId);
+    const userId = req.user.profile.id;
     
-    if (!status) {
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== userId) {
       return res.status(404).json({ error: 'Batch not found' });
     }
     
-    res.json(status);
+    if (!['failed', 'interrupted', 'paused'].includes(batchLog.status)) {
+      return res.status(409).json({ error: `Cannot resume a batch that is ${batchLog.status}` });
+    }
+    
+    if (batchLog.status === 'interrupted' && BatchWorker.NON_RESUMABLE_OPERATIONS.includes(batchLog.operation)) {
+      return res.status(409).json({ error: `An interrupted ${batchLog.operation} batch cannot be resumed; roll it back and start a new one` });
+    }
+    
+    // Requeue; the worker continues from batchLog.checkpoint
+    await batchProcessor.resumeBatch(batchId);
+    batchWorker.wake();
+    
+    res.status(202).json({
+      success: true,
+      batchId: batchId,
+      status: 'queued',
+      checkpoint: batchLog.checkpoint || null
+    });
     
   } catch (error) {
-    console.error('❌ Error getting batch status:', error.message);
-    res.status(500).json({ error: 'Failed to get batch status' });
+    console.error('❌ Error resuming batch:', error.message);
+    res.status(500).json({ error: 'Failed to resume batch' });
   }
 });
 
-app.get('/api/batch/history', isAuthenticated, async (req, res) => {
+app.post('/api/batch/cancel/:batchId', isAuthenticated, async (req, res) => {
   try {
-    const userId = req.user.profile.id;
-    const limit = parseInt(req.query.limit) || 20;
+    const { batchId } = req.params;
     
-    const history = await batchProcessor.getUserBatchHistory(userId, limit);
-    res.json(history);
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== req.user.profile.id) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    const status = await batchProcessor.cancelBatch(batchId);
+    if (!status) {
+      return res.status(409).json({ error: `Cannot cancel a batch that is ${batchLog.status}` });
+    }
+    
+    res.json({ success: true, batchId: batchId, status: status });
     
   } catch (error) {
-    console.error('❌ Error getting batch history:', error.message);
-    res.status(500).json({ error: 'Failed to get batch history' });
+    console.error('❌ Error cancelling batch:', error.message);
+    res.status(500).json({ error: 'Failed to cancel batch' });
   }
 });
 
-// Enhanced label routes
-app.get('/api/labels', isAuthenticated, async (req, res) => {
+app.post('/api/batch/pause/:batchId', isAuthenticated, async (req, res) => {
   try {
-    const userId = req.user.profile.id;
+    const { batchId } = req.params;
     
-    const result = await withTokenRefresh(req, res, async () => {
-      const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-      const response = await gmail.users.labels.list({ userId: 'me' });
-      
-      const gmailLabels = response.data.labels || [];
-      
-      // Save to MongoDB
-      for (const label of gmailLabels) {
-        if (label.type === 'user') {
-          await mongoDb.saveLabel({
-            userId: userId,
-            name: label.name,
-            gmailLabelId: label.id,
-            emailCount: 0,
-            isAuto: false
-          });
-        }
-      }
-      
-      return gmailLabels;
-    });
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== req.user.profile.id) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
     
-    res.json(result);
+    const status = await batchProcessor.pauseBatch(batchId);
+    if (!status) {
+      return res.status(409).json({ error: `Cannot pause a batch that is ${batchLog.status}` });
+    }
+    
+    res.json({ success: true, batchId: batchId, status: status });
     
   } catch (error) {
-    console.error('❌ Error fetching labels:', error.message);
-    res.status(500).json({ error: 'Failed to fetch labels' });
+    console.error('❌ Error pausing batch:', error.message);
+    res.status(500).json({ error: 'Failed to pause batch' });
   }
 });
 
-app.get('/api/labels/emails/:labelName', isAuthenticated, async (req, res) => {
+app.get('/api/batch/status/:batchId', isAuthenticated, async (req, res) => {
   try {
-    const { labelName } = req.params;
-    const userId = req.user.profile.id;
+    const { batchId } = req.params;
+    const status = await batchProcessor.getBatchStatus(batchId);
     
-    const result = await withTokenRefresh(req, res, async () => {
-      const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-      const response = await gmail.users.messages.list({
-        userId: 'me',
-        q: `label:${labelName}`
-      });
-      
-      const messages = response.data.messages || [];
-      const emails = [];
-      
-      for (const message of messages.slice(0, 50)) { // Limit to 50
-        const msg = await gmail.users.messages.get({
-          userId: 'me',
-          id: message.id,
-          format: 'metadata',
-          metadataHeaders: ['Subject', 'From', 'Date']
-        });
-        
-        const headers = msg.data.payload.headers;
-        emails.push({
-          gmailId: msg.data.id,
-          subject: (headers.find(h => h.name === 'Subject') || {}).value || 'No Subject',
-          from: (headers.find(h => h.name === 'From') || {}).value || 'Unknown',
-          date: (headers.find(h => h.name === 'Date') || {}).value || ''
-        });
-      }
-      
-      return emails;
-    });
+    if (!status || status.userId !== req.user.profile.id) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
     
-    res.json(result);
+    res.json(status);
     
   } catch (error) {
-    console.error('❌ Error fetching label emails:', error.message);
-    res.status(500).json({ error: 'Failed to fetch label emails' });
+    console.error('❌ Error getting batch status:', error.message);
+    res.status(500).json({ error: 'Failed to get batch status' });
   }
 });
 
-// Analytics and reporting routes
-app.get('/api/analytics/overview', isAuthenticated, async (req, res) => {
+// Dry-run plans: review what a batch would change, then approve it as an applyPlan batch
+const PLANNABLE_OPERATIONS = ['createLabels', 'assignLabels', 'fullProcess'];
+
+app.get('/api/batch/plan/:batchId', isAuthenticated, async (req, res) => {
   try {
-    const userId = req.user.profile.id;
+    const { batchId } = req.params;
     
-    const [emailStats, categoryBreakdown, labels] = await Promise.all([
-      mongoDb.getEmailStats(userId),
-      mongoDb.getCategoryBreakdown(userId),
-      mongoDb.getLabels(userId)
-    ]);
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== req.user.profile.id || !batchLog.dryRun) {
+      return res.status(404).json({ error: 'Dry-run batch not found' });
+    }
     
     res.json({
-      emailStats,
-      categoryBreakdown,
-      totalLabels: labels.length
+      batchId,
+      operation: batchLog.operation,
+      status: batchLog.status,
+      approvedAt: batchLog.approvedAt || null,
+      approvedBatchId: batchLog.approvedBatchId || null,
+      labelsToCreate: (batchLog.dryRunResult && batchLog.dryRunResult.labelsToCreate) || [],
+      assignments: (batchLog.dryRunResult && batchLog.dryRunResult.assignments) || []
     });
     
   } catch (error) {
-    console.error('❌ Error getting analytics:', error.message);
-    res.status(500).json({ error: 'Failed to get analytics' });
+    console.error('❌ Error fetching dry-run plan:', error.message);
+    res.status(500).json({ error: 'Failed to fetch dry-run plan' });
   }
 });
 
-app.get('/api/analytics/suggestions', isAuthenticated, async (req, res) => {
+app.post('/api/batch/approve/:batchId', isAuthenticated, async (req, res) => {
   try {
+    const { batchId } = req.params;
     const userId = req.user.profile.id;
-    const suggestions = await batchProcessor.geminiAnalyzer.suggestLabelOrganization(userId);
-    res.json(suggestions);
+    
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== userId || !batchLog.dryRun) {
+      return res.status(404).json({ error: 'Dry-run batch not found' });
+    }
+    
+    if (!PLANNABLE_OPERATIONS.includes(batchLog.operation) || batchLog.status !== 'completed') {
+      return res.status(409).json({ error: `Cannot approve a ${batchLog.operation} batch that is ${batchLog.status}` });
+    }
+    
+    const approved = await mongoDb.markPlanApproved(batchId);
+    if (!approved) {
+      return res.status(409).json({ error: 'Plan was already approved' });
+    }
+    
+    const applyBatchId = await batchProcessor.createBatch(userId, 'applyPlan', { sourceBatchId: batchId, userId });
+    await batchProcessor.enqueueBatch(applyBatchId);
+    await mongoDb.updateBatchLog(batchId, { approvedBatchId: applyBatchId });
+    batchWorker.wake();
+    
+    res.status(202).json({
+      success: true,
+      batchId: applyBatchId,
+      sourceBatchId: batchId,
+      status: 'queued'
+    });
     
   } catch (error) {
-    console.error('❌ Error getting suggestions:', error.message);
-    res.status(500).json({ error: 'Failed to get suggestions' });
+    console.error('❌ Error approving plan:', error.message);
+    res.status(500).json({ error: 'Failed to approve plan' });
   }
 });
 
-// Serve static files
-// Dashboard route (removed authentication - moved below)
-
-app.get('/login', (req, res) => {
-  res.sendFile(__dirname + '/login.html');
-});
-
-// Health check
-app.get('/health', async (req, res) => {
+// Undo the Gmail label changes a batch made, using its journal
+app.post('/api/batch/rollback/:batchId', isAuthenticated, async (req, res) => {
   try {
-    const mongoConnected = await mongoDb.connect();
-    res.json({ 
-      status: 'healthy', 
-      mongodb: mongoConnected ? 'connected' : 'disconnected',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      status: 'unhealthy', 
-      error: error.message 
+    const { batchId } = req.params;
+    const userId = req.user.profile.id;
+    
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== userId) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    if (['created', 'queued', 'running', 'paused'].includes(batchLog.status)) {
+      return res.status(409).json({ error: `Cannot roll back a batch that is ${batchLog.status}; cancel it first` });
+    }
+    
+    if (!batchLog.journalEntries) {
+      return res.status(409).json({ error: 'Batch made no label changes' });
+    }
+    
+    const requested = await mongoDb.markRollbackRequested(batchId);
+    if (!requested) {
+      return res.status(409).json({ error: 'Batch was already rolled back' });
+    }
+    
+    const rollbackBatchId = await batchProcessor.createBatch(userId, 'rollback', { sourceBatchId: batchId, userId });
+    await batchProcessor.enqueueBatch(rollbackBatchId);
+    batchWorker.wake();
+    
+    res.status(202).json({
+      success: true,
+      batchId: rollbackBatchId,
+      sourceBatchId: batchId,
+      status: 'queued'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error rolling back batch:', error.message);
+    res.status(500).json({ error: 'Failed to roll back batch' });
+  }
+});
+
+app.get('/api/batch/journal/:batchId', isAuthenticated, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const userId = req.user.profile.id;
+    
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== userId) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    const entries = await mongoDb.getJournalEntries(userId, batchId);
+    res.json({ batchId, entries });
+    
+  } catch (error) {
+    console.error('❌ Error fetching batch journal:', error.message);
+    res.status(500).json({ error: 'Failed to fetch batch journal' });
+  }
+});
+
+// Per-message failures recorded for a batch (open and resolved)
+app.get('/api/batch/failures/:batchId', isAuthenticated, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const userId = req.user.profile.id;
+    
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== userId) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    const failures = await mongoDb.getBatchFailures(userId, batchId, { status: req.query.status });
+    res.json({
+      batchId,
+      open: failures.filter(f => f.status === 'open').length,
+      failures
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching batch failures:', error.message);
+    res.status(500).json({ error: 'Failed to fetch batch failures' });
+  }
+});
+
+// Live batch progress over Server-Sent Events
+app.get('/api/batch/stream/:batchId', isAuthenticated, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    
+    const batchLog = await batchProcessor.getBatchStatus(batchId);
+    if (!batchLog || batchLog.userId !== req.user.profile.id) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    
+    // Start with the current state so late subscribers see progress so far
+    send({ type: 'snapshot', batchId, data: batchLog, timestamp: new Date().toISOString() });
+    
+    if (batchEvents.isTerminal(batchLog.status)) {
+      return res.end();
+    }
+    
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    let unsubscribe = null;
+    
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+    
+    unsubscribe = batchEvents.subscribe(batchId, (event) => {
+      send(event);
+      
+      if (event.type === 'status' && batchEvents.isTerminal(event.data.status)) {
+        cleanup();
+        res.end();
+      }
+    });
+    
+    req.on('close', cleanup);
+    
+  } catch (error) {
+    console.error('❌ Error streaming batch events:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream batch events' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+app.get('/api/batch/history', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const history = await batchProcessor.getUserBatchHistory(userId, limit);
+    res.json(history);
+    
+  } catch (error) {
+    console.error('❌ Error getting batch history:', error.message);
+    res.status(500).json({ error: 'Failed to get batch history' });
+  }
+});
+
+// Recurring batch schedules
+function parseScheduleBody(body) {
+  const timing = body.cron
+    ? { cron: String(body.cron).trim() }
+    : { intervalMinutes: parseInt(body.intervalMinutes) };
+  
+  batchScheduler.validateTiming(timing);
+  return timing;
+}
+
+app.get('/api/schedules', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const schedules = await mongoDb.getSchedules(userId);
+    res.json(schedules);
+    
+  } catch (error) {
+    console.error('❌ Error fetching schedules:', error.message);
+    res.status(500).json({ error: 'Failed to fetch schedules' });
+  }
+});
+
+app.post('/api/schedules/preview', isAuthenticated, async (req, res) => {
+  try {
+    let timing;
+    try {
+      timing = parseScheduleBody(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    const count = Math.min(parseInt(req.body.count) || 5, 20);
+    res.json({ runs: batchScheduler.previewRuns(timing, count) });
+    
+  } catch (error) {
+    console.error('❌ Error previewing schedule:', error.message);
+    res.status(500).json({ error: 'Failed to preview schedule' });
+  }
+});
+
+app.post('/api/schedules', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const { name, operation, options = {}, enabled = true } = req.body;
+    
+    // Scheduled runs use the stored tokens, so the user must exist in MongoDB
+    const user = await mongoDb.getUser(userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    
+    const validationError = validateBatchOptions(operation, options);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    let timing;
+    try {
+      timing = parseScheduleBody(req.body);
+    } catch (timingError) {
+      return res.status(400).json({ error: timingError.message });
+    }
+    
+    const scheduleId = batchScheduler.generateScheduleId();
+    await mongoDb.createSchedule({
+      scheduleId,
+      userId,
+      name: name || `${operation} schedule`,
+      operation,
+      options,
+      cron: timing.cron || null,
+      intervalMinutes: timing.intervalMinutes || null,
+      enabled: Boolean(enabled),
+      nextRunAt: batchScheduler.computeNextRun(timing)
+    });
+    
+    const schedule = await mongoDb.getSchedule(userId, scheduleId);
+    res.status(201).json({ success: true, schedule });
+    
+  } catch (error) {
+    console.error('❌ Error creating schedule:', error.message);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+app.put('/api/schedules/:scheduleId', isAuthenticated, async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const userId = req.user.profile.id;
+    
+    const existing = await mongoDb.getSchedule(userId, scheduleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    const updates = {};
+    const operation = req.body.operation || existing.operation;
+    const options = req.body.options || existing.options;
+    
+    const validationError = validateBatchOptions(operation, options);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    updates.operation = operation;
+    updates.options = options;
+    
+    if (req.body.name !== undefined) {
+      updates.name = req.body.name;
+    }
+    
+    let timing = existing.cron ? { cron: existing.cron } : { intervalMinutes: existing.intervalMinutes };
+    const timingChanged = req.body.cron !== undefined || req.body.intervalMinutes !== undefined;
+    if (timingChanged) {
+      try {
+        timing = parseScheduleBody(req.body);
+      } catch (timingError) {
+        return res.status(400).json({ error: timingError.message });
+      }
+      updates.cron = timing.cron || null;
+      updates.intervalMinutes = timing.intervalMinutes || null;
+    }
+    
+    if (req.body.enabled !== undefined) {
+      updates.enabled = Boolean(req.body.enabled);
+    }
+    
+    // Recompute from now when the timing changes or a disabled schedule is switched back on
+    if (timingChanged || (updates.enabled && !existing.enabled)) {
+      updates.nextRunAt = batchScheduler.computeNextRun(timing);
+    }
+    
+    const schedule = await mongoDb.updateSchedule(userId, scheduleId, updates);
+    res.json({ success: true, schedule });
+    
+  } catch (error) {
+    console.error('❌ Error updating schedule:', error.message);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+app.delete('/api/schedules/:scheduleId', isAuthenticated, async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const userId = req.user.profile.id;
+    
+    const deleted = await mongoDb.deleteSchedule(userId, scheduleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, scheduleId });
+    
+  } catch (error) {
+    console.error('❌ Error deleting schedule:', error.message);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+app.get('/api/schedules/:scheduleId/history', isAuthenticated, async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const userId = req.user.profile.id;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const schedule = await mongoDb.getSchedule(userId, scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    const batches = await mongoDb.getBatchLogsBySchedule(userId, scheduleId, limit);
+    res.json({ schedule, batches });
+    
+  } catch (error) {
+    console.error('❌ Error fetching schedule history:', error.message);
+    res.status(500).json({ error: 'Failed to fetch schedule history' });
+  }
+});
+
+// Enhanced label routes
+app.get('/api/labels', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    
+    const result = await withTokenRefresh(req, res, async () => {
+      const gmail = wrapGmail(google.gmail({ version: 'v1', auth: oauth2Client }), { quotaKey: userId });
+      const response = await gmail.users.labels.list({ userId: 'me' });
+      
+      const gmailLabels = response.data.labels || [];
+      
+      // Save to MongoDB
+      for (const label of gmailLabels) {
+        if (label.type === 'user') {
+          await mongoDb.saveLabel({
+            userId: userId,
+            name: label.name,
+            gmailLabelId: label.id,
+            emailCount: 0,
+            isAuto: false
+          });
+        }
+      }
+      
+      return gmailLabels;
+    });
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('❌ Error fetching labels:', error.message);
+    res.status(500).json({ error: 'Failed to fetch labels' });
+  }
+});
+
+// Label organization suggestions: approve a selection to apply it as an applySuggestions batch
+const SUGGESTION_STATUSES = ['pending', 'approved', 'rejected', 'applied', 'failed', 'superseded'];
+
+function parseSuggestionIds(body) {
+  const ids = body && body.suggestionIds;
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+    return null;
+  }
+  return [...new Set(ids)];
+}
+
+app.get('/api/labels/suggestions', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const { status } = req.query;
+    
+    if (status && !SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${SUGGESTION_STATUSES.join(', ')}` });
+    }
+    
+    const suggestions = await mongoDb.getLabelSuggestions(userId, {
+      status,
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json(suggestions);
+    
+  } catch (error) {
+    console.error('❌ Error fetching label suggestions:', error.message);
+    res.status(500).json({ error: 'Failed to fetch label suggestions' });
+  }
+});
+
+app.post('/api/labels/suggestions/approve', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const suggestionIds = parseSuggestionIds(req.body);
+    
+    if (!suggestionIds) {
+      return res.status(400).json({ error: 'suggestionIds must be a non-empty array' });
+    }
+    
+    const pendingIds = (await mongoDb.getLabelSuggestions(userId, { suggestionIds, status: 'pending' }))
+      .map(suggestion => suggestion.suggestionId);
+    
+    if (pendingIds.length === 0) {
+      return res.status(409).json({ error: 'None of the suggestions are pending' });
+    }
+    
+    // Suggestions are claimed for this batch only while still pending, so a concurrent
+    // approval cannot apply the same change twice; the batch skips any it did not claim
+    const batchId = await batchProcessor.createBatch(userId, 'applySuggestions', { suggestionIds: pendingIds, userId });
+    await mongoDb.transitionLabelSuggestions(userId, pendingIds, 'pending', {
+      status: 'approved',
+      approvedAt: new Date(),
+      applyBatchId: batchId
+    });
+    await batchProcessor.enqueueBatch(batchId);
+    batchWorker.wake();
+    
+    res.status(202).json({
+      success: true,
+      batchId,
+      approved: pendingIds,
+      skipped: suggestionIds.filter(id => !pendingIds.includes(id)),
+      status: 'queued'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error approving label suggestions:', error.message);
+    res.status(500).json({ error: 'Failed to approve label suggestions' });
+  }
+});
+
+app.post('/api/labels/suggestions/reject', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const suggestionIds = parseSuggestionIds(req.body);
+    
+    if (!suggestionIds) {
+      return res.status(400).json({ error: 'suggestionIds must be a non-empty array' });
+    }
+    
+    const rejected = await mongoDb.transitionLabelSuggestions(userId, suggestionIds, 'pending', {
+      status: 'rejected',
+      rejectedAt: new Date()
+    });
+    
+    res.json({ success: true, rejected });
+    
+  } catch (error) {
+    console.error('❌ Error rejecting label suggestions:', error.message);
+    res.status(500).json({ error: 'Failed to reject label suggestions' });
+  }
+});
+
+app.get('/api/labels/emails/:labelName', isAuthenticated, async (req, res) => {
+  try {
+    const { labelName } = req.params;
+    const userId = req.user.profile.id;
+    
+    const result = await withTokenRefresh(req, res, async () => {
+      const gmail = wrapGmail(google.gmail({ version: 'v1', auth: oauth2Client }), { quotaKey: userId });
+      const response = await gmail.users.messages.list({
+        userId: 'me',
+        q: `label:${labelName}`
+      });
+      
+      const messages = response.data.messages || [];
+      const emails = [];
+      
+      for (const message of messages.slice(0, 50)) { // Limit to 50
+        const msg = await gmail.users.messages.get({
+          userId: 'me',
+          id: message.id,
+          format: 'metadata',
+          metadataHeaders: ['Subject', 'From', 'Date']
+        });
+        
+        const headers = msg.data.payload.headers;
+        emails.push({
+          gmailId: msg.data.id,
+          subject: (headers.find(h => h.name === 'Subject') || {}).value || 'No Subject',
+          from: (headers.find(h => h.name === 'From') || {}).value || 'Unknown',
+          date: (headers.find(h => h.name === 'Date') || {}).value || ''
+        });
+      }
+      
+      return emails;
+    });
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('❌ Error fetching label emails:', error.message);
+    res.status(500).json({ error: 'Failed to fetch label emails' });
+  }
+});
+
+// LLM provider choice; users can pick any provider this deployment has configured
+app.get('/api/settings/llm', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const settings = await mongoDb.getUserSettings(userId);
+    const provider = await batchProcessor.geminiAnalyzer.getProvider(userId);
+    
+    res.json({
+      selected: settings.llmProvider || null,
+      active: provider.describe(),
+      defaultProvider: getDefaultProviderName(),
+      providers: listProviders()
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching LLM settings:', error.message);
+    res.status(500).json({ error: 'Failed to fetch LLM settings' });
+  }
+});
+
+app.put('/api/settings/llm', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const { provider } = req.body;
+    
+    // null resets the user to the deployment default
+    if (provider !== null) {
+      if (!PROVIDER_NAMES.includes(provider)) {
+        return res.status(400).json({ error: `provider must be one of: ${PROVIDER_NAMES.join(', ')}` });
+      }
+      if (!createProvider(provider).isConfigured()) {
+        return res.status(400).json({ error: `Provider ${provider} is not configured on this server` });
+      }
+    }
+    
+    const settings = await mongoDb.updateUserSettings(userId, { llmProvider: provider });
+    res.json({ success: true, selected: settings.llmProvider });
+    
+  } catch (error) {
+    console.error('❌ Error updating LLM settings:', error.message);
+    res.status(500).json({ error: 'Failed to update LLM settings' });
+  }
+});
+
+// Cached LLM analyses are keyed by prompt and category-list version, so changing either stops
+// old entries matching; this clears them early (all of them, or ?stale=true for old versions only)
+app.delete('/api/analysis/cache', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const deleted = await batchProcessor.geminiAnalyzer.clearCache(userId, { staleOnly: req.query.stale === 'true' });
+    res.json({ success: true, deleted });
+    
+  } catch (error) {
+    console.error('❌ Error clearing analysis cache:', error.message);
+    res.status(500).json({ error: 'Failed to clear analysis cache' });
+  }
+});
+
+// Review queue: analyzed emails nobody has confirmed yet. With review mode on, only confirmed
+// emails are labeled in Gmail.
+app.get('/api/review', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const [emails, summary, settings, taxonomy] = await Promise.all([
+      mongoDb.getReviewQueue(userId, {
+        category: req.query.category,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
+      }),
+      mongoDb.getReviewQueueSummary(userId),
+      mongoDb.getUserSettings(userId),
+      batchProcessor.geminiAnalyzer.getTaxonomy(userId)
+    ]);
+    
+    res.json({
+      emails,
+      summary: summary.map(group => ({ category: group._id, count: group.count, flagged: group.flagged })),
+      categories: taxonomy.names,
+      reviewMode: Boolean(settings.reviewMode)
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching review queue:', error.message);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+app.post('/api/review/accept-category', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const { category } = req.body;
+    const taxonomy = await batchProcessor.geminiAnalyzer.getTaxonomy(userId);
+    
+    if (!taxonomy.has(category)) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+    
+    const accepted = await mongoDb.confirmEmailReviews(userId, { category });
+    res.json({ success: true, accepted });
+    
+  } catch (error) {
+    console.error('❌ Error accepting review category:', error.message);
+    res.status(500).json({ error: 'Failed to accept category' });
+  }
+});
+
+app.post('/api/review/:gmailId/accept', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const accepted = await mongoDb.confirmEmailReviews(userId, { gmailIds: [req.params.gmailId] });
+    
+    if (accepted === 0) {
+      return res.status(404).json({ error: 'Email is not in the review queue' });
+    }
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('❌ Error accepting review:', error.message);
+    res.status(500).json({ error: 'Failed to accept email' });
+  }
+});
+
+app.post('/api/review/:gmailId/correct', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const { category, label } = req.body;
+    const analyzer = batchProcessor.geminiAnalyzer;
+    const taxonomy = await analyzer.getTaxonomy(userId);
+    
+    if (!taxonomy.has(category)) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+    
+    // The label defaults to the category's Gmail label mapping, or the category name itself
+    const email = await mongoDb.correctEmailAnalysis(userId, req.params.gmailId, {
+      category,
+      label: label ? analyzer.cleanLabelName(label) : taxonomy.labelFor(category)
+    });
+    
+    if (!email) {
+      return res.status(404).json({ error: 'Email is not in the review queue' });
+    }
+    
+    // Corrections become few-shot examples and, once consistent, sender/domain overrides
+    const overrides = await analyzer.recordCorrection(userId, email);
+    
+    res.json({ success: true, email, overrides });
+    
+  } catch (error) {
+    console.error('❌ Error correcting review:', error.message);
+    res.status(500).json({ error: 'Failed to correct email' });
+  }
+});
+
+// Category taxonomy: each user may replace the default tree with their own. Category names are
+// '/'-separated paths, so clients must URL-encode them in routes.
+async function loadCategories(userId) {
+  const stored = await mongoDb.getTaxonomy(userId);
+  return stored ? stored.categories : DEFAULT_CATEGORIES;
+}
+
+function describeTaxonomy(categories, custom) {
+  const taxonomy = new Taxonomy(categories);
+  return { categories: taxonomy.categories, version: taxonomy.version, custom };
+}
+
+// Copies the editable fields, trimming them; gmailLabel null or '' removes the mapping
+function pickCategoryFields(body) {
+  const fields = {};
+  if (body.name !== undefined) {
+    fields.name = normalizeName(body.name);
+  }
+  if (body.description !== undefined) {
+    fields.description = typeof body.description === 'string' ? body.description.trim() : body.description;
+  }
+  if (body.gmailLabel !== undefined) {
+    fields.gmailLabel = typeof body.gmailLabel === 'string' ? body.gmailLabel.trim() || null : body.gmailLabel;
+  }
+  return fields;
+}
+
+app.get('/api/taxonomy', isAuthenticated, async (req, res) => {
+  try {
+    const stored = await mongoDb.getTaxonomy(req.user.profile.id);
+    res.json(describeTaxonomy(stored ? stored.categories : DEFAULT_CATEGORIES, Boolean(stored)));
+    
+  } catch (error) {
+    console.error('❌ Error fetching taxonomy:', error.message);
+    res.status(500).json({ error: 'Failed to fetch taxonomy' });
+  }
+});
+
+app.post('/api/taxonomy/categories', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const category = pickCategoryFields(req.body);
+    const categories = (await loadCategories(userId)).slice();
+    
+    // Keep subtrees together: insert after the last category sharing the new one's top level
+    const root = String(category.name || '').split('/')[0];
+    const sameRoot = categories.map(c => c.name.split('/')[0] === root);
+    const insertAt = sameRoot.lastIndexOf(true) >= 0
+      ? sameRoot.lastIndexOf(true) + 1
+      : categories.findIndex(c => c.name === FALLBACK_CATEGORY);
+    categories.splice(insertAt >= 0 ? insertAt : categories.length, 0, category);
+    
+    const validationError = validateCategories(categories);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const saved = await mongoDb.saveTaxonomy(userId, categories);
+    res.status(201).json(describeTaxonomy(saved.categories, true));
+    
+  } catch (error) {
+    console.error('❌ Error adding category:', error.message);
+    res.status(500).json({ error: 'Failed to add category' });
+  }
+});
+
+// Updates a category's description and Gmail label, or renames it together with its
+// subcategories; stored analyses, corrections and overrides follow the rename
+app.put('/api/taxonomy/categories/:name', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const { name } = req.params;
+    const changes = pickCategoryFields(req.body);
+    const categories = await loadCategories(userId);
+    
+    if (!categories.some(c => c.name === name)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    
+    if (name === FALLBACK_CATEGORY && changes.name !== undefined && changes.name !== name) {
+      return res.status(400).json({ error: `The "${FALLBACK_CATEGORY}" category cannot be renamed` });
+    }
+    
+    const newName = changes.name !== undefined ? changes.name : name;
+    const renames = [];
+    const updated = categories.map(category => {
+      const renamed = renamedPath(category.name, name, newName);
+      if (renamed === null) {
+        return category;
+      }
+      if (renamed !== category.name) {
+        renames.push({ from: category.name, to: renamed });
+      }
+      return category.name === name
+        ? { ...category, ...changes, name: renamed }
+        : { ...category, name: renamed };
+    });
+    
+    const validationError = validateCategories(updated);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const saved = await mongoDb.saveTaxonomy(userId, updated);
+    const emailsUpdated = renames.length > 0 ? await mongoDb.renameAnalysisCategories(userId, renames) : 0;
+    
+    res.json({ ...describeTaxonomy(saved.categories, true), renamed: renames, emailsUpdated });
+    
+  } catch (error) {
+    console.error('❌ Error updating category:', error.message);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Deletes a category without subcategories; its emails move to the nearest remaining ancestor
+app.delete('/api/taxonomy/categories/:name', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const { name } = req.params;
+    const categories = await loadCategories(userId);
+    
+    if (!categories.some(c => c.name === name)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    
+    if (name === FALLBACK_CATEGORY) {
+      return res.status(400).json({ error: `The "${FALLBACK_CATEGORY}" category cannot be deleted` });
+    }
+    
+    const taxonomy = new Taxonomy(categories);
+    if (taxonomy.childrenOf(name).length > 0) {
+      return res.status(409).json({ error: 'Delete or move its subcategories first' });
+    }
+    
+    const remaining = new Taxonomy(categories.filter(c => c.name !== name));
+    const target = remaining.resolve(name);
+    
+    const saved = await mongoDb.saveTaxonomy(userId, remaining.categories);
+    const emailsUpdated = await mongoDb.renameAnalysisCategories(userId, [{ from: name, to: target }]);
+    
+    res.json({ ...describeTaxonomy(saved.categories, true), movedTo: target, emailsUpdated });
+    
+  } catch (error) {
+    console.error('❌ Error deleting category:', error.message);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+// Back to the default tree; stored analyses keep their categories even where it lacks them
+app.delete('/api/taxonomy', isAuthenticated, async (req, res) => {
+  try {
+    await mongoDb.deleteTaxonomy(req.user.profile.id);
+    res.json(describeTaxonomy(DEFAULT_CATEGORIES, false));
+    
+  } catch (error) {
+    console.error('❌ Error resetting taxonomy:', error.message);
+    res.status(500).json({ error: 'Failed to reset taxonomy' });
+  }
+});
+
+// Sender and domain overrides learned from corrections; disabling one keeps it from coming back
+const OVERRIDE_TYPES = ['sender', 'domain'];
+
+app.get('/api/overrides', isAuthenticated, async (req, res) => {
+  try {
+    const overrides = await mongoDb.getCategoryOverrides(req.user.profile.id);
+    res.json(overrides);
+    
+  } catch (error) {
+    console.error('❌ Error fetching overrides:', error.message);
+    res.status(500).json({ error: 'Failed to fetch overrides' });
+  }
+});
+
+app.put('/api/overrides/:type/:value', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const { type, value } = req.params;
+    const { disabled } = req.body;
+    
+    if (!OVERRIDE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${OVERRIDE_TYPES.join(', ')}` });
+    }
+    
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be true or false' });
+    }
+    
+    const override = await mongoDb.updateCategoryOverride(userId, type, value.toLowerCase(), { disabled });
+    
+    if (!override) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    
+    res.json({ success: true, override });
+    
+  } catch (error) {
+    console.error('❌ Error updating override:', error.message);
+    res.status(500).json({ error: 'Failed to update override' });
+  }
+});
+
+// Categorization rules: each user may replace the default rules with their own list. Rules run
+// before or instead of the model depending on the rulesMode setting.
+async function loadRules(userId) {
+  const stored = await mongoDb.getRules(userId);
+  return stored ? stored.rules : DEFAULT_RULES;
+}
+
+function generateRuleId() {
+  return `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Copies the editable fields of a rule; the engine validates their shape
+function pickRuleFields(body) {
+  const fields = {};
+  ['priority', 'enabled', 'continueMatching', 'conditions', 'actions'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  if (body.name !== undefined) {
+    fields.name = typeof body.name === 'string' ? body.name.trim() : body.name;
+  }
+  return fields;
+}
+
+// Error message for a rule the engine accepts but whose category is not in the user's tree
+async function checkRuleCategory(userId, rule) {
+  const taxonomy = await batchProcessor.geminiAnalyzer.getTaxonomy(userId);
+  return rule.actions.category && !taxonomy.has(rule.actions.category)
+    ? `Unknown category "${rule.actions.category}"`
+    : null;
+}
+
+// Validates and stores a changed rule list, answering the request either way
+async function saveRuleList(res, userId, rules, rule, status = 200) {
+  const validationError = validateRules(rules) || (rule && await checkRuleCategory(userId, rule));
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const saved = await mongoDb.saveRules(userId, rules);
+  res.status(status).json({ rules: saved.rules, custom: true, ...(rule ? { rule } : {}) });
+}
+
+app.get('/api/rules', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const [stored, rulesMode] = await Promise.all([
+      mongoDb.getRules(userId),
+      batchProcessor.geminiAnalyzer.getRulesMode(userId)
+    ]);
+    
+    res.json({
+      rules: stored ? stored.rules : DEFAULT_RULES,
+      custom: Boolean(stored),
+      rulesMode,
+      fields: RULE_FIELDS,
+      operators: RULE_OPERATORS
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching rules:', error.message);
+    res.status(500).json({ error: 'Failed to fetch rules' });
+  }
+});
+
+app.post('/api/rules', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const rule = { id: generateRuleId(), enabled: true, priority: 0, ...pickRuleFields(req.body) };
+    
+    // Adding the first rule copies the defaults, so they keep running alongside it
+    await saveRuleList(res, userId, (await loadRules(userId)).concat([rule]), rule, 201);
+    
+  } catch (error) {
+    console.error('❌ Error adding rule:', error.message);
+    res.status(500).json({ error: 'Failed to add rule' });
+  }
+});
+
+app.put('/api/rules/:ruleId', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const rules = await loadRules(userId);
+    const existing = rules.find(rule => rule.id === req.params.ruleId);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    const rule = { ...existing, ...pickRuleFields(req.body) };
+    await saveRuleList(res, userId, rules.map(other => other.id === rule.id ? rule : other), rule);
+    
+  } catch (error) {
+    console.error('❌ Error updating rule:', error.message);
+    res.status(500).json({ error: 'Failed to update rule' });
+  }
+});
+
+app.delete('/api/rules/:ruleId', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const rules = await loadRules(userId);
+    
+    if (!rules.some(rule => rule.id === req.params.ruleId)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    await saveRuleList(res, userId, rules.filter(rule => rule.id !== req.params.ruleId));
+    
+  } catch (error) {
+    console.error('❌ Error deleting rule:', error.message);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
+// Back to the default rules
+app.delete('/api/rules', isAuthenticated, async (req, res) => {
+  try {
+    await mongoDb.deleteRules(req.user.profile.id);
+    res.json({ rules: DEFAULT_RULES, custom: false });
+    
+  } catch (error) {
+    console.error('❌ Error resetting rules:', error.message);
+    res.status(500).json({ error: 'Failed to reset rules' });
+  }
+});
+
+// Imports a Gmail mailFilters.xml export (sent as the raw XML body) as rules. Filters with
+// criteria or actions the rules cannot express are reported, and filters already present as
+// rules are left out. With ?dryRun=true nothing is saved.
+app.post('/api/rules/import', isAuthenticated, express.text({ type: ['application/xml', 'text/xml'], limit: '2mb' }), async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const taxonomy = await batchProcessor.geminiAnalyzer.getTaxonomy(userId);
+    
+    // A label that some category is mapped to (or named) brings that category along
+    const result = filtersToRules(req.body, {
+      categoryForLabel: label => taxonomy.names.find(name => taxonomy.labelFor(name) === label) || null
+    });
+    
+    if (!result) {
+      return res.status(400).json({ error: 'Not a Gmail filters file (expected mailFilters.xml)' });
+    }
+    
+    const rules = await loadRules(userId);
+    const ruleKey = rule => JSON.stringify([rule.conditions, rule.actions]);
+    const existing = new Set(rules.map(ruleKey));
+    const imported = [];
+    let duplicates = 0;
+    
+    result.rules.forEach(rule => {
+      if (existing.has(ruleKey(rule))) {
+        duplicates++;
+      } else {
+        existing.add(ruleKey(rule));
+        imported.push({ id: generateRuleId(), ...rule });
+      }
+    });
+    
+    const rulesMode = await batchProcessor.geminiAnalyzer.getRulesMode(userId);
+    const report = { filters: result.filters, imported, duplicates, unsupported: result.unsupported, rulesMode };
+    // Imported filters categorize ahead of the model only in 'before' and 'instead' modes
+    if (rulesMode === 'fallback') {
+      report.warning = 'Rules run only when the AI is unavailable, so imported filters will not categorize mail until rules run before the AI';
+    }
+    
+    if (req.query.dryRun === 'true') {
+      return res.json({ ...report, dryRun: true });
+    }
+    
+    const updated = rules.concat(imported);
+    const validationError = validateRules(updated);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const saved = imported.length > 0 ? await mongoDb.saveRules(userId, updated) : null;
+    console.log(`📥 Imported ${imported.length}/${result.filters} Gmail filters as rules`);
+    
+    res.json({ ...report, rules: saved ? saved.rules : rules, custom: imported.length > 0 || rules !== DEFAULT_RULES });
+    
+  } catch (error) {
+    console.error('❌ Error importing Gmail filters:', error.message);
+    res.status(500).json({ error: 'Failed to import Gmail filters' });
+  }
+});
+
+// The enabled rules as a mailFilters.xml file for Gmail's own filter import. Rules Gmail
+// search cannot express are listed in `skipped`.
+app.get('/api/rules/export', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const [rules, taxonomy] = await Promise.all([
+      loadRules(userId),
+      batchProcessor.geminiAnalyzer.getTaxonomy(userId)
+    ]);
+    
+    res.json(rulesToFilterXml(rules, { labelForCategory: category => taxonomy.labelFor(category) }));
+    
+  } catch (error) {
+    console.error('❌ Error exporting Gmail filters:', error.message);
+    res.status(500).json({ error: 'Failed to export Gmail filters' });
+  }
+});
+
+// Shows which rules match a message and the analysis they produce. The message is either a
+// stored email ({ gmailId }) or given inline ({ message: { from, subject, snippet, headers,
+// labels } }). A draft `rule` is tested on its own instead of the saved rules.
+app.post('/api/rules/test', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const analyzer = batchProcessor.geminiAnalyzer;
+    const { gmailId, message, rule } = req.body;
+    
+    let email;
+    if (gmailId) {
+      const [stored] = await mongoDb.getEmailsByIds(userId, [gmailId]);
+      if (!stored) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+      const labelNames = {};
+      (await mongoDb.getLabels(userId)).forEach(label => { labelNames[label.gmailLabelId] = label.name; });
+      email = analyzer.toRuleMessage(stored, labelNames);
+    } else if (message && typeof message === 'object') {
+      email = {
+        from: String(message.from || ''),
+        subject: String(message.subject || ''),
+        snippet: String(message.snippet || ''),
+        headers: message.headers && typeof message.headers === 'object' ? message.headers : {},
+        labels: Array.isArray(message.labels) ? message.labels : []
+      };
+    } else {
+      return res.status(400).json({ error: 'Provide a gmailId or a message' });
+    }
+    
+    let ruleSet;
+    if (rule) {
+      const draft = { id: 'draft', ...pickRuleFields(rule) };
+      const validationError = validateRule(draft);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      ruleSet = new RuleSet([draft]);
+    } else {
+      ruleSet = await analyzer.getRuleSet(userId);
+    }
+    
+    const evaluation = ruleSet.evaluate(email);
+    const taxonomy = await analyzer.getTaxonomy(userId);
+    
+    res.json({
+      message: email,
+      matches: evaluation.matches,
+      actions: evaluation.actions,
+      analysis: analyzer.ruleAnalysis(email, evaluation, taxonomy)
+    });
+    
+  } catch (error) {
+    console.error('❌ Error testing rules:', error.message);
+    res.status(500).json({ error: 'Failed to test rules' });
+  }
+});
+
+app.get('/api/settings/rules', isAuthenticated, async (req, res) => {
+  try {
+    const rulesMode = await batchProcessor.geminiAnalyzer.getRulesMode(req.user.profile.id);
+    res.json({ rulesMode });
+    
+  } catch (error) {
+    console.error('❌ Error fetching rules settings:', error.message);
+    res.status(500).json({ error: 'Failed to fetch rules settings' });
+  }
+});
+
+app.put('/api/settings/rules', isAuthenticated, async (req, res) => {
+  try {
+    const { rulesMode } = req.body;
+    
+    if (!RULES_MODES.includes(rulesMode)) {
+      return res.status(400).json({ error: `rulesMode must be one of: ${RULES_MODES.join(', ')}` });
+    }
+    
+    const settings = await mongoDb.updateUserSettings(req.user.profile.id, { rulesMode });
+    res.json({ success: true, rulesMode: settings.rulesMode });
+    
+  } catch (error) {
+    console.error('❌ Error updating rules settings:', error.message);
+    res.status(500).json({ error: 'Failed to update rules settings' });
+  }
+});
+
+app.get('/api/settings/review', isAuthenticated, async (req, res) => {
+  try {
+    const settings = await mongoDb.getUserSettings(req.user.profile.id);
+    res.json({ reviewMode: Boolean(settings.reviewMode) });
+    
+  } catch (error) {
+    console.error('❌ Error fetching review settings:', error.message);
+    res.status(500).json({ error: 'Failed to fetch review settings' });
+  }
+});
+
+app.put('/api/settings/review', isAuthenticated, async (req, res) => {
+  try {
+    const { reviewMode } = req.body;
+    
+    if (typeof reviewMode !== 'boolean') {
+      return res.status(400).json({ error: 'reviewMode must be true or false' });
+    }
+    
+    const settings = await mongoDb.updateUserSettings(req.user.profile.id, { reviewMode });
+    res.json({ success: true, reviewMode: settings.reviewMode });
+    
+  } catch (error) {
+    console.error('❌ Error updating review settings:', error.message);
+    res.status(500).json({ error: 'Failed to update review settings' });
+  }
+});
+
+// Analytics and reporting routes
+app.get('/api/analytics/overview', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    
+    const [emailStats, categoryBreakdown, labels] = await Promise.all([
+      mongoDb.getEmailStats(userId),
+      mongoDb.getCategoryBreakdown(userId),
+      mongoDb.getLabels(userId)
+    ]);
+    
+    res.json({
+      emailStats,
+      categoryBreakdown,
+      totalLabels: labels.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Error getting analytics:', error.message);
+    res.status(500).json({ error: 'Failed to get analytics' });
+  }
+});
+
+app.get('/api/analytics/suggestions', isAuthenticated, async (req, res) => {
+  try {
+    const userId = req.user.profile.id;
+    const suggestions = await batchProcessor.geminiAnalyzer.suggestLabelOrganization(userId);
+    res.json(await batchProcessor.storeLabelSuggestions(userId, suggestions));
+    
+  } catch (error) {
+    console.error('❌ Error getting suggestions:', error.message);
+    res.status(500).json({ error: 'Failed to get suggestions' });
+  }
+});
+
+// Serve static files
+// Dashboard route (removed authentication - moved below)
+
+app.get('/login', (req, res) => {
+  res.sendFile(__dirname + '/login.html');
+});
+
+// Health check
+app.get('/health', async (req, res) => {
+  try {
+    const mongoConnected = await mongoDb.connect();
+    res.json({ 
+      status: 'healthy', 
+      mongodb: mongoConnected ? 'connected' : 'disconnected',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      status: 'unhealthy', 
+      error: error.message 
     });
   }
 });
@@ -443,11 +1918,16 @@ async function startServer() {
       throw new Error('Failed to connect to MongoDB');
     }
     
+    // Start the batch queue worker (also recovers jobs cut off by a restart)
+    await batchWorker.start();
+    batchScheduler.start();
+    
     app.listen(PORT, () => {
       console.log(`🚀 Enhanced Gmail Automation Server running on http://localhost:${PORT}`);
       console.log(`📊 MongoDB Integration: Enabled`);
       console.log(`🧠 Enhanced Gemini Analysis: Enabled`);
       console.log(`🔄 Batch Processing: Enabled`);
+      console.log(`⏰ Scheduled Batches: Enabled`);
       console.log(`🌐 Dashboard: http://localhost:${PORT}/dashboard`);
     });
     
@@ -460,6 +1940,8 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🔄 Shutting down gracefully...');
+  batchScheduler.stop();
+  batchWorker.stop();
   await mongoDb.close();
   process.exit(0);
 });
@@ -5,8 +5,21 @@ const session = require('express-session');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const { google } = require('googleapis');
-const https = require('https');
 const db = require('./database');
+const { wrapGmail } = require('./gmail-helpers');
+const { createProvider } = require('./llm-providers');
+const {
+  OVERRIDE_CONFIDENCE,
+  parseSender,
+  isPublicMailDomain,
+  deriveOverride,
+  selectFewShotExamples,
+  formatFewShotExamples
+} = require('./correction-learning');
+const { FALLBACK_CATEGORY, Taxonomy } = require('./taxonomy');
+const { RuleSet } = require('./rules-engine');
+const { FETCH_MODES, DEFAULT_FETCH_MODE, extractBody } = require('./mime-parser');
+const { MAX_SEARCH_RESULTS, DEFAULT_SEARCH_RESULTS, parseSearchQuery, usedOperators, isEmptySearch } = require('./search-query');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,19 +27,25 @@ const PORT = process.env.PORT || 3000;
 // Initialize database
 db.initDatabase();
 
-// Gemini API configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const USE_GEMINI = process.env.USE_GEMINI === 'true';
-const VALID_CATEGORIES = [
-  'Finance/Investments', 'Finance/Banking', 'Finance/E-commerce', 
-  'Finance/Billing', 'Finance/General', 'Work', 'Shopping', 
-  'Personal', 'Promotions', 'Other'
-];
+// LLM provider (LLM_PROVIDER, default gemini); USE_GEMINI still enables it for older .env files
+const llm = createProvider();
+const LLM_ENABLED = (process.env.USE_LLM === 'true' || process.env.USE_GEMINI === 'true') && llm.isConfigured();
+// This server is single-user and always uses the default category tree and rules
+const taxonomy = new Taxonomy();
+const rules = new RuleSet();
 
-// Rate limiting for Gemini API
-let geminiCallsThisMinute = 0;
+// Rate limiting for LLM calls
+let llmCallsThisMinute = 0;
 let lastMinuteReset = Date.now();
-const MAX_GEMINI_CALLS_PER_MINUTE = 10;
+const MAX_LLM_CALLS_PER_MINUTE = 10;
+
+// Bump when the categorization prompt changes; stored with every LLM categorization
+const CATEGORIZE_PROMPT_VERSION = 'categorize-v5';
+// Longest part of an email body put into the categorization prompt
+const PROMPT_BODY_CHARS = 2000;
+
+// Provenance for categories a user picked by hand
+const USER_PROVENANCE = { confidence: 1, source: 'user', model: null, promptVersion: null };
 
 // Middleware
 app.use(cors({
@@ -75,8 +94,8 @@ passport.use(new GoogleStrategy({
 passport.serializeUser((user, done) => done(null, user));
 passport.deserializeUser((user, done) => done(null, user));
 
-// Gmail API setup
-const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+// Gmail API setup (calls are throttled to the per-user quota and retried on 429/5xx)
+const gmail = wrapGmail(google.gmail({ version: 'v1', auth: oauth2Client }));
 
 // Middleware to check if user is authenticated
 const isAuthenticated = (req, res, next) => {
@@ -145,6 +164,10 @@ app.get('/api/emails', isAuthenticated, async (req, res) => {
     // Get pagination parameters
     const pageToken = req.query.pageToken || null;
     const maxResults = parseInt(req.query.maxResults) || 20;
+    const fetchMode = parseFetchMode(req.query.fetchMode);
+    if (!fetchMode) {
+      return res.status(400).json({ error: `fetchMode must be one of: ${FETCH_MODES.join(', ')}` });
+    }
     
     console.log(`📄 Fetching page with token: ${pageToken || 'first'}, maxResults: ${maxResults}`);
     
@@ -174,12 +197,7 @@ app.get('/api/emails', isAuthenticated, async (req, res) => {
 
     for (const message of messages) {
       try {
-        const msg = await gmail.users.messages.get({
-          userId: 'me',
-          id: message.id,
-          format: 'metadata',
-          metadataHeaders: ['Subject', 'From', 'Date', 'To']
-        });
+        const msg = await getMessage(message.id, fetchMode, ['Subject', 'From', 'Date', 'To']);
         
         // Extract email data
         const headers = msg.data.payload.headers;
@@ -195,7 +213,8 @@ app.get('/api/emails', isAuthenticated, async (req, res) => {
           from: fromHeader ? fromHeader.value : 'Unknown Sender',
           to: toHeader ? toHeader.value : '',
           date: dateHeader ? dateHeader.value : '',
-          snippet: msg.data.snippet || ''
+          snippet: msg.data.snippet || '',
+          body: msg.data.body
         };
         
         fullMessages.push(msg.data);
@@ -314,212 +333,183 @@ app.post('/api/labels', isAuthenticated, async (req, res) => {
   }
 });
 
-// Gemini LLM categorization function
-async function categorizeEmailWithGemini(subject, from) {
-  return new Promise((resolve, reject) => {
-    // Check rate limiting
-    const now = Date.now();
-    if (now - lastMinuteReset > 60000) {
-      geminiCallsThisMinute = 0;
-      lastMinuteReset = now;
-    }
-    
-    if (geminiCallsThisMinute >= MAX_GEMINI_CALLS_PER_MINUTE) {
-      console.log('🚫 Gemini rate limit reached, using fallback');
-      resolve(categorizeEmail(subject, from));
-      return;
-    }
-    
-    geminiCallsThisMinute++;
-    
-    // Prepare the prompt
-    const prompt = `You are an email categorizer. Return ONLY ONE category from this exact list:
-Finance/Investments, Finance/Banking, Finance/E-commerce, Finance/Billing, Finance/General, Work, Shopping, Personal, Promotions, Other
+// fetchMode from a request, or null when it is not one this server supports
+function parseFetchMode(value) {
+  if (value === undefined) {
+    return DEFAULT_FETCH_MODE;
+  }
+  return FETCH_MODES.indexOf(value) >= 0 ? value : null;
+}
 
-Email Subject: ${subject}
-Email From: ${from}
+// Gmail message with only the given headers. In 'full' mode the message is downloaded whole
+// and its MIME tree replaced by the plain-text body in `msg.data.body`.
+async function getMessage(id, fetchMode, metadataHeaders) {
+  if (fetchMode !== 'full') {
+    return gmail.users.messages.get({ userId: 'me', id: id, format: 'metadata', metadataHeaders: metadataHeaders });
+  }
+  
+  const msg = await gmail.users.messages.get({ userId: 'me', id: id, format: 'full' });
+  const payload = msg.data.payload;
+  msg.data.payload = {
+    mimeType: payload.mimeType,
+    headers: payload.headers.filter(h => metadataHeaders.indexOf(h.name) >= 0)
+  };
+  msg.data.body = extractBody(payload).text;
+  return msg;
+}
 
-Category:`;
+// LLM categorization function; falls back to the rules on any failure.
+// `body` is the plain-text body of an email fetched in full, when there is one.
+// Resolves with { category, confidence, source, model, promptVersion }
+async function categorizeEmailWithLLM(subject, from, body) {
+  const override = findOverride(from);
+  if (override) {
+    return override;
+  }
+  
+  // Check rate limiting
+  const now = Date.now();
+  if (now - lastMinuteReset > 60000) {
+    llmCallsThisMinute = 0;
+    lastMinuteReset = now;
+  }
+  
+  if (llmCallsThisMinute >= MAX_LLM_CALLS_PER_MINUTE) {
+    console.log('🚫 LLM rate limit reached, using fallback');
+    return categorizeEmail(subject, from);
+  }
+  
+  llmCallsThisMinute++;
+  
+  // Prepare the prompt, with the user's most similar past corrections as examples
+  const examples = selectFewShotExamples(db.getCorrections(), [{ subject, from }]);
+  const prompt = `You are an email categorizer. Return ONLY ONE category, the most specific one that fits, from this exact list:
+${taxonomy.describe()}
 
-    // Prepare the request data
-    const requestData = JSON.stringify({
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }]
-    });
+Answer on one line as: <category> | <confidence from 0 to 1>
 
-    const options = {
-      hostname: 'generativelanguage.googleapis.com',
-      path: `/v1beta/models/gemini-pro:generateContent?key=${GEMINI_API_KEY}`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(requestData)
-      },
-      timeout: 5000 // 5 second timeout
-    };
+${formatFewShotExamples(examples)}Email Subject: ${subject}
+Email From: ${from}
+${body ? `Email Body:\n${body.substring(0, PROMPT_BODY_CHARS)}\n` : ''}
+Category:`;
 
-    console.log('🤖 Calling Gemini API for categorization...');
+  console.log(`🤖 Calling ${llm.name} for categorization...`);
+  
+  try {
+    const answer = (await llm.generate(prompt)).split('\n')[0]; // Take first line
+    const [categoryPart, confidencePart] = answer.split('|');
+    
+    // Clean up the response
+    let category = categoryPart.trim();
+    category = category.replace(/^Category:\s*/i, ''); // Remove "Category:" prefix
+    category = category.replace(/^["']|["']$/g, ''); // Remove quotes
+    
+    // Models answer with 0-1 or a percentage; a missing value counts as medium confidence
+    let confidence = parseFloat(confidencePart);
+    confidence = isNaN(confidence) || confidence < 0 ? 0.5 : Math.min(1, confidence > 1 ? confidence / 100 : confidence);
+    
+    // Validate category
+    if (taxonomy.has(category)) {
+      console.log(`✅ ${llm.name} categorized as: ${category} (confidence: ${confidence})`);
+      return {
+        category,
+        confidence,
+        source: llm.name,
+        model: llm.model,
+        promptVersion: CATEGORIZE_PROMPT_VERSION
+      };
+    }
     
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          
-          if (response.candidates && response.candidates[0] && response.candidates[0].content) {
-            let category = response.candidates[0].content.parts[0].text.trim();
-            
-            // Clean up the response
-            category = category.split('\n')[0].trim(); // Take first line
-            category = category.replace(/^Category:\s*/i, ''); // Remove "Category:" prefix
-            category = category.replace(/^["']|["']$/g, ''); // Remove quotes
-            
-            // Validate category
-            if (VALID_CATEGORIES.includes(category)) {
-              console.log(`✅ Gemini categorized as: ${category}`);
-              resolve(category);
-            } else {
-              console.log(`⚠️ Gemini returned invalid category "${category}", using fallback`);
-              resolve(categorizeEmail(subject, from));
-            }
-          } else {
-            console.log('⚠️ Gemini returned invalid response, using fallback');
-            resolve(categorizeEmail(subject, from));
-          }
-        } catch (error) {
-          console.log('❌ Error parsing Gemini response, using fallback:', error.message);
-          resolve(categorizeEmail(subject, from));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      console.log('❌ Gemini API request failed, using fallback:', error.message);
-      resolve(categorizeEmail(subject, from));
-    });
-
-    req.on('timeout', () => {
-      console.log('❌ Gemini API request timed out, using fallback');
-      req.destroy();
-      resolve(categorizeEmail(subject, from));
-    });
-
-    req.write(requestData);
-    req.end();
-  });
+    console.log(`⚠️ ${llm.name} returned invalid category "${category}", using fallback`);
+    return categorizeEmail(subject, from);
+  } catch (error) {
+    console.log(`❌ ${llm.name} request failed, using fallback:`, error.message);
+    return categorizeEmail(subject, from);
+  }
 }
 
-// Enhanced categorization rules with domain-based matching and hierarchical labels
-function categorizeEmail(subject, from) {
-  const subjectLower = subject.toLowerCase();
-  const fromLower = from.toLowerCase();
-  
-  // Financial domains for high-confidence matching
-  const financialDomains = [
-    'groww.in', 'angelbroking.in', 'axisbank.com', 'hdfcbank.com', 'icicibank.com',
-    'sbi.co.in', 'kotak.com', 'nsdl.co.in', 'cdslindia.com', 'bseindia.com',
-    'nseindia.com', 'camsonline.com', 'karvy.com', 'zerodha.com', 'upstox.com',
-    'paytm.com', 'phonepe.com', 'googlepay.com', 'amazon.in', 'flipkart.com'
-  ];
-  
-  // Check if sender is from financial domain
-  const isFinancialSender = financialDomains.some(domain => fromLower.includes(domain));
+// Category from a sender or domain override learned from corrections, or null
+function findOverride(from) {
+  const sender = parseSender(from);
+  const override = db.findCategoryOverride(sender.address, sender.domain);
   
-  // Investment-specific keywords
-  const investmentKeywords = ['sip', 'mutual fund', 'demat', 'trading', 'portfolio', 'stock', 'equity', 'nav', 'redemption', 'purchase'];
-  
-  // Banking-specific keywords  
-  const bankingKeywords = ['statement', 'credit card', 'debit card', 'account', 'balance', 'transaction', 'emi', 'instalment'];
+  if (!override) {
+    return null;
+  }
   
-  // E-commerce keywords
-  const ecommerceKeywords = ['order', 'delivery', 'shipment', 'return', 'refund', 'invoice', 'purchase'];
+  console.log(`📌 ${override.type} override for ${override.value} → ${override.category}`);
+  return {
+    category: override.category,
+    confidence: OVERRIDE_CONFIDENCE,
+    source: 'override',
+    model: null,
+    promptVersion: null
+  };
+}
+
+// Stores a manual recategorization as an example and re-derives the sender and domain overrides
+function learnFromCorrection(email, category) {
+  const sender = parseSender(email.from_email);
   
-  // Calculate category score
-  let category = 'Other';
-  let score = 0;
+  db.saveCorrection({
+    emailId: email.id,
+    from: email.from_email,
+    subject: email.subject,
+    senderAddress: sender.address,
+    senderDomain: sender.domain,
+    originalCategory: email.category,
+    category
+  });
   
-  // Domain-based matching (highest confidence)
-  if (isFinancialSender) {
-    score += 3;
-    
-    if (investmentKeywords.some(keyword => subjectLower.includes(keyword))) {
-      category = 'Finance/Investments';
-      score += 2;
-    } else if (bankingKeywords.some(keyword => subjectLower.includes(keyword))) {
-      category = 'Finance/Banking'; 
-      score += 2;
-    } else if (ecommerceKeywords.some(keyword => subjectLower.includes(keyword))) {
-      category = 'Finance/E-commerce';
-      score += 2;
-    } else {
-      category = 'Finance/General';
-    }
+  db.setCategoryOverride('sender', sender.address, deriveOverride(db.getCorrections({ senderAddress: sender.address, limit: 50 })));
+  if (!isPublicMailDomain(sender.domain)) {
+    db.setCategoryOverride('domain', sender.domain, deriveOverride(db.getCorrections({ senderDomain: sender.domain, limit: 50 })));
   }
-  
-  // Subject-based matching (medium confidence)
-  else if (subjectLower.includes('invoice') || subjectLower.includes('payment') || subjectLower.includes('bill')) {
-    category = 'Finance/Billing';
-    score += 2;
-  } else if (subjectLower.includes('meeting') || subjectLower.includes('project') || fromLower.includes('company')) {
-    category = 'Work';
-    score += 2;
-  } else if (subjectLower.includes('buy') || subjectLower.includes('order') || subjectLower.includes('shop')) {
-    category = 'Shopping';
-    score += 2;
-  } else if (subjectLower.includes('family') || subjectLower.includes('friend')) {
-    category = 'Personal';
-    score += 2;
-  } else if (subjectLower.includes('newsletter') || subjectLower.includes('promotion')) {
-    category = 'Promotions';
-    score += 2;
+}
+
+// Categorization with the default rules (see rules-engine.js). Returns the same shape as
+// categorizeEmailWithLLM, with the matching rule's confidence
+function categorizeEmail(subject, from) {
+  const override = findOverride(from);
+  if (override) {
+    return override;
   }
   
-  // Special cases for your examples
-  if (subjectLower.includes('sip') || subjectLower.includes('instalment')) {
-    category = 'Finance/Investments';
-    score += 3;
-  } else if (subjectLower.includes('credit card statement')) {
-    category = 'Finance/Banking';
-    score += 3;
-  } else if (subjectLower.includes('e-voting') || subjectLower.includes('itc limited')) {
-    category = 'Finance/Investments';
-    score += 3;
-  }
+  const { actions, rule } = rules.evaluate({ subject, from });
+  const category = taxonomy.resolve(actions.category || FALLBACK_CATEGORY);
   
   // Log categorization for debugging
-  console.log(`🏷️ Rule-based categorization: "${subject}" → ${category} (score: ${score})`);
+  console.log(`🏷️ Rule-based categorization: "${subject}" → ${category} (rule: ${rule ? rule.name : 'none'})`);
   
-  return category;
+  return {
+    category,
+    // Nothing matched at all is the weakest signal
+    confidence: actions.category ? actions.confidence : 0.2,
+    source: 'rules',
+    model: null,
+    promptVersion: null
+  };
 }
 
-// AI-powered categorization endpoint
 app.post('/api/categorize-email', isAuthenticated, async (req, res) => {
   try {
-    const { subject, from } = req.body;
+    const { subject, from, body } = req.body;
     
     console.log('🤖 Categorizing email:', { subject, from });
     
-    let category;
+    let result;
     
-    // Use Gemini AI if enabled and available
-    if (USE_GEMINI && GEMINI_API_KEY) {
-      console.log('🧠 Using Gemini AI for categorization...');
-      category = await categorizeEmailWithGemini(subject, from);
+    // Use the LLM if enabled and available
+    if (LLM_ENABLED) {
+      console.log(`🧠 Using ${llm.name} for categorization...`);
+      result = await categorizeEmailWithLLM(subject, from, body);
     } else {
       console.log('📋 Using rule-based categorization...');
-      category = categorizeEmail(subject, from);
+      result = categorizeEmail(subject, from);
     }
 
-    console.log(`✅ Final categorization: ${category}`);
-    res.json({ category, source: USE_GEMINI && GEMINI_API_KEY ? 'gemini' : 'rules' });
+    console.log(`✅ Final categorization: ${result.category} (${result.source})`);
+    res.json(result);
   } catch (error) {
     console.error('❌ Error categorizing email:', error);
     res.status(500).json({ error: 'Failed to categorize email' });
@@ -539,35 +529,15 @@ app.post('/api/apply-label', isAuthenticated, async (req, res) => {
       refresh_token: req.user.refreshToken 
     });
     
+    // Label changes made by this request are journaled under one id for rollback
+    const journalId = generateJournalId('request');
+    
     // Check if label exists, create if not
     let labelId;
     try {
-      const labelsResponse = await gmail.users.labels.list({
-        userId: 'me'
-      });
-      
-      const existingLabel = labelsResponse.data.labels.find(label => label.name === category);
-      
-      if (existingLabel) {
-        labelId = existingLabel.id;
-        console.log(`✅ Found existing label: ${category} (${labelId})`);
-      } else {
-        // Create new label
-        const createResponse = await gmail.users.labels.create({
-          userId: 'me',
-          requestBody: {
-            name: category,
-            labelListVisibility: 'labelShow',
-            messageListVisibility: 'show'
-          }
-        });
-        
-        labelId = createResponse.data.id;
-        console.log(`✅ Created new label: ${category} (${labelId})`);
-        
-        // Save to database
-        db.saveLabel(createResponse.data);
-      }
+      const label = await findOrCreateLabel(category, journalId);
+      labelId = label.id;
+      console.log(`✅ ${label.created ? 'Created new' : 'Found existing'} label: ${category} (${labelId})`);
     } catch (labelError) {
       console.error('❌ Error finding/creating label:', labelError.message);
       return res.status(500).json({ error: 'Failed to create/find label' });
@@ -575,25 +545,20 @@ app.post('/api/apply-label', isAuthenticated, async (req, res) => {
     
     // Apply label to email
     try {
-      await gmail.users.messages.modify({
-        userId: 'me',
-        id: emailId,
-        requestBody: {
-          addLabelIds: [labelId]
-        }
-      });
+      await addLabelWithJournal(emailId, labelId, category, journalId);
       
       console.log(`✅ Applied label "${category}" to email ${emailId}`);
       
       // Update database
-      db.updateEmailCategory(emailId, category);
+      db.updateEmailCategory(emailId, category, USER_PROVENANCE);
       db.markEmailAsSynced(emailId);
       
       res.json({ 
         success: true, 
         message: `Applied label "${category}" to email`,
         labelId: labelId,
-        category: category
+        category: category,
+        batchId: journalId
       });
       
     } catch (applyError) {
@@ -612,17 +577,27 @@ app.post('/api/bulk-organize', isAuthenticated, async (req, res) => {
   try {
     console.log('🔄 Starting bulk email organization...');
     
+    const fetchMode = parseFetchMode(req.body.fetchMode);
+    if (!fetchMode) {
+      return res.status(400).json({ error: `fetchMode must be one of: ${FETCH_MODES.join(', ')}` });
+    }
+    
     // Set OAuth credentials from session
     oauth2Client.setCredentials({ 
       access_token: req.user.accessToken,
       refresh_token: req.user.refreshToken 
     });
     
-    // Fetch more emails for bulk processing (up to 100)
+    // Fetch more emails for bulk processing (up to 100), skipping ones already in a category
+    // label; Gmail search writes spaces in label names as hyphens
     const response = await gmail.users.messages.list({
       userId: 'me',
       maxResults: 100,
-      q: 'in:inbox -label:Finance/Investments -label:Finance/Banking -label:Work -label:Shopping -label:Personal -label:Promotions'
+      q: ['in:inbox'].concat(
+        taxonomy.names
+          .filter(name => name !== FALLBACK_CATEGORY)
+          .map(name => `-label:${taxonomy.labelFor(name).replace(/\s+/g, '-')}`)
+      ).join(' ')
     });
 
     const messages = response.data.messages || [];
@@ -645,12 +620,7 @@ app.post('/api/bulk-organize', isAuthenticated, async (req, res) => {
       for (const message of batch) {
         try {
           // Get email details
-          const msg = await gmail.users.messages.get({
-            userId: 'me',
-            id: message.id,
-            format: 'metadata',
-            metadataHeaders: ['Subject', 'From', 'Date']
-          });
+          const msg = await getMessage(message.id, fetchMode, ['Subject', 'From', 'Date']);
           
           const headers = msg.data.payload.headers;
           const subjectHeader = headers.find(h => h.name === 'Subject');
@@ -660,11 +630,11 @@ app.post('/api/bulk-organize', isAuthenticated, async (req, res) => {
           const from = fromHeader ? fromHeader.value : 'Unknown';
           
           // Categorize using AI or rules
-          let category;
-          if (USE_GEMINI && GEMINI_API_KEY && geminiCallsThisMinute < MAX_GEMINI_CALLS_PER_MINUTE) {
-            category = await categorizeEmailWithGemini(subject, from);
+          let categorization;
+          if (LLM_ENABLED && llmCallsThisMinute < MAX_LLM_CALLS_PER_MINUTE) {
+            categorization = await categorizeEmailWithLLM(subject, from, msg.data.body);
           } else {
-            category = categorizeEmail(subject, from);
+            categorization = categorizeEmail(subject, from);
           }
           
           // Save to database
@@ -675,7 +645,8 @@ app.post('/api/bulk-organize', isAuthenticated, async (req, res) => {
             from: from,
             date: headers.find(h => h.name === 'Date') ? headers.find(h => h.name === 'Date').value : '',
             snippet: msg.data.snippet || '',
-            category: category,
+            body: msg.data.body,
+            ...categorization,
             processed: true,
             synced: false
           };
@@ -686,8 +657,7 @@ app.post('/api/bulk-organize', isAuthenticated, async (req, res) => {
             emailId: msg.data.id,
             subject: subject,
             from: from,
-            category: category,
-            source: USE_GEMINI && GEMINI_API_KEY ? 'gemini' : 'rules'
+            ...categorization
           });
           
         } catch (error) {
@@ -817,6 +787,7 @@ app.post('/api/bulk-operations', isAuthenticated, async (req, res) => {
     
     const results = [];
     const batchSize = 5; // Process in batches to respect rate limits
+    const journalId = generateJournalId('request');
     
     for (let i = 0; i < emailIds.length; i += batchSize) {
       const batch = emailIds.slice(i, i + batchSize);
@@ -827,7 +798,7 @@ app.post('/api/bulk-operations', isAuthenticated, async (req, res) => {
           let result;
           
           if (operation === 'applyLabel') {
-            result = await applyLabelToEmail(emailId, category);
+            result = await applyLabelToEmail(emailId, category, journalId);
           } else if (operation === 'categorize') {
             result = await categorizeEmailById(emailId);
           } else {
@@ -863,6 +834,7 @@ app.post('/api/bulk-operations', isAuthenticated, async (req, res) => {
     
     res.json({
       operation: operation,
+      batchId: journalId,
       total: emailIds.length,
       successful: successCount,
       failed: failCount,
@@ -876,48 +848,21 @@ app.post('/api/bulk-operations', isAuthenticated, async (req, res) => {
 });
 
 // Helper function to apply label to email
-async function applyLabelToEmail(emailId, category) {
+async function applyLabelToEmail(emailId, category, journalId) {
   // Check if label exists, create if not
   let labelId;
   try {
-    const labelsResponse = await gmail.users.labels.list({
-      userId: 'me'
-    });
-    
-    const existingLabel = labelsResponse.data.labels.find(label => label.name === category);
-    
-    if (existingLabel) {
-      labelId = existingLabel.id;
-    } else {
-      // Create new label
-      const createResponse = await gmail.users.labels.create({
-        userId: 'me',
-        requestBody: {
-          name: category,
-          labelListVisibility: 'labelShow',
-          messageListVisibility: 'show'
-        }
-      });
-      
-      labelId = createResponse.data.id;
-      db.saveLabel(createResponse.data);
-    }
+    labelId = (await findOrCreateLabel(category, journalId)).id;
   } catch (labelError) {
     throw new Error('Failed to create/find label');
   }
   
   // Apply label to email
   try {
-    await gmail.users.messages.modify({
-      userId: 'me',
-      id: emailId,
-      requestBody: {
-        addLabelIds: [labelId]
-      }
-    });
+    await addLabelWithJournal(emailId, labelId, category, journalId);
     
     // Update database
-    db.updateEmailCategory(emailId, category);
+    db.updateEmailCategory(emailId, category, USER_PROVENANCE);
     db.markEmailAsSynced(emailId);
     
     return { category: category, labelId: labelId };
@@ -926,37 +871,143 @@ async function applyLabelToEmail(emailId, category) {
   }
 }
 
+// Journal ids tag every Gmail label change so /api/batch/rollback can undo it
+function generateJournalId(prefix) {
+  return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Finds a Gmail label by name, creating (and journaling) it if missing
+async function findOrCreateLabel(name, journalId) {
+  const labelsResponse = await gmail.users.labels.list({
+    userId: 'me'
+  });
+  
+  const existingLabel = labelsResponse.data.labels.find(label => label.name === name);
+  if (existingLabel) {
+    return { id: existingLabel.id, created: false };
+  }
+  
+  const createResponse = await gmail.users.labels.create({
+    userId: 'me',
+    requestBody: {
+      name: name,
+      labelListVisibility: 'labelShow',
+      messageListVisibility: 'show'
+    }
+  });
+  
+  db.saveLabel(createResponse.data);
+  db.journalLabelChange({
+    batchId: journalId,
+    action: 'createLabel',
+    labelId: createResponse.data.id,
+    labelName: name
+  });
+  
+  return { id: createResponse.data.id, created: true };
+}
+
+// Adds a label to one message; only journaled if the message did not have it yet
+async function addLabelWithJournal(emailId, labelId, labelName, journalId) {
+  const msg = await gmail.users.messages.get({
+    userId: 'me',
+    id: emailId,
+    format: 'minimal'
+  });
+  
+  if ((msg.data.labelIds || []).indexOf(labelId) !== -1) {
+    return false;
+  }
+  
+  await gmail.users.messages.modify({
+    userId: 'me',
+    id: emailId,
+    requestBody: {
+      addLabelIds: [labelId]
+    }
+  });
+  
+  db.journalLabelChange({
+    batchId: journalId,
+    action: 'addLabel',
+    emailId: emailId,
+    labelId: labelId,
+    labelName: labelName
+  });
+  
+  return true;
+}
+
+function isNotFound(error) {
+  return String(error.code) === '404' || (error.response && error.response.status === 404);
+}
+
 // Helper function to categorize email by ID
 async function categorizeEmailById(emailId) {
   try {
-    const msg = await gmail.users.messages.get({
-      userId: 'me',
-      id: emailId,
-      format: 'metadata',
-      metadataHeaders: ['Subject', 'From', 'Date']
-    });
+    const msg = await getMessage(emailId, DEFAULT_FETCH_MODE, ['Subject', 'From', 'Date']);
     
     const headers = msg.data.payload.headers;
     const subject = headers.find(h => h.name === 'Subject') ? headers.find(h => h.name === 'Subject').value : 'No Subject';
     const from = headers.find(h => h.name === 'From') ? headers.find(h => h.name === 'From').value : 'Unknown';
     
     // Categorize using AI or rules
-    let category;
-    if (USE_GEMINI && GEMINI_API_KEY && geminiCallsThisMinute < MAX_GEMINI_CALLS_PER_MINUTE) {
-      category = await categorizeEmailWithGemini(subject, from);
+    let categorization;
+    if (LLM_ENABLED && llmCallsThisMinute < MAX_LLM_CALLS_PER_MINUTE) {
+      categorization = await categorizeEmailWithLLM(subject, from, msg.data.body);
     } else {
-      category = categorizeEmail(subject, from);
+      categorization = categorizeEmail(subject, from);
     }
     
     // Update database
-    db.updateEmailCategory(emailId, category);
+    db.updateEmailCategory(emailId, categorization.category, categorization);
     
-    return { category: category };
+    return categorization;
   } catch (error) {
     throw new Error('Failed to categorize email');
   }
 }
 
+// Search operators the SQLite emails table has no data for
+const UNSEARCHABLE_OPERATORS = ['label', 'sentiment', 'has'];
+
+// Search over stored emails with Gmail-like operators (see search-query.js). Results have the
+// same shape as on the MongoDB server.
+app.get('/api/search', isAuthenticated, (req, res) => {
+  try {
+    const search = parseSearchQuery(req.query.q);
+    if (search.error) {
+      return res.status(400).json({ error: search.error });
+    }
+    if (isEmptySearch(search)) {
+      return res.status(400).json({ error: 'Provide a search query in q' });
+    }
+    
+    const unsupported = usedOperators(search).filter(operator => UNSEARCHABLE_OPERATORS.indexOf(operator) >= 0);
+    if (unsupported.length > 0) {
+      return res.status(400).json({ error: `${unsupported[0]}: is not supported by this server` });
+    }
+    
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_SEARCH_RESULTS, MAX_SEARCH_RESULTS));
+    const emails = db.searchEmails(search, { limit }).map(row => ({
+      gmailId: row.id,
+      threadId: row.threadId,
+      subject: row.subject,
+      from: row.from_email,
+      to: row.to_email,
+      snippet: row.snippet,
+      timestamp: row.date,
+      processed: Boolean(row.processed),
+      analysis: { category: row.category, confidence: row.confidence, source: row.category_source }
+    }));
+    
+    res.json({ query: req.query.q, emails });
+  } catch (error) {
+    console.error('❌ Error searching emails:', error);
+    res.status(500).json({ error: 'Failed to search emails' });
+  }
+});
+
 // Database API routes
 app.get('/api/db/emails', isAuthenticated, (req, res) => {
   try {
@@ -981,7 +1032,12 @@ app.get('/api/db/stats', isAuthenticated, (req, res) => {
 app.post('/api/db/categorize-email', isAuthenticated, (req, res) => {
   try {
     const { emailId, category } = req.body;
-    const result = db.updateEmailCategory(emailId, category);
+    const email = db.getEmailById(emailId);
+    const result = db.updateEmailCategory(emailId, category, USER_PROVENANCE);
+    
+    if (email) {
+      learnFromCorrection(email, category);
+    }
     console.log(`✅ Categorized email ${emailId} as ${category}`);
     res.json({ success: true, changes: result.changes });
   } catch (error) {
@@ -997,38 +1053,15 @@ app.post('/api/db/sync-to-gmail', isAuthenticated, async (req, res) => {
     
     let syncedCount = 0;
     let errorCount = 0;
+    const journalId = generateJournalId('sync');
     
     for (const email of unsyncedEmails) {
       try {
         // Find or create label for category
-        const labelResponse = await gmail.users.labels.list({
-          userId: 'me'
-        });
-        
-        let label = labelResponse.data.labels.find(l => l.name === email.category);
-        
-        if (!label) {
-          // Create new label
-          const createResponse = await gmail.users.labels.create({
-            userId: 'me',
-            requestBody: {
-              name: email.category,
-              labelListVisibility: 'labelShow',
-              messageListVisibility: 'show'
-            }
-          });
-          label = createResponse.data;
-          db.saveLabel(label);
-        }
+        const label = await findOrCreateLabel(email.category, journalId);
         
         // Apply label to email
-        await gmail.users.messages.modify({
-          userId: 'me',
-          id: email.id,
-          requestBody: {
-            addLabelIds: [label.id]
-          }
-        });
+        await addLabelWithJournal(email.id, label.id, email.category, journalId);
         
         // Mark as synced in database
         db.markEmailAsSynced(email.id);
@@ -1043,6 +1076,7 @@ app.post('/api/db/sync-to-gmail', isAuthenticated, async (req, res) => {
     console.log(`✅ Sync completed: ${syncedCount} synced, ${errorCount} errors`);
     res.json({ 
       success: true, 
+      batchId: journalId,
       synced: syncedCount, 
       errors: errorCount,
       total: unsyncedEmails.length
@@ -1054,6 +1088,88 @@ app.post('/api/db/sync-to-gmail', isAuthenticated, async (req, res) => {
   }
 });
 
+// Undo the journaled label changes of a sync or request, newest first
+app.post('/api/batch/rollback/:batchId', isAuthenticated, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const entries = db.getLabelJournal(batchId);
+    
+    if (entries.length === 0) {
+      return res.status(404).json({ error: 'No label changes to roll back for this batch' });
+    }
+    
+    // Set OAuth credentials from session
+    oauth2Client.setCredentials({ 
+      access_token: req.user.accessToken,
+      refresh_token: req.user.refreshToken 
+    });
+    
+    console.log(`↩️ Rolling back ${entries.length} label changes from ${batchId}...`);
+    
+    let emailsReverted = 0;
+    let labelsDeleted = 0;
+    const labelsKept = [];
+    const errors = [];
+    
+    for (const entry of entries) {
+      try {
+        if (entry.action === 'addLabel') {
+          await gmail.users.messages.modify({
+            userId: 'me',
+            id: entry.email_id,
+            requestBody: {
+              removeLabelIds: [entry.label_id]
+            }
+          });
+          db.markEmailAsUnsynced(entry.email_id);
+          emailsReverted++;
+        } else if (entry.action === 'createLabel') {
+          // Only delete labels that nothing carries any more
+          let messagesTotal = 0;
+          try {
+            const label = await gmail.users.labels.get({ userId: 'me', id: entry.label_id });
+            messagesTotal = label.data.messagesTotal;
+            if (messagesTotal === 0) {
+              await gmail.users.labels.delete({ userId: 'me', id: entry.label_id });
+            }
+          } catch (labelError) {
+            if (!isNotFound(labelError)) {
+              throw labelError;
+            }
+          }
+          
+          if (messagesTotal > 0) {
+            labelsKept.push(entry.label_name);
+          } else {
+            db.deleteLabel(entry.label_id);
+            labelsDeleted++;
+          }
+        }
+        
+        db.markJournalEntryRolledBack(entry.id);
+        
+      } catch (rollbackError) {
+        console.error(`❌ Error rolling back ${entry.action} ${entry.label_name}:`, rollbackError.message);
+        errors.push(entry.action + ' ' + entry.label_name + ': ' + rollbackError.message);
+      }
+    }
+    
+    console.log(`✅ Rollback completed: ${emailsReverted} emails reverted, ${labelsDeleted} labels deleted`);
+    res.json({
+      success: errors.length === 0,
+      batchId: batchId,
+      emailsReverted: emailsReverted,
+      labelsDeleted: labelsDeleted,
+      labelsKept: labelsKept,
+      errors: errors
+    });
+    
+  } catch (error) {
+    console.error('❌ Error rolling back batch:', error);
+    res.status(500).json({ error: 'Failed to roll back batch' });
+  }
+});
+
 app.post('/api/apply-label', isAuthenticated, async (req, res) => {
   try {
     const { emailId, labelId } = req.body;
@@ -5,7 +5,8 @@ const session = require('express-session');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const { google } = require('googleapis');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { wrapGmail } = require('./gmail-helpers');
+const { createProvider } = require('./llm-providers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,8 +26,8 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// LLM provider chosen by LLM_PROVIDER (default gemini)
+const llm = createProvider();
 
 // OAuth2 configuration
 const oauth2Client = new google.auth.OAuth2(
@@ -53,8 +54,8 @@ passport.use(new GoogleStrategy({
 passport.serializeUser((user, done) => done(null, user));
 passport.deserializeUser((user, done) => done(null, user));
 
-// Gmail API setup
-const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+// Gmail API setup (calls are throttled to the per-user quota and retried on 429/5xx)
+const gmail = wrapGmail(google.gmail({ version: 'v1', auth: oauth2Client }));
 
 // Middleware to check if user is authenticated
 const isAuthenticated = (req, res, next) => {
@@ -160,8 +161,6 @@ app.post('/api/categorize-email', isAuthenticated, async (req, res) => {
   try {
     const { emailId, subject, from, snippet } = req.body;
     
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-    
     const prompt = `Categorize this email into one of these categories: Work, Personal, Shopping, Finance, Travel, Social, Promotions, or Other.
 
 Email Details:
@@ -171,8 +170,7 @@ Preview: ${snippet}
 
 Respond with just the category name.`;
 
-    const result = await model.generateContent(prompt);
-    const category = result.response.text().trim();
+    const category = await llm.generate(prompt);
 
     res.json({ category });
   } catch (error) {
@@ -203,7 +201,6 @@ app.post('/api/apply-label', isAuthenticated, async (req, res) => {
 app.post('/api/batch-categorize', isAuthenticated, async (req, res) => {
   try {
     const { emails } = req.body;
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
     
     const results = [];
     
@@ -217,8 +214,7 @@ Preview: ${email.snippet}
 
 Respond with just the category name.`;
 
-      const result = await model.generateContent(prompt);
-      const category = result.response.text().trim();
+      const category = await llm.generate(prompt);
       
       results.push({
         emailId: email.id,
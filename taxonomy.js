@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+// Category trees are flat lists of '/'-separated paths, parents before children. Users of
+// server-mongo.js can replace the default tree with their own; server-simple.js always uses it.
+const FALLBACK_CATEGORY = 'Other';
+const MAX_CATEGORIES = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const DEFAULT_CATEGORIES = [
+    { name: 'Finance/Investments', description: 'Brokers, mutual funds, demat and depository statements, contract notes' },
+    { name: 'Finance/Banking', description: 'Bank account alerts, statements, OTPs and card transactions' },
+    { name: 'Finance/E-commerce', description: 'Payment wallets and UPI apps, order payments and refunds' },
+    { name: 'Finance/Billing', description: 'Invoices, bills, subscriptions and payment reminders' },
+    { name: 'Finance/General', description: 'Other money matters such as tax, insurance and loans' },
+    { name: 'Work', description: 'Meetings, projects, colleagues and job-related mail' },
+    { name: 'Shopping', description: 'Orders, deliveries and shipping updates' },
+    { name: 'Personal', description: 'Friends, family and personal conversations' },
+    { name: 'Promotions', description: 'Newsletters, offers, sales and marketing' },
+    { name: FALLBACK_CATEGORY, description: 'Anything that fits no other category' }
+];
+
+function normalizeName(name) {
+    return String(name || '')
+        .split('/')
+        .map(part => part.trim().replace(/\s+/g, ' '))
+        .join('/');
+}
+
+// Returns an error message, or null when the list is a usable tree
+function validateCategories(categories) {
+    if (!Array.isArray(categories) || categories.length === 0) {
+        return 'categories must be a non-empty array';
+    }
+
+    if (categories.length > MAX_CATEGORIES) {
+        return `At most ${MAX_CATEGORIES} categories are allowed`;
+    }
+
+    const seen = new Set();
+    for (const category of categories) {
+        const name = category && category.name;
+
+        if (typeof name !== 'string' || !name || name !== normalizeName(name) || name.split('/').some(part => !part)) {
+            return `Invalid category name "${name}"`;
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            return `Category name "${name}" is longer than ${MAX_NAME_LENGTH} characters`;
+        }
+        if (seen.has(name.toLowerCase())) {
+            return `Duplicate category "${name}"`;
+        }
+        if (category.description !== undefined && (typeof category.description !== 'string' || category.description.length > MAX_DESCRIPTION_LENGTH)) {
+            return `Description of "${name}" must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+        }
+        if (category.gmailLabel !== undefined && category.gmailLabel !== null && typeof category.gmailLabel !== 'string') {
+            return `Gmail label of "${name}" must be a string`;
+        }
+
+        seen.add(name.toLowerCase());
+    }
+
+    if (!seen.has(FALLBACK_CATEGORY.toLowerCase())) {
+        return `The "${FALLBACK_CATEGORY}" category is required`;
+    }
+
+    return null;
+}
+
+// `name` with its `from` prefix replaced by `to`, or null when it is not `from` or below it
+function renamedPath(name, from, to) {
+    if (name === from) {
+        return to;
+    }
+    return name.indexOf(`${from}/`) === 0 ? to + name.substring(from.length) : null;
+}
+
+class Taxonomy {
+    constructor(categories = DEFAULT_CATEGORIES) {
+        this.categories = categories.map(category => ({
+            name: category.name,
+            description: category.description || '',
+            gmailLabel: category.gmailLabel || null
+        }));
+        this.names = this.categories.map(category => category.name);
+        // Changes whenever the names or descriptions do; both shape the prompt
+        this.version = crypto.createHash('sha1')
+            .update(this.categories.map(category => `${category.name}:${category.description}`).join('|'))
+            .digest('hex')
+            .substring(0, 12);
+    }
+
+    has(name) {
+        return this.names.indexOf(name) >= 0;
+    }
+
+    get(name) {
+        return this.categories.find(category => category.name === name) || null;
+    }
+
+    // Gmail label for a category: its mapping if it has one, otherwise its own name
+    labelFor(name) {
+        const category = this.get(name);
+        return (category && category.gmailLabel) || name;
+    }
+
+    // The category itself if known, else its nearest known ancestor, else the fallback
+    resolve(name) {
+        const parts = String(name || '').split('/');
+        while (parts.length > 0) {
+            const candidate = parts.join('/');
+            if (this.has(candidate)) {
+                return candidate;
+            }
+            parts.pop();
+        }
+        return FALLBACK_CATEGORY;
+    }
+
+    childrenOf(name) {
+        return this.names.filter(other => other.indexOf(`${name}/`) === 0);
+    }
+
+    // One prompt line per category
+    describe() {
+        return this.categories
+            .map(category => `  - ${category.name}${category.description ? `: ${category.description}` : ''}`)
+            .join('\n');
+    }
+}
+
+module.exports = {
+    FALLBACK_CATEGORY,
+    DEFAULT_CATEGORIES,
+    Taxonomy,
+    normalizeName,
+    validateCategories,
+    renamedPath
+};
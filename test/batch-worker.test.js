@@ -0,0 +1,40 @@
+// Batches cut off by a restart are requeued only when the operation can pick up where it
+// stopped; label changes without a checkpoint would fail on labels they already removed.
+const test = require('node:test');
+const assert = require('node:assert');
+const BatchWorker = require('../batch-worker');
+
+function createWorker(orphaned) {
+    const updates = {};
+    const mongoDb = {
+        getBatchLogsByStatus: async () => orphaned,
+        updateBatchLog: async (batchId, update) => { updates[batchId] = update; }
+    };
+    const batchProcessor = { oauth2Client: { on: () => {} } };
+
+    return { worker: new BatchWorker(mongoDb, batchProcessor), updates };
+}
+
+test('interrupted fetches are requeued', async () => {
+    const { worker, updates } = createWorker([{ batchId: 'b1', operation: 'fetchEmails', attempts: 1 }]);
+
+    await worker.recoverInterruptedBatches();
+
+    assert.strictEqual(updates.b1.status, 'queued');
+});
+
+test('interrupted label changes are not run again', async () => {
+    const { worker, updates } = createWorker(['applyPlan', 'applySuggestions', 'rollback'].map((operation, index) => ({
+        batchId: `b${index}`,
+        operation,
+        attempts: 1
+    })));
+
+    await worker.recoverInterruptedBatches();
+
+    Object.values(updates).forEach(update => {
+        assert.strictEqual(update.status, 'interrupted');
+        assert.match(update.errors[0], /cannot be resumed/);
+    });
+    assert.strictEqual(Object.keys(updates).length, 3);
+});
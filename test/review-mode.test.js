@@ -0,0 +1,104 @@
+// Review mode only holds back labeling when the user turns it on: an email no rule matches
+// (and no model answers) is still labeled in Gmail while review mode is off.
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.LLM_PROVIDER;
+delete process.env.GEMINI_API_KEY;
+
+const BatchProcessor = require('../batch-processor');
+
+const USER_ID = 'user-1';
+
+// Just enough of MongoDatabase, keeping emails in memory
+function createMongo(settings) {
+    const emails = new Map();
+    const queued = [];
+
+    return {
+        emails,
+        queued,
+        getUserSettings: async () => ({ ...settings }),
+        getTaxonomy: async () => null,
+        getRules: async () => null,
+        getLabels: async () => [{ name: 'General', gmailLabelId: 'Label_1' }],
+        getLabelByName: async (userId, name) => name === 'General' ? { name, gmailLabelId: 'Label_1' } : null,
+        getCategoryOverrides: async () => [],
+        getCachedAnalyses: async () => new Map(),
+        saveCachedAnalyses: async () => {},
+        getCorrections: async () => [],
+        checkRateLimit: async () => true,
+        updateEmailAnalysis: async (gmailId, analysis) => {
+            Object.assign(emails.get(gmailId), { analysis, processed: true });
+        },
+        queueEmailsForReview: async (userId, gmailIds, review) => {
+            queued.push(...gmailIds);
+            gmailIds.forEach(gmailId => { emails.get(gmailId).review = { ...review, status: 'pending' }; });
+            return gmailIds.length;
+        },
+        getEmails: async (userId, options) => [...emails.values()].filter(email =>
+            email.processed === options.processed &&
+            email.synced === options.synced &&
+            (options.reviewStatus
+                ? (email.review || {}).status === options.reviewStatus
+                : !(options.excludePendingReview && (email.review || {}).status === 'pending'))
+        ),
+        markEmailsSynced: async (userId, gmailIds, labelId) => {
+            gmailIds.forEach(gmailId => {
+                const email = emails.get(gmailId);
+                email.synced = true;
+                email.labelIds = (email.labelIds || []).concat([labelId]);
+            });
+        },
+        addJournalEntry: async () => {},
+        incrementBatchLog: async () => {},
+        updateBatchLog: async () => {},
+        getBatchControlRequest: async () => null,
+        recordBatchFailure: async () => {}
+    };
+}
+
+async function analyzeAndAssign(settings) {
+    const mongoDb = createMongo(settings);
+    mongoDb.emails.set('msg-1', {
+        userId: USER_ID,
+        gmailId: 'msg-1',
+        subject: 'Catching up next week',
+        from: 'Sam <sam@example.org>',
+        snippet: 'Are you around on Thursday?',
+        labelIds: ['INBOX'],
+        processed: false,
+        synced: false
+    });
+
+    const processor = new BatchProcessor(mongoDb, null);
+    const modified = [];
+    processor.gmail = {
+        users: { messages: { batchModify: async ({ requestBody }) => { modified.push(requestBody); } } }
+    };
+
+    await processor.geminiAnalyzer.batchAnalyzeEmails([...mongoDb.emails.values()], USER_ID);
+    const result = await processor.batchAssignLabels('batch-1', { userId: USER_ID });
+
+    return { mongoDb, modified, result, email: mongoDb.emails.get('msg-1') };
+}
+
+test('an email no rule matches is labeled while review mode is off', async () => {
+    const { mongoDb, modified, result, email } = await analyzeAndAssign({ reviewMode: false });
+
+    assert.strictEqual(email.analysis.source, 'rules');
+    assert.strictEqual(email.analysis.reviewReason, 'noRuleMatch');
+    assert.deepStrictEqual(mongoDb.queued, []);
+    assert.strictEqual(result.emailsProcessed, 1);
+    assert.deepStrictEqual(modified, [{ ids: ['msg-1'], addLabelIds: ['Label_1'] }]);
+    assert.strictEqual(email.synced, true);
+});
+
+test('the same email waits for review while review mode is on', async () => {
+    const { mongoDb, modified, result, email } = await analyzeAndAssign({ reviewMode: true });
+
+    assert.deepStrictEqual(mongoDb.queued, ['msg-1']);
+    assert.strictEqual(result.emailsProcessed, 0);
+    assert.deepStrictEqual(modified, []);
+    assert.strictEqual(email.synced, false);
+});
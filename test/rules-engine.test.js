@@ -0,0 +1,29 @@
+// `matches` patterns come from users and imports but run on the shared event loop, so patterns
+// that can backtrack exponentially are refused.
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuleSet, validateRule } = require('../rules-engine');
+
+const patternRule = value => ({
+    id: 'rule-1',
+    name: 'Pattern',
+    conditions: { field: 'subject', operator: 'matches', value },
+    actions: { category: 'Work' }
+});
+
+test('patterns that repeat a repeating group are rejected', () => {
+    ['(a+)+$', '(\\w*\\s?)*', '(x{2,})+'].forEach(pattern => {
+        assert.match(validateRule(patternRule(pattern)), /repeats a group/);
+    });
+});
+
+test('ordinary patterns are accepted', () => {
+    ['invoice #\\d+', '(?:order|shipment) \\d+', '[(+)]+', '\\(a+\\)+'].forEach(pattern => {
+        assert.strictEqual(validateRule(patternRule(pattern)), null);
+    });
+});
+
+test('a stored unsafe pattern matches nothing instead of stalling', () => {
+    const ruleSet = new RuleSet([patternRule('(a+)+$')]);
+    assert.deepStrictEqual(ruleSet.evaluate({ subject: `${'a'.repeat(40)}!` }).matches, []);
+});